@@ -1,13 +1,18 @@
 // api/acr.js
 const express = require('express');
 const acr = express.Router();
-const axios = require('axios');
-const xml2js = require('xml2js');
 const sql = require('mssql');
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const logger = require('../logger'); // daily-rotate logger
+const db = require('../lib/db');
+const outbound = require('../lib/outbound');
+const acrClient = require('../lib/acr-client');
+const wavUtil = require('../lib/wav');
+const { MEDIA_FORMATS, pickFormat, parseClip } = require('../lib/acr-media');
+const { SORT_KEYS, sortItems } = require('../lib/acr-results');
+const { wallClockMs } = require('../lib/wall-clock');
 
 // ===== Helpers =====
 function requiredEnv(name) {
@@ -22,17 +27,8 @@ const maskUcid = (u) => (u ? String(u).slice(0, 4) + '...' + String(u).slice(-4)
 const safeTrunc = (s, n = 500) => (s ? String(s).slice(0, n) : s);
 const newReqId = () => `${Date.now()}_${Math.random().toString(36).slice(2,8)}`;
 
-const DB_PORT = process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : undefined;
-
-// ===== DB CONFIG =====
-const DB_CONFIG = {
-  user: requiredEnv('DB_USER'),
-  password: requiredEnv('DB_PASS'),
-  server: requiredEnv('DB_SERVER'),
-  port: Number.isFinite(DB_PORT) ? DB_PORT : undefined,
-  database: requiredEnv('DB_NAME'),
-  options: { encrypt: false, trustServerCertificate: true }
-};
+// ===== DB (shared pool: lib/db.js) =====
+['DB_USER', 'DB_PASS', 'DB_SERVER', 'DB_NAME'].forEach(requiredEnv);
 const ACR_TABLE_NAME = requiredEnv('ACR_TABLE_NAME');
 
 // ===== ACR CONFIG =====
@@ -43,12 +39,19 @@ const ACR_PATH   = requiredEnv('ACR_PATH');
 const ACR_USER   = requiredEnv('ACR_USER');
 const ACR_PASS   = requiredEnv('ACR_PASS');
 const ACR_WINDOW_DAYS = parseInt(requiredEnv('ACR_WINDOW_DAYS'), 10);
+// Search calls use the outbound policy timeout (OUTBOUND_ACR_TIMEOUT_MS); media transfers are longer
+const ACR_REPLAY_TIMEOUT_MS   = parseInt(process.env.ACR_REPLAY_TIMEOUT_MS || '60000', 10);
+const ACR_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.ACR_DOWNLOAD_TIMEOUT_MS || '600000', 10);
+const ACR_SEARCH_MAX_PAGE_SIZE = parseInt(process.env.ACR_SEARCH_MAX_PAGE_SIZE || '500', 10);
 
 // ===== MEDIA / FFMPEG =====
 const MEDIA_ROOT = requiredEnv('MEDIA_ROOT');
 const FFMPEG_BIN = requiredEnv('FFMPEG_BIN');
 const USE_LOCAL_DEFAULT = /^true$/i.test(process.env.USE_LOCAL_DEFAULT || 'true');
 const CACHE_TTL_HOURS = parseInt(process.env.CACHE_TTL_HOURS || '72', 10);
+const WAVEFORM_POINTS_CEILING = 20000; // hard cap whatever the env says: a point costs a slice scan and ~7 bytes of JSON
+const ACR_WAVEFORM_MAX_POINTS = Math.min(parseInt(process.env.ACR_WAVEFORM_MAX_POINTS || '10000', 10) || 10000, WAVEFORM_POINTS_CEILING);
+const ACR_WAVEFORM_POINTS     = Math.min(parseInt(process.env.ACR_WAVEFORM_POINTS || '800', 10) || 800, ACR_WAVEFORM_MAX_POINTS);
 
 try {
   fs.mkdirSync(MEDIA_ROOT, { recursive: true });
@@ -63,7 +66,7 @@ function cleanupOldMedia() {
   let removed = 0;
   try {
     for (const name of fs.readdirSync(MEDIA_ROOT)) {
-      if (!/\.(wav|json|raw\.bin)$/i.test(name)) continue;
+      if (!/\.(wav|mp3|ogg|json|raw\.bin|part)$/i.test(name)) continue;
       const p = path.join(MEDIA_ROOT, name);
       try {
         const st = fs.statSync(p);
@@ -110,9 +113,8 @@ function parseYMD(ymd) {
   return dt;
 }
 
-function acrBase() {
-  return `${ACR_SCHEME}://${ACR_HOST}:${ACR_PORT}${ACR_PATH}`;
-}
+// 503 while the ACR circuit is open (failing fast), 502 for any other upstream error
+const acrFailStatus = (e) => (e.code === 'CIRCUIT_OPEN' ? 503 : 502);
 
 function buildReplayUrls(inum) {
   const raw = `${ACR_SCHEME}://${ACR_HOST}:${ACR_PORT}${ACR_PATH}?command=replay&id=${encodeURIComponent(inum)}`;
@@ -120,21 +122,25 @@ function buildReplayUrls(inum) {
   return { raw, proxied };
 }
 
-function mapResultFields(result) {
-  const inum = result?.$?.inum || null;
-
-  // normalize field names to lowercase so variants don't break us
-  const fieldsObj = Object.fromEntries(
-    (result?.field || []).map(f => [String(f?.$?.name || '').toLowerCase(), f?._])
-  );
-
+// acrClient search result → API item (also the insertAcrRow payload)
+function toItem({ inum, fields, switchcallid }) {
+  const { raw, proxied } = buildReplayUrls(inum);
   return {
+    ucid: switchcallid || null,
     inum,
-    fields: fieldsObj,
-    switchcallid: fieldsObj.switchcallid || null
+    started_at: fields.startedat || null,
+    duration_sec: fields.duration ? parseInt(fields.duration, 10) : null,
+    agents: fields.agents || null,
+    other_parties: fields.otherparties || null,
+    services: fields.services || null,
+    skills: fields.skills || null,
+    playback_url: proxied,
+    raw_playback_url: raw
   };
 }
 
+// Search window criterion; p1/p3 are DD/MM/YY (computeRangeFromQuery), p2/p4 optional HH:MM:SS
+const startedAtCriterion = (p1, p3, p2, p4) => ({ field: 'startedat', op: 'between', params: [p1, p2, p3, p4] });
 
 function computeRangeFromQuery(q) {
   const start = parseYMD(q.startdate);
@@ -200,11 +206,10 @@ async function downloadRawFromAcr(inum, outPath, ctx) {
     method: 'GET',
     url,
     responseType: 'stream',
-    timeout: 600000,
     auth: (ACR_USER || ACR_PASS) ? { username: ACR_USER, password: ACR_PASS } : undefined,
     validateStatus: () => true
   };
-  const r = await axios(cfg);
+  const r = await outbound.request('acr', cfg, { idempotent: true, timeoutMs: ACR_DOWNLOAD_TIMEOUT_MS, ctx });
   if (r.status < 200 || r.status >= 400) {
     logger.error('[ACR] download http error', { ...ctx, status: r.status });
     throw new Error(`ACR GET failed (${r.status})`);
@@ -218,9 +223,10 @@ async function downloadRawFromAcr(inum, outPath, ctx) {
   });
   logger.info('[ACR] download done', { ...ctx, ms: Date.now() - t0, size: fs.existsSync(outPath) ? fs.statSync(outPath).size : 0 });
 }
-function transcodeToWav(inPath, outPath, ctx) {
+// Runs ffmpeg with args; the last arg is the output file
+function runFfmpeg(args, ctx) {
+  const outPath = args[args.length - 1];
   return new Promise((resolve, reject) => {
-    const args = ['-y','-i', inPath,'-vn','-acodec','pcm_s16le','-ac','1','-ar','8000', outPath];
     logger.info('[ACR] ffmpeg start', { ...ctx, args: args.join(' ') });
     const t0 = Date.now();
     const proc = spawn(FFMPEG_BIN, args, { windowsHide: true });
@@ -238,31 +244,231 @@ function transcodeToWav(inPath, outPath, ctx) {
     });
   });
 }
-async function ensureLocalWav(inum, ctx) {
+function transcodeToWav(inPath, outPath, ctx) {
+  return runFfmpeg(['-y','-i', inPath,'-vn','-acodec','pcm_s16le','-ac','1','-ar','8000','-f','wav', outPath], ctx);
+}
+
+// Cache builds in progress (cache file path -> Promise). Concurrent requests for the same recording
+// share one download/ffmpeg run instead of writing over each other's files.
+const inFlight = new Map();
+function shared(key, build) {
+  if (!inFlight.has(key)) inFlight.set(key, build().finally(() => inFlight.delete(key)));
+  return inFlight.get(key);
+}
+
+// Local WAV of an INUM (downloaded and transcoded once, then cached). ffmpeg writes <inum>.wav.part,
+// renamed into place when complete, so the cache check never sees a half-written WAV.
+function ensureLocalWav(inum, ctx) {
   const { raw, wav, meta } = localPathsFor(inum);
   if (fs.existsSync(wav) && fs.statSync(wav).size > 0) {
     logger.info('[ACR] cache hit (wav)', { ...ctx, wav });
+    return Promise.resolve(wav);
+  }
+  return shared(wav, async () => {
+    const part = `${wav}.part`;
+    try {
+      await downloadRawFromAcr(inum, raw, ctx);
+      await transcodeToWav(raw, part, ctx);
+      await fs.promises.rename(part, wav);
+    } catch (e) {
+      try { fs.unlinkSync(part); } catch {}
+      throw e;
+    } finally {
+      try { fs.unlinkSync(raw); logger.info('[ACR] raw deleted', { ...ctx, raw }); } catch (e) { if (e.code !== 'ENOENT') logger.warn('[ACR] raw delete failed', { ...ctx, raw, error: e.message }); }
+    }
+    try {
+      fs.writeFileSync(meta, JSON.stringify({ inum, createdAt: new Date().toISOString() }, null, 2));
+      logger.info('[ACR] meta written', { ...ctx, meta });
+    } catch (e) {
+      logger.warn('[ACR] meta write failed', { ...ctx, meta, error: e.message });
+    }
     return wav;
+  });
+}
+
+// true when a derived file exists, is non-empty and is not older than the file it was made from
+function isFresh(derived, source) {
+  try {
+    const st = fs.statSync(derived);
+    return st.size > 0 && st.mtimeMs >= fs.statSync(source).mtimeMs;
+  } catch {
+    return false;
   }
-  await downloadRawFromAcr(inum, raw, ctx);
-  await transcodeToWav(raw, wav, ctx);
+}
+
+// Cut and/or sped-up copy of a cached WAV, next to it as <name>.clip-<from>-<to|end>-x<speed>.wav plus a meta
+// JSON recording the source (INUM, or UCID and INUMs of a merged call) and range. atempo keeps the pitch.
+async function ensureClip(wavPath, { from, to, speed }, source, ctx) {
+  const n = (x) => String(Math.round(x * 1000) / 1000);
+  const base = wavPath.replace(/\.wav$/i, `.clip-${n(from)}-${to === null ? 'end' : n(to)}-x${n(speed)}`);
+  const out = `${base}.wav`;
+  if (isFresh(out, wavPath)) {
+    logger.info('[ACR] cache hit (clip)', { ...ctx, out });
+    return out;
+  }
+  const filters = [`atrim=start=${n(from)}${to === null ? '' : `:end=${n(to)}`}`, 'asetpts=PTS-STARTPTS'];
+  if (speed !== 1) filters.push(`atempo=${n(speed)}`);
+  const part = `${out}.part`;
   try {
-    fs.writeFileSync(meta, JSON.stringify({ inum, createdAt: new Date().toISOString() }, null, 2));
-    logger.info('[ACR] meta written', { ...ctx, meta });
+    await runFfmpeg(['-y', '-i', wavPath, '-vn', '-af', filters.join(','), '-acodec', 'pcm_s16le', '-ac', '1', '-ar', '8000', '-f', 'wav', part], ctx);
+    fs.renameSync(part, out);
   } catch (e) {
-    logger.warn('[ACR] meta write failed', { ...ctx, meta, error: e.message });
+    try { fs.unlinkSync(part); } catch {}
+    throw e;
   }
-  try { fs.unlinkSync(raw); logger.info('[ACR] raw deleted', { ...ctx, raw }); } catch (e) { logger.warn('[ACR] raw delete failed', { ...ctx, raw, error: e.message }); }
-  return wav;
+  try {
+    const { format, data } = wavUtil.readWav(out);
+    fs.writeFileSync(`${base}.json`, JSON.stringify({
+      ...source,
+      range: { from_sec: from, to_sec: to },
+      speed,
+      duration_sec: Math.round((data.length / wavUtil.bytesPerSecond(format)) * 1000) / 1000,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+    logger.info('[ACR] clip written', { ...ctx, out, from, to, speed });
+  } catch (e) {
+    logger.warn('[ACR] clip meta write failed', { ...ctx, out, error: e.message });
+  }
+  return out;
+}
+
+// `format` variant of a cached WAV, written next to it (<name>.mp3 / <name>.ogg); rebuilt when older than the WAV
+async function ensureFormat(wavPath, format, ctx) {
+  const fmt = MEDIA_FORMATS[format];
+  if (!fmt.codec) return wavPath;
+  const out = wavPath.replace(/\.wav$/i, `.${fmt.ext}`);
+  if (isFresh(out, wavPath)) {
+    logger.info(`[ACR] cache hit (${format})`, { ...ctx, out });
+    return out;
+  }
+  const part = `${out}.part`;
+  try {
+    await runFfmpeg(['-y', '-i', wavPath, '-vn', ...fmt.codec, '-f', fmt.muxer, part], ctx);
+    fs.renameSync(part, out);
+  } catch (e) {
+    try { fs.unlinkSync(part); } catch {}
+    throw e;
+  }
+  return out;
+}
+
+// Waveform peaks of a cached WAV, cached next to it as <name>.peaks-<points>.json (removed by the media TTL
+// cleanup with the audio) and rebuilt when older than the WAV. The WAV is streamed (lib/wav.js peaks), and
+// concurrent requests for the same file and points share one computation.
+function ensurePeaks(wavPath, points, ctx) {
+  const out = wavPath.replace(/\.wav$/i, `.peaks-${points}.json`);
+  return shared(out, () => buildPeaks(wavPath, points, out, ctx));
+}
+async function buildPeaks(wavPath, points, out, ctx) {
+  if (isFresh(out, wavPath)) {
+    try {
+      const cached = JSON.parse(await fs.promises.readFile(out, 'utf8'));
+      logger.info('[ACR] cache hit (peaks)', { ...ctx, out });
+      return cached;
+    } catch (e) {
+      logger.warn('[ACR] peaks cache unreadable, rebuilding', { ...ctx, out, error: e.message });
+    }
+  }
+  const t0 = Date.now();
+  const { format, durationSec, peaks } = await wavUtil.peaks(wavPath, points);
+  const result = {
+    duration_sec: Math.round(durationSec * 1000) / 1000,
+    sample_rate: format.sampleRate,
+    points: peaks.length,
+    peaks,
+    createdAt: new Date().toISOString()
+  };
+  try {
+    await fs.promises.writeFile(out, JSON.stringify(result));
+    logger.info('[ACR] peaks written', { ...ctx, out, points: peaks.length, ms: Date.now() - t0 });
+  } catch (e) {
+    logger.warn('[ACR] peaks write failed', { ...ctx, out, error: e.message });
+  }
+  return result;
+}
+
+// Streams a cached WAV, clipped/sped up when `clip` is set, in `format` with the matching Content-Type.
+// `source` identifies the recording in the clip meta ({ inum } or { ucid, inums }).
+async function serveLocal(wavPath, { format, clip, source }, req, res, ctx) {
+  const clipped = clip ? await ensureClip(wavPath, clip, source, ctx) : wavPath;
+  const file = await ensureFormat(clipped, format, ctx);
+  res.setHeader('Vary', 'Accept');
+  return streamFile(file, req, res, MEDIA_FORMATS[format].contentType);
+}
+
+// All segments (INUMs) recorded for a UCID, oldest first (parsed started_at, INUM on ties). A transferred
+// or conferenced call has several, and their order is the merge order.
+// Returns { segments, found } where found counts ACR results including any without an INUM.
+async function findSegments(ucid, p1, p3, ctx) {
+  const t0 = Date.now();
+  const results = await acrClient.searchBy([
+    startedAtCriterion(p1, p3),
+    { field: 'switchcallid', op: 'equals', params: [ucid] }
+  ], {}, ctx);
+  const segments = sortItems(results.filter(r => r.inum).map(toItem), 'started_at', 'asc');
+  logger.info('[ACR] segments found', { ...ctx, ms: Date.now() - t0, count: results.length, inums: segments.map(s => s.inum) });
+  return { segments, found: results.length };
+}
+
+// One WAV with every segment of a call back to back, cached as <ucid>.merged.wav. Each segment goes
+// through ensureLocalWav() first; the meta JSON holds the segment index (offset/duration per INUM).
+// Rebuilt when the set of INUMs changes, e.g. a later leg finished recording after the first merge.
+// Concurrent requests for the same UCID share one build.
+function ensureMergedWav(ucid, segments, ctx) {
+  const { wav } = localPathsFor(`${ucid}.merged`);
+  return shared(wav, () => buildMergedWav(ucid, segments, ctx));
+}
+async function buildMergedWav(ucid, segments, ctx) {
+  const { wav, meta } = localPathsFor(`${ucid}.merged`);
+  const inums = segments.map(s => s.inum).join(',');
+  try {
+    const cached = JSON.parse(fs.readFileSync(meta, 'utf8'));
+    if (cached.segments.map(s => s.inum).join(',') === inums && fs.statSync(wav).size > 0) {
+      logger.info('[ACR] cache hit (merged wav)', { ...ctx, wav });
+      return { wav, index: cached };
+    }
+  } catch {}
+
+  const files = [];
+  for (const seg of segments) files.push(await ensureLocalWav(seg.inum, { ...ctx, inum: seg.inum })); // one ACR download at a time
+
+  const part = `${wav}.part`;
+  let merged;
+  try {
+    merged = await wavUtil.concatWavs(files, part);
+    fs.renameSync(part, wav);
+  } catch (e) {
+    try { fs.unlinkSync(part); } catch {}
+    throw e;
+  }
+  const sec = (n) => Math.round(n * 1000) / 1000;
+  const index = {
+    ucid,
+    createdAt: new Date().toISOString(),
+    duration_sec: sec(merged.durationSec),
+    segments: segments.map((seg, i) => ({
+      inum: seg.inum,
+      started_at: seg.started_at,
+      agents: seg.agents,
+      offset_sec: sec(merged.parts[i].offsetSec),
+      duration_sec: sec(merged.parts[i].durationSec)
+    }))
+  };
+  try {
+    fs.writeFileSync(meta, JSON.stringify(index, null, 2));
+    logger.info('[ACR] merged wav written', { ...ctx, wav, segments: segments.length, duration_sec: index.duration_sec });
+  } catch (e) {
+    logger.warn('[ACR] merged meta write failed', { ...ctx, meta, error: e.message });
+  }
+  return { wav, index };
 }
 
 // Insert one row into dbo.AcrResults (best-effort)
 async function insertAcrRow(payload, ctx) {
-  let pool;
   const logCtx = { ...ctx, inum: payload.inum, ucidMasked: maskUcid(payload.ucid) };
   try {
     logger.info('[ACR] DB insert begin', logCtx);
-    pool = await sql.connect(DB_CONFIG);
+    const pool = await db.getPool();
     await pool.request()
       .input('ucid',          sql.VarChar(40),  payload.ucid || null)
       .input('inum',          sql.VarChar(32),  payload.inum || null)
@@ -282,8 +488,6 @@ async function insertAcrRow(payload, ctx) {
     logger.info('[ACR] DB insert ok', logCtx);
   } catch (e) {
     logger.error('[ACR] DB insert error', { ...logCtx, error: e.message });
-  } finally {
-    try { if (pool) await pool.close(); } catch {}
   }
 }
 
@@ -310,54 +514,32 @@ acr.get('/find', async (req, res) => {
     const { start, end, p1, p3 } = computeRangeFromQuery({ ...req.query, startdate });
     logger.info('[ACR] /find computed window', { ...ctx, p1, p3 });
 
-    const params = {
-      command: 'search',
-      operator_startedat: 9,
-      param1_startedat: p1,
-      param3_startedat: p3,
-      operator_switchcallid: 1,
-      param1_switchcallid: ucid
-    };
-
-    const axiosCfg = { params, timeout: 30000 };
-    if (ACR_USER && ACR_PASS) axiosCfg.auth = { username: ACR_USER, password: ACR_PASS };
-
-    const t0 = Date.now();
-    const r = await axios.get(acrBase(), axiosCfg);
-    logger.info('[ACR] /find ACR resp', { ...ctx, status: r.status, ms: Date.now() - t0, xmlSample: safeTrunc(r.data, 400) });
-
-    const parsed = await xml2js.parseStringPromise(r.data);
-    const results = parsed?.results?.result || [];
-    logger.info('[ACR] /find parsed', { ...ctx, count: results.length });
+    const { segments, found } = await findSegments(ucid, p1, p3, ctx);
 
-    if (!results.length) {
+    if (!found) {
       return res.json({ ok: true, found: 0, items: [] });
     }
 
-    const { inum, fields, switchcallid } = mapResultFields(results[0]);
-    if (!inum) {
+    if (!segments.length) {
       logger.warn('[ACR] /find missing INUM', ctx);
       return res.status(502).json({ ok: false, message: 'ACR returned no INUM' });
     }
 
-    const { raw, proxied } = buildReplayUrls(inum);
-
-    const payload = {
-      inum,
-      started_at: fields.startedat || null,
-      duration_sec: fields.duration ? parseInt(fields.duration, 10) : null,
-      agents: fields.agents || null,
-      other_parties: fields.otherparties || null,
-      services: fields.services || null,
-      skills: fields.skills || null,
-      playback_url: proxied,
-      raw_playback_url: raw
-    };
+    segments.forEach(p => insertAcrRow(p, ctx)); // fire & forget
+    logger.info('[ACR] /find success', { ...ctx, inums: segments.map(p => p.inum) });
 
-    insertAcrRow(payload, ctx); // fire & forget
-    logger.info('[ACR] /find success', { ...ctx, inum });
-
-    return res.json({ ok: true, found: results.length, item: payload, window: { start, end } });
+    // item: first leg, kept for single-recording clients; items: every segment, oldest first
+    const mergeQuery = new URLSearchParams({ ucid, startdate, merge: '1' });
+    if (req.query.enddate) mergeQuery.set('enddate', req.query.enddate);
+    else if (req.query.windowDays) mergeQuery.set('windowDays', req.query.windowDays);
+    return res.json({
+      ok: true,
+      found: segments.length,
+      item: segments[0],
+      items: segments,
+      merged_playback_url: segments.length > 1 ? `/api/acr/replayByUcid?${mergeQuery}` : null,
+      window: { start, end }
+    });
   } catch (e) {
     // If thrown by computeRangeFromQuery => 400; else 502
     const isInputErr = /^Invalid (startdate|enddate|windowDays)/.test(e.message);
@@ -370,12 +552,28 @@ acr.get('/find', async (req, res) => {
       });
     }
     logger.error('[ACR] /find error', { ...ctx, error: e.message });
-    return res.status(502).json({ ok: false, message: e.message });
+    return res.status(acrFailStatus(e)).json({ ok: false, message: e.message });
   }
 });
 
-// Shared handler for GET/HEAD /replay/:inum
-async function replayHandler(req, res) {
+// AcrResults row for a replay by INUM (no search metadata)
+function insertReplayRow(req, inum, ctx) {
+  insertAcrRow({
+    ucid: req.query.ucid || null,
+    inum,
+    started_at: null,
+    duration_sec: null,
+    agents: null,
+    other_parties: null,
+    services: null,
+    skills: null,
+    playback_url: `/api/acr/replay/${encodeURIComponent(inum)}`
+  }, ctx);
+}
+
+// Shared handler for GET/HEAD /replay/:inum. logRow: false when the caller has already logged the
+// recording in AcrResults (/replayByUcid inserts its search results).
+async function replayHandler(req, res, { logRow = true } = {}) {
   const reqId = newReqId();
   const { inum } = req.params;
   const ctx = { route: '/acr/replay', reqId, inum };
@@ -386,19 +584,8 @@ async function replayHandler(req, res) {
   }
 
   const rawReplay = `${ACR_SCHEME}://${ACR_HOST}:${ACR_PORT}${ACR_PATH}?command=replay&id=${encodeURIComponent(inum)}`;
-  const proxied = `/api/acr/replay/${encodeURIComponent(inum)}`;
 
-  insertAcrRow({
-    ucid: req.query.ucid || null,
-    inum,
-    started_at: null,
-    duration_sec: null,
-    agents: null,
-    other_parties: null,
-    services: null,
-    skills: null,
-    playback_url: proxied
-  }, ctx);
+  if (logRow) insertReplayRow(req, inum, ctx);
 
   try {
     const headers = {};
@@ -408,15 +595,14 @@ async function replayHandler(req, res) {
     logger.info('[ACR] /replay proxy → ACR', { ...ctx, method: req.method, hasRange: !!headers.Range });
 
     const t0 = Date.now();
-    const r = await axios({
+    const r = await outbound.request('acr', {
       method: req.method,
       url: rawReplay,
       responseType: req.method === 'HEAD' ? 'json' : 'stream',
       headers,
-      timeout: 60000,
       auth: (ACR_USER || ACR_PASS) ? { username: ACR_USER, password: ACR_PASS } : undefined,
       validateStatus: () => true
-    });
+    }, { idempotent: true, timeoutMs: ACR_REPLAY_TIMEOUT_MS, ctx });
     logger.info('[ACR] /replay ACR resp', { ...ctx, status: r.status, ms: Date.now() - t0 });
 
     res.status(r.status);
@@ -436,19 +622,88 @@ async function replayHandler(req, res) {
     r.data.pipe(res);
   } catch (e) {
     logger.error('[ACR] /replay error', { ...ctx, error: e.message });
-    if (!res.headersSent) res.status(502).send('ACR replay error: ' + e.message);
+    if (!res.headersSent) res.status(acrFailStatus(e)).send('ACR replay error: ' + e.message);
   }
 }
 
-acr.get('/replay/:inum', replayHandler);
+// GET|HEAD /api/acr/replay/:inum[?local=1[&format=wav|mp3|opus][&from=..&to=..][&speed=0.5-2]]
+// Proxies ACR by default; local=1 serves the cached copy in the requested/negotiated format
+acr.get('/replay/:inum', async (req, res) => {
+  if (!/^(1|true)$/i.test(String(req.query.local || ''))) return replayHandler(req, res);
+
+  const reqId = newReqId();
+  const { inum } = req.params;
+  const ctx = { route: '/acr/replay', reqId, inum, local: true };
+
+  const format = pickFormat(req);
+  if (!format) {
+    logger.warn('[ACR] /replay invalid format', { ...ctx, format: req.query.format });
+    return res.status(400).send(`Invalid format (expected ${Object.keys(MEDIA_FORMATS).join(', ')})`);
+  }
+  const { clip, invalid } = parseClip(req.query);
+  if (invalid.length) {
+    logger.warn('[ACR] /replay invalid clip', { ...ctx, invalid });
+    return res.status(400).send(`Invalid ${invalid.join(', ')} (from/to: seconds or mm:ss, to > from; speed: 0.5-2.0)`);
+  }
+
+  try {
+    const wavPath = await ensureLocalWav(inum, ctx);
+    logger.info('[ACR] /replay serve local', { ...ctx, format, clip });
+    await serveLocal(wavPath, { format, clip, source: { inum } }, req, res, ctx);
+    insertReplayRow(req, inum, ctx);
+  } catch (e) {
+    if (res.headersSent) {
+      logger.error('[ACR] /replay local stream failed', { ...ctx, error: e.message });
+      return;
+    }
+    // The ACR proxy can only hand back the original recording: an asked-for format or clip is an error
+    if (req.query.format || clip) {
+      logger.error('[ACR] /replay local failed', { ...ctx, format, clip, error: e.message });
+      return res.status(acrFailStatus(e)).send('ACR local media error: ' + e.message);
+    }
+    logger.warn('[ACR] /replay local failed, fallback', { ...ctx, format, error: e.message });
+    return replayHandler(req, res); // logs the AcrResults row
+  }
+});
+
+// GET /api/acr/waveform/:inum[?points=800] — peak amplitudes (0..1) for the CRM player, from the local WAV
+acr.get('/waveform/:inum', async (req, res) => {
+  const reqId = newReqId();
+  const { inum } = req.params;
+  const ctx = { route: '/acr/waveform', reqId, inum };
+
+  const rawPoints = String(req.query.points ?? ACR_WAVEFORM_POINTS).trim();
+  const points = /^\d+$/.test(rawPoints) ? parseInt(rawPoints, 10) : NaN;
+  if (!Number.isFinite(points) || points < 1 || points > ACR_WAVEFORM_MAX_POINTS) {
+    logger.warn('[ACR] /waveform invalid points', { ...ctx, points: req.query.points });
+    return res.status(400).json({ ok: false, message: `Invalid points (1-${ACR_WAVEFORM_MAX_POINTS})`, invalid: ['points'] });
+  }
+
+  try {
+    const wavPath = await ensureLocalWav(inum, ctx);
+    const waveform = await ensurePeaks(wavPath, points, ctx);
+    return res.json({ ok: true, inum, ...waveform });
+  } catch (e) {
+    logger.error('[ACR] /waveform error', { ...ctx, error: e.message });
+    return res.status(acrFailStatus(e)).json({ ok: false, message: e.message });
+  }
+});
 
 // GET /api/acr/replayByUcid?ucid=...&startdate=YYYY-MM-DD[&enddate=YYYY-MM-DD|&windowDays=N][&redirect=1][&local=1]
+//   [&format=wav|mp3|opus]  local output format (else negotiated from Accept, WAV by default); implies local
+//   [&from=..&to=..]        clip, seconds or mm:ss; [&speed=0.5-2] pitch-preserving; both imply local
+//   [&segment=N]            play the Nth segment (1 = oldest, default)
+//   [&merge=1[&index=1]]    every segment stitched into one local WAV; index=1 returns its segment index instead
 acr.get('/replayByUcid', async (req, res) => {
   const reqId = newReqId();
   const ucid = (req.query.ucid || '').trim();
   const startdate = (req.query.startdate || '').trim();
   const redirect = req.query.redirect;
   const local = req.query.local;
+  const merge = /^(1|true)$/i.test(String(req.query.merge || ''));
+  const segmentNo = parseInt(req.query.segment || '1', 10);
+  const format = pickFormat(req);
+  const { clip, invalid } = parseClip(req.query);
   const ctx = { route: '/acr/replayByUcid', reqId, ucidMasked: maskUcid(ucid), ip: req.ip };
 
   logger.info('[ACR] /replayByUcid request', { ...ctx, query: req.query });
@@ -460,56 +715,56 @@ acr.get('/replayByUcid', async (req, res) => {
     logger.warn('[ACR] /replayByUcid missing params', { ...ctx, missing });
     return res.status(400).send('Missing required parameters: ' + missing.join(', '));
   }
+  if (!Number.isFinite(segmentNo) || segmentNo < 1) {
+    logger.warn('[ACR] /replayByUcid invalid segment', { ...ctx, segment: req.query.segment });
+    return res.status(400).send('Invalid segment (must be a positive integer)');
+  }
+  if (!format) {
+    logger.warn('[ACR] /replayByUcid invalid format', { ...ctx, format: req.query.format });
+    return res.status(400).send(`Invalid format (expected ${Object.keys(MEDIA_FORMATS).join(', ')})`);
+  }
+  if (invalid.length) {
+    logger.warn('[ACR] /replayByUcid invalid clip', { ...ctx, invalid });
+    return res.status(400).send(`Invalid ${invalid.join(', ')} (from/to: seconds or mm:ss, to > from; speed: 0.5-2.0)`);
+  }
 
   try {
     const { p1, p3 } = computeRangeFromQuery({ ...req.query, startdate });
     logger.info('[ACR] /replayByUcid window', { ...ctx, p1, p3 });
 
-    const searchParams = {
-      command: 'search',
-      operator_startedat: 9,
-      param1_startedat: p1,
-      param3_startedat: p3,
-      operator_switchcallid: 1,
-      param1_switchcallid: ucid
-    };
-
-    const cfg = { params: searchParams, timeout: 30000 };
-    if (ACR_USER && ACR_PASS) cfg.auth = { username: ACR_USER, password: ACR_PASS };
+    const { segments, found } = await findSegments(ucid, p1, p3, ctx);
 
-    const t0 = Date.now();
-    const sr = await axios.get(acrBase(), cfg);
-    logger.info('[ACR] /replayByUcid ACR resp', { ...ctx, status: sr.status, ms: Date.now() - t0, xmlSample: safeTrunc(sr.data, 400) });
-
-    const parsed = await xml2js.parseStringPromise(sr.data);
-    const results = parsed?.results?.result || [];
-    logger.info('[ACR] /replayByUcid parsed', { ...ctx, count: results.length });
-
-    if (!results.length) {
+    if (!found) {
       logger.warn('[ACR] /replayByUcid no result', ctx);
       return res.status(404).send('No recording found for that UCID/date');
     }
 
-    const { inum, fields } = mapResultFields(results[0]);
-
-    if (!inum) {
+    if (!segments.length) {
       logger.warn('[ACR] /replayByUcid missing INUM', ctx);
       return res.status(502).send('ACR returned no INUM');
     }
 
-    const { raw, proxied } = buildReplayUrls(inum);
+    segments.forEach(p => insertAcrRow({ ...p, ucid }, ctx));
+    res.setHeader('X-Acr-Segments', String(segments.length));
+
+    if (merge) {
+      try {
+        const { wav, index } = await ensureMergedWav(ucid, segments, ctx);
+        if (/^(1|true)$/i.test(String(req.query.index || ''))) return res.json({ ok: true, ...index });
+        logger.info('[ACR] /replayByUcid serve merged', { ...ctx, wav, format, segments: segments.length });
+        return await serveLocal(wav, { format, clip, source: { ucid, inums: segments.map(p => p.inum) } }, req, res, ctx);
+      } catch (e) {
+        logger.error('[ACR] /replayByUcid merge failed', { ...ctx, error: e.message });
+        return res.status(acrFailStatus(e)).send('ACR merge error: ' + e.message);
+      }
+    }
 
-    insertAcrRow({
-      ucid,
-      inum,
-      started_at: fields.startedat || null,
-      duration_sec: fields.duration ? parseInt(fields.duration, 10) : null,
-      agents: fields.agents || null,
-      other_parties: fields.otherparties || null,
-      services: fields.services || null,
-      skills: fields.skills || null,
-      playback_url: proxied
-    }, ctx);
+    if (segmentNo > segments.length) {
+      logger.warn('[ACR] /replayByUcid segment out of range', { ...ctx, segment: segmentNo, segments: segments.length });
+      return res.status(404).send(`Segment ${segmentNo} not found (call has ${segments.length})`);
+    }
+    const { inum } = segments[segmentNo - 1];
+    const { raw } = buildReplayUrls(inum);
 
     if (redirect === '1' || redirect === 'true') {
       logger.info('[ACR] /replayByUcid redirect → raw', { ...ctx, inum });
@@ -518,22 +773,27 @@ acr.get('/replayByUcid', async (req, res) => {
 
     const preferLocal = (typeof local !== 'undefined')
       ? /^1|true$/i.test(String(local))
-      : USE_LOCAL_DEFAULT;
+      : ((req.query.format || clip) ? true : USE_LOCAL_DEFAULT);
 
     if (preferLocal) {
       try {
         const wavCtx = { ...ctx, inum };
         const wavPath = await ensureLocalWav(inum, wavCtx);
-        logger.info('[ACR] /replayByUcid serve local wav', { ...wavCtx, wavPath });
-        return streamFile(wavPath, req, res, 'audio/wav');
+        logger.info('[ACR] /replayByUcid serve local', { ...wavCtx, wavPath, format, clip });
+        return await serveLocal(wavPath, { format, clip, source: { inum } }, req, res, wavCtx);
       } catch (e) {
+        if (res.headersSent) throw e;
+        if (req.query.format || clip) {
+          logger.error('[ACR] /replayByUcid local failed', { ...ctx, inum, format, clip, error: e.message });
+          return res.status(acrFailStatus(e)).send('ACR local media error: ' + e.message);
+        }
         logger.warn('[ACR] /replayByUcid local WAV failed, fallback', { ...ctx, inum, error: e.message });
       }
     }
 
     logger.info('[ACR] /replayByUcid proxy fallback', { ...ctx, inum });
     req.params.inum = inum;
-    return replayHandler(req, res);
+    return replayHandler(req, res, { logRow: false });
   } catch (e) {
     const isInputErr = /^Invalid (startdate|enddate|windowDays)/.test(e.message);
     if (isInputErr) {
@@ -541,7 +801,7 @@ acr.get('/replayByUcid', async (req, res) => {
       if (!res.headersSent) return res.status(400).send(e.message);
     }
     logger.error('[ACR] /replayByUcid error', { ...ctx, error: e.message });
-    if (!res.headersSent) res.status(502).send('ACR replayByUcid error: ' + e.message);
+    if (!res.headersSent) res.status(acrFailStatus(e)).send('ACR replayByUcid error: ' + e.message);
   }
 });
 
@@ -573,51 +833,20 @@ acr.get('/searchByNumber', async (req, res) => {
 
     logger.info('[ACR] /searchByNumber window', { ...ctx, p1, p2, p3, p4, limit });
 
-    const params = {
-      command: 'search',
-      layout: 'AvayaSegment',
-      operator_startedat: 9,
-      param1_startedat: p1,
-      param2_startedat: p2,
-      param3_startedat: p3,
-      param4_startedat: p4,
-      operator_otherparties: 8,
-      param1_otherparties: number
-    };
-
-    const axiosCfg = { params, timeout: 30000 };
-    if (ACR_USER && ACR_PASS) axiosCfg.auth = { username: ACR_USER, password: ACR_PASS };
-
-    const r = await axios.get(acrBase(), axiosCfg);
-    const parsed = await xml2js.parseStringPromise(r.data);
-    const results = parsed?.results?.result || [];
-
-    if (!results.length) {
-      return res.json({ ok: true, found: 0, items: [], window: { start, end, p2, p4 } });
-    }
+    const results = await acrClient.searchBy([
+      startedAtCriterion(p1, p3, p2, p4),
+      { field: 'otherparties', op: 'contains', params: [number] }
+    ], { layout: 'AvayaSegment' }, ctx);
 
     // Map ACR results
-    const items = results.map(r => {
-      const { inum, fields, switchcallid } = mapResultFields(r);
-      if (!inum) return null;
-      const { raw, proxied } = buildReplayUrls(inum);
-      return {
-        ucid: switchcallid || null,
-        number,
-        inum,
-        started_at: fields.startedat || null,
-        duration_sec: fields.duration ? parseInt(fields.duration, 10) : null,
-        agents: fields.agents || null,
-        other_parties: fields.otherparties || null,
-        services: fields.services || null,
-        skills: fields.skills || null,
-        playback_url: proxied,
-        raw_playback_url: raw
-      };
-    }).filter(Boolean);
+    const items = results.filter(r => r.inum).map(r => ({ number, ...toItem(r) }));
+
+    if (!items.length) {
+      return res.json({ ok: true, found: 0, items: [], window: { start, end, p2, p4 } });
+    }
 
     // Sort newest → oldest
-    items.sort((a, b) => new Date(b.started_at || 0) - new Date(a.started_at || 0));
+    sortItems(items, 'started_at', 'desc');
     const total = items.length;
 
     // ---- behavior ----
@@ -650,7 +879,133 @@ acr.get('/searchByNumber', async (req, res) => {
       });
     }
     logger.error('[ACR] /searchByNumber error', { ...ctx, error: e.message });
-    return res.status(502).json({ ok: false, message: e.message });
+    return res.status(acrFailStatus(e)).json({ ok: false, message: e.message });
+  }
+});
+
+// Field filters from the query: <field>=<value>[&<field>_op=<operator>][&<field>_to=<upper bound>]
+// for every acrClient.SEARCH_FIELDS entry except startedat, plus the ucid/number shorthands.
+function searchCriteriaFromQuery(q) {
+  const criteria = [];
+  const invalid = [];
+  const query = { ...q };
+  if (query.ucid && !query.switchcallid) query.switchcallid = query.ucid;
+  if (query.number && !query.otherparties) query.otherparties = query.number;
+
+  for (const [field, ops] of Object.entries(acrClient.SEARCH_FIELDS)) {
+    if (field === 'startedat') continue;
+    const value = String(query[field] ?? '').trim();
+    const to = String(query[`${field}_to`] ?? '').trim();
+    if (!value && !to) continue;
+    const op = String(query[`${field}_op`] || (to ? 'between' : ops[0])).toLowerCase();
+    if (!ops.includes(op)) {
+      invalid.push(`${field}_op`);
+      continue;
+    }
+    if (op === 'between') {
+      // only numeric fields (duration) take a between range here; startedat comes from the date window
+      if ([value, to].some(v => v && !/^\d+$/.test(v))) {
+        invalid.push(field);
+        continue;
+      }
+      criteria.push({ field, op, params: [value || '0', undefined, to || '999999'] });
+    } else {
+      criteria.push({ field, op, params: [value] });
+    }
+  }
+  return { criteria, invalid };
+}
+
+// "HH:MM[:SS]-HH:MM[:SS]" → [from, to] as HH:MM:SS; a window may wrap midnight (22:00-06:00)
+function parseTimeOfDay(s) {
+  const m = /^(\d{2}:\d{2}(?::\d{2})?)-(\d{2}:\d{2}(?::\d{2})?)$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const norm = (t) => (t.length === 5 ? `${t}:00` : t);
+  return [norm(m[1]), norm(m[2])];
+}
+function inTimeOfDay(startedAt, [from, to]) {
+  const ms = wallClockMs(startedAt); // "YYYY-MM-DD HH:MM:SS" or "DD/MM/YYYY HH:mm"
+  if (ms === null) return false;
+  const t = new Date(ms).toISOString().slice(11, 19);
+  return from <= to ? (t >= from && t <= to) : (t >= from || t <= to);
+}
+
+// GET /api/acr/search?startdate=YYYY-MM-DD[&enddate=YYYY-MM-DD|&windowDays=N][&starttime&endtime]
+//   [&<field>=..&<field>_op=..&<field>_to=..][&timeofday=HH:MM-HH:MM][&sort=<field>[:asc|desc]][&page=1&pageSize=50][&layout=..]
+acr.get('/search', async (req, res) => {
+  const reqId = newReqId();
+  const startdate = (req.query.startdate || '').trim();
+  const ctx = { route: '/acr/search', reqId, ip: req.ip };
+
+  logger.info('[ACR] /search request', { ...ctx, query: req.query });
+
+  if (!startdate) {
+    logger.warn('[ACR] /search missing params', { ...ctx, missing: ['startdate'] });
+    return res.status(400).json({ ok: false, message: 'Missing required parameters', missing: ['startdate'] });
+  }
+
+  const { criteria, invalid } = searchCriteriaFromQuery(req.query);
+
+  const timeOfDay = req.query.timeofday ? parseTimeOfDay(req.query.timeofday) : null;
+  if (req.query.timeofday && !timeOfDay) invalid.push('timeofday');
+
+  const [sortField, sortOrder = 'desc'] = String(req.query.sort || 'startedat:desc').toLowerCase().split(':');
+  if (!SORT_KEYS[sortField] || !['asc', 'desc'].includes(sortOrder)) invalid.push('sort');
+
+  const page = parseInt(req.query.page || '1', 10);
+  const pageSize = parseInt(req.query.pageSize || '50', 10);
+  if (!Number.isFinite(page) || page < 1) invalid.push('page');
+  if (!Number.isFinite(pageSize) || pageSize < 1 || pageSize > ACR_SEARCH_MAX_PAGE_SIZE) invalid.push('pageSize');
+
+  if (invalid.length) {
+    logger.warn('[ACR] /search invalid params', { ...ctx, invalid });
+    return res.status(400).json({ ok: false, message: 'Invalid parameters', invalid, fields: acrClient.SEARCH_FIELDS });
+  }
+
+  try {
+    const { start, end, p1, p3 } = computeRangeFromQuery({ ...req.query, startdate });
+    const p2 = (req.query.starttime || '00:00:00').trim();
+    const p4 = (req.query.endtime || '23:59:59').trim();
+    logger.info('[ACR] /search window', { ...ctx, p1, p2, p3, p4, filters: criteria.map(c => `${c.field}:${c.op}`) });
+
+    const t0 = Date.now();
+    const results = await acrClient.searchBy(
+      [startedAtCriterion(p1, p3, p2, p4), ...criteria],
+      { layout: req.query.layout ? String(req.query.layout) : undefined },
+      ctx
+    );
+
+    let items = results.filter(r => r.inum).map(toItem);
+    if (timeOfDay) items = items.filter(i => inTimeOfDay(i.started_at, timeOfDay));
+    sortItems(items, SORT_KEYS[sortField], sortOrder);
+
+    const found = items.length;
+    const pages = Math.ceil(found / pageSize);
+    const pageItems = items.slice((page - 1) * pageSize, page * pageSize);
+    logger.info('[ACR] /search done', { ...ctx, ms: Date.now() - t0, acrResults: results.length, found, page, returned: pageItems.length });
+
+    return res.json({
+      ok: true,
+      found,
+      page,
+      pageSize,
+      pages,
+      sort: { field: sortField, order: sortOrder },
+      items: pageItems,
+      window: { start, end, p2, p4 }
+    });
+  } catch (e) {
+    const isInputErr = /^Invalid (startdate|enddate|windowDays)/.test(e.message);
+    if (isInputErr) {
+      logger.warn('[ACR] /search invalid input', { ...ctx, error: e.message });
+      return res.status(400).json({
+        ok: false,
+        message: e.message,
+        invalid: ['startdate', req.query.enddate ? 'enddate' : undefined].filter(Boolean)
+      });
+    }
+    logger.error('[ACR] /search error', { ...ctx, error: e.message });
+    return res.status(acrFailStatus(e)).json({ ok: false, message: e.message });
   }
 });
 
@@ -0,0 +1,173 @@
+// api/admin.js
+const express = require('express');
+const router = express.Router();
+const logger = require('../logger'); // daily-rotate logger
+const sessions = require('../lib/onex-sessions');
+const deviceMap = require('../lib/device-map');
+const dnc = require('../lib/dnc');
+const ucidReconciler = require('../lib/ucid-reconciler');
+const { validate } = require('../lib/validation');
+const { sendJson } = require('../lib/respond');
+
+// ==== ONE-X SESSIONS ====
+// GET /api/admin/sessions
+router.get('/sessions', (_req, res) => {
+  const items = sessions.list();
+  return sendJson(res, 200, { success: true, count: items.length, items });
+});
+
+// DELETE /api/admin/sessions/:deviceIp
+router.delete('/sessions/:deviceIp', async (req, res) => {
+  const { deviceIp } = req.params;
+  try {
+    const evicted = await sessions.evict(deviceIp, { op: 'admin-evict' });
+    if (!evicted) return sendJson(res, 404, { success: false, message: 'No session for that device' });
+    return sendJson(res, 200, { success: true, deviceIp });
+  } catch (e) {
+    logger.warn('session evict failed', { deviceIp, error: e.message });
+    return sendJson(res, 400, { success: false, message: e.message });
+  }
+});
+
+// ==== DEVICE MAP (agent workstations) ====
+const DEVICE_FIELDS = {
+  deviceIp: { type: 'host', max: 50 },
+  station:  { type: 'string', max: 20, pattern: /^[0-9A-Za-z*#]+$/, hint: 'must be an extension (letters/digits)' },
+  label:    { type: 'string', max: 100 }
+};
+
+function invalid(res, errors) {
+  return sendJson(res, 400, { success: false, errors, message: 'Invalid request body' });
+}
+function deviceError(res, e, ctx) {
+  if (e.status) return sendJson(res, e.status, { success: false, field: e.field, message: e.message });
+  logger.error('device map error', { ...ctx, error: e.message });
+  return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+}
+
+// GET /api/admin/devices
+router.get('/devices', async (_req, res) => {
+  try {
+    const items = await deviceMap.list();
+    return sendJson(res, 200, { success: true, count: items.length, items });
+  } catch (e) {
+    return deviceError(res, e, { op: 'device-list' });
+  }
+});
+
+// GET /api/admin/devices/:deviceIp
+router.get('/devices/:deviceIp', async (req, res) => {
+  try {
+    const item = await deviceMap.get(req.params.deviceIp);
+    if (!item) return sendJson(res, 404, { success: false, message: 'Device is not mapped' });
+    return sendJson(res, 200, { success: true, item });
+  } catch (e) {
+    return deviceError(res, e, { op: 'device-get' });
+  }
+});
+
+// POST /api/admin/devices  { deviceIp, station, label? }
+router.post('/devices', async (req, res) => {
+  const { value, errors } = validate({
+    deviceIp: { ...DEVICE_FIELDS.deviceIp, required: true },
+    station:  { ...DEVICE_FIELDS.station, required: true },
+    label:    DEVICE_FIELDS.label
+  }, req.body);
+  if (errors.length) return invalid(res, errors);
+  try {
+    const item = await deviceMap.create(value);
+    return sendJson(res, 201, { success: true, item });
+  } catch (e) {
+    return deviceError(res, e, { op: 'device-create', deviceIp: value.deviceIp });
+  }
+});
+
+// PATCH /api/admin/devices/:deviceIp  { station?, label? }  (label: null clears it)
+router.patch('/devices/:deviceIp', async (req, res) => {
+  const body = req.body || {};
+  const { value, errors } = validate({ station: DEVICE_FIELDS.station, label: DEVICE_FIELDS.label }, body);
+  if (errors.length) return invalid(res, errors);
+  if (body.label === null || body.label === '') value.label = null;
+  if (value.station === undefined && value.label === undefined) {
+    return invalid(res, [{ field: null, code: 'required', message: 'station or label is required' }]);
+  }
+  try {
+    const item = await deviceMap.update(req.params.deviceIp, value);
+    return sendJson(res, 200, { success: true, item });
+  } catch (e) {
+    return deviceError(res, e, { op: 'device-update', deviceIp: req.params.deviceIp });
+  }
+});
+
+// DELETE /api/admin/devices/:deviceIp
+router.delete('/devices/:deviceIp', async (req, res) => {
+  try {
+    const removed = await deviceMap.remove(req.params.deviceIp);
+    if (!removed) return sendJson(res, 404, { success: false, message: 'Device is not mapped' });
+    return sendJson(res, 200, { success: true, deviceIp: req.params.deviceIp });
+  } catch (e) {
+    return deviceError(res, e, { op: 'device-delete', deviceIp: req.params.deviceIp });
+  }
+});
+
+// ==== DO-NOT-CALL LIST ====
+// GET /api/admin/dnc[?search=digits][&limit=100][&offset=0]
+router.get('/dnc', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+  try {
+    const { total, items } = await dnc.list({ search: req.query.search, limit, offset });
+    return sendJson(res, 200, { success: true, total, count: items.length, limit, offset, items });
+  } catch (e) {
+    logger.error('DNC list failed', { error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// POST /api/admin/dnc  { numbers: ["05...", "+9665..."], reason?, source?, addedBy? }
+router.post('/dnc', async (req, res) => {
+  const body = req.body || {};
+  const numbers = Array.isArray(body.numbers) ? body.numbers : (body.number ? [body.number] : null);
+  if (!numbers || !numbers.length) {
+    return invalid(res, [{ field: 'numbers', code: 'required', message: 'numbers must be a non-empty array' }]);
+  }
+  const { value, errors } = validate({
+    reason:  { type: 'string', max: 200 },
+    source:  { type: 'string', max: 50 },
+    addedBy: { type: 'string', max: 100 }
+  }, body);
+  if (errors.length) return invalid(res, errors);
+  try {
+    const result = await dnc.importNumbers(numbers, value);
+    return sendJson(res, 200, { success: true, received: numbers.length, ...result });
+  } catch (e) {
+    if (e.status) return sendJson(res, e.status, { success: false, message: e.message });
+    logger.error('DNC import failed', { error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// DELETE /api/admin/dnc/:number
+router.delete('/dnc/:number', async (req, res) => {
+  try {
+    const removed = await dnc.remove(req.params.number);
+    if (!removed) return sendJson(res, 404, { success: false, message: 'Number is not on the do-not-call list' });
+    return sendJson(res, 200, { success: true });
+  } catch (e) {
+    logger.error('DNC remove failed', { error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// ==== UCID RECONCILER ====
+// GET /api/admin/ucid-reconciler
+router.get('/ucid-reconciler', (_req, res) => sendJson(res, 200, { success: true, ...ucidReconciler.getStatus() }));
+
+// POST /api/admin/ucid-reconciler/run  (runs now and waits for the summary)
+router.post('/ucid-reconciler/run', async (_req, res) => {
+  const lastRun = await ucidReconciler.runOnce();
+  if (lastRun?.error) return sendJson(res, 500, { success: false, message: lastRun.error, lastRun });
+  return sendJson(res, 200, { success: true, lastRun });
+});
+
+module.exports = router;
@@ -1,19 +1,12 @@
 const express = require('express');
 const sql = require('mssql');
+const db = require('../lib/db');
 const router = express.Router();
 
-const DB_PORT = process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : undefined;
-const DB_CONFIG = {
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  server: process.env.DB_SERVER,
-  port: Number.isFinite(DB_PORT) ? DB_PORT : undefined,
-  database: process.env.DB_NAME,
-  options: { encrypt: false, trustServerCertificate: true }
-};
-
 const RAW_TABLE = process.env.CALL_TABLE_NAME || 'Calls';
 const CALL_TABLE_NAME = RAW_TABLE.match(/^[A-Za-z0-9_]+$/) ? RAW_TABLE : 'Calls';
+const RAW_DISPOSITION_TABLE = process.env.DISPOSITION_TABLE_NAME || 'OnexCallDispositions';
+const DISPOSITION_TABLE_NAME = RAW_DISPOSITION_TABLE.match(/^[A-Za-z0-9_]+$/) ? RAW_DISPOSITION_TABLE : 'OnexCallDispositions';
 
 router.get('/ucidByTicket', async (req, res) => {
   const ticket = (req.query.ticket || '').trim();
@@ -22,19 +15,26 @@ router.get('/ucidByTicket', async (req, res) => {
     return res.status(400).json({ ok: false, message: 'Missing required query param: ticket' });
   }
 
-  let pool;
   try {
-    pool = await sql.connect(DB_CONFIG);
+    const pool = await db.getPool();
 
     const queryText = `
       SELECT
-        ticket_number,
-        ucid,
-        agent_user,
-        log_date
-      FROM [${CALL_TABLE_NAME}]
-      WHERE ticket_number = @ticket
-      ORDER BY id DESC;
+        c.ticket_number,
+        c.ucid,
+        c.ucid_source,
+        c.ucid_confidence,
+        c.agent_user,
+        c.log_date,
+        d.code  AS disposition_code,
+        d.label AS disposition_label,
+        d.notes AS disposition_notes,
+        COALESCE(d.updated_at, d.created_at) AS disposed_at
+      FROM [${CALL_TABLE_NAME}] c
+      LEFT JOIN [${DISPOSITION_TABLE_NAME}] d ON d.call_log_id = c.id
+      WHERE c.ticket_number = @ticket
+        AND c.interaction_id IS NOT NULL        -- failed dial attempts have no call behind them
+      ORDER BY c.id DESC;
     `;
 
     const result = await pool.request()
@@ -49,15 +49,19 @@ router.get('/ucidByTicket', async (req, res) => {
         items: rows.map(r => ({
             ticket_number: r.ticket_number,
             ucid: r.ucid,
+            ucid_source: r.ucid_source,         // java / onex live, acr_search / java_history when backfilled
+            ucid_confidence: r.ucid_confidence, // exact / high / medium / low
             agent_user: r.agent_user,
-            log_date: r.log_date
+            log_date: r.log_date,
+            disposition_code: r.disposition_code,
+            disposition_label: r.disposition_label,
+            disposition_notes: r.disposition_notes,
+            disposed_at: r.disposed_at
         }))
         });
         
   } catch (e) {
     return res.status(500).json({ ok: false, message: e.message || 'DB error' });
-  } finally {
-    try { if (pool) await pool.close(); } catch {}
   }
 });
 
@@ -1,21 +1,25 @@
 // api/onex.js
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const xml2js = require('xml2js');
 const sql = require('mssql');
+const db = require('../lib/db');
 const logger = require('../logger'); // daily-rotate logger
+const { buildBaseUrl, oneXVoiceAction, oneXAgentAction, nextNotification } = require('../lib/onex-client');
+const sessions = require('../lib/onex-sessions');
+const notifications = require('../lib/onex-notifications');
+const commandQueue = require('../lib/command-queue');
+const { idempotent } = require('../lib/idempotency');
+const { validate } = require('../lib/validation');
+const deviceMap = require('../lib/device-map');
+const dialPlan = require('../lib/dial-plan');
+const dialGuard = require('../lib/dial-guard');
+const deviceHealth = require('../lib/device-health');
+const javaUcid = require('../lib/java-ucid-client');
+const wallClock = require('../lib/wall-clock');
+const { sendJson } = require('../lib/respond');
 
 // ===== DB CONFIG =====
-const DB_PORT = process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : undefined;
-const DB_CONFIG = {
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  server: process.env.DB_SERVER,
-  port: Number.isFinite(DB_PORT) ? DB_PORT : undefined, // e.g. 1428
-  database: process.env.DB_NAME,
-  options: { encrypt: false, trustServerCertificate: true }
-};
+const { DB_CONFIG } = db; // shared pool (lib/db.js); required vars checked by assertEnv
 
 // Table names (explicit)
 const CALL_TABLE_NAME   = process.env.CALL_TABLE_NAME;   // must include a NOT NULL station column
@@ -25,22 +29,42 @@ const ACTION_TABLE_NAME = process.env.ACTION_TABLE_NAME; // unchanged
 const UCID_POLL_INTERVAL_MS   = parseInt(process.env.UCID_POLL_INTERVAL_MS, 10);
 const UCID_POLL_MAX_ATTEMPTS  = parseInt(process.env.UCID_POLL_MAX, 10);
 
-// ===== One-X config (strict: env only) =====
-const ONEX_SCHEME   = process.env.ONEX_SCHEME;   // http or https
-const ONEX_PORT     = process.env.ONEX_PORT;     // e.g. 60000
-const ONEX_API_PATH = process.env.ONEX_API_PATH; // e.g. /onexagent/api
+// ===== Inbound screen pop =====
+const ANI_MATCH_DIGITS = parseInt(process.env.ANI_MATCH_DIGITS || '9', 10); // trailing digits compared
+
+// ===== Agent work state =====
+const AGENT_STATE_TABLE_NAME = process.env.AGENT_STATE_TABLE_NAME || 'OnexAgentStateLogs';
+// AUX (not-ready) reason codes as "code=Label,code=Label"
+const AUX_REASON_CODES = parseReasonCodes(
+  process.env.AUX_REASON_CODES || '1=Break,2=Lunch,3=Meeting,4=Training,5=Coaching,6=Personal'
+);
+function parseReasonCodes(spec) {
+  const map = new Map();
+  for (const pair of String(spec).split(',')) {
+    const [code, ...label] = pair.split('=');
+    if (code && code.trim()) map.set(code.trim(), label.join('=').trim() || code.trim());
+  }
+  return map;
+}
 
-// Optional dial prefix (e.g., "9" or "+962")
-const CALL_PREFIX = process.env.CALL_PREFIX || '';
+// ===== Call dispositions (wrap-up codes) =====
+const DISPOSITION_TABLE_NAME = process.env.DISPOSITION_TABLE_NAME || 'OnexCallDispositions';
+// Catalogue as "CODE=Label,CODE=Label"
+const DISPOSITION_CODES = parseReasonCodes(
+  process.env.DISPOSITION_CODES ||
+  'REACHED=Reached customer,NO_ANSWER=No answer,BUSY=Line busy,VOICEMAIL=Left voicemail,' +
+  'WRONG_NUMBER=Wrong number,CALLBACK=Callback requested,NOT_INTERESTED=Not interested'
+);
+
+// ===== DTMF config =====
+const DTMF_INTER_DIGIT_MS = parseInt(process.env.DTMF_INTER_DIGIT_MS || '0', 10);  // 0 = send the whole string at once
+const DTMF_PAUSE_MS       = parseInt(process.env.DTMF_PAUSE_MS || '1000', 10);     // per ',' in the digit string
+const DTMF_MAX_DIGITS     = 64;
 
 // ===== Utils =====
-const parseXml = async (xml) => await xml2js.parseStringPromise(xml);
 const maskPhone = (p) => (p ? String(p).replace(/.(?=.{4})/g, '*') : p);
-function withPrefix(phone) {
-  const p = String(phone || '');
-  if (!CALL_PREFIX) return p;
-  return p.startsWith(CALL_PREFIX) ? p : `${CALL_PREFIX}${p}`;
-}
+const maskDigits = (d) => (d ? String(d).replace(/[0-9A-D]/gi, '*') : d);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 function assertEnv() {
   const missing = [];
 
@@ -58,10 +82,10 @@ function assertEnv() {
   if (!Number.isFinite(UCID_POLL_INTERVAL_MS))   missing.push('UCID_POLL_INTERVAL_MS');
   if (!Number.isFinite(UCID_POLL_MAX_ATTEMPTS))  missing.push('UCID_POLL_MAX');
 
-  // One-X API (required)
-  if (!ONEX_SCHEME)    missing.push('ONEX_SCHEME');
-  if (!ONEX_PORT)      missing.push('ONEX_PORT');
-  if (!ONEX_API_PATH)  missing.push('ONEX_API_PATH');
+  // One-X API (required, consumed by lib/onex-client.js)
+  if (!process.env.ONEX_SCHEME)    missing.push('ONEX_SCHEME');
+  if (!process.env.ONEX_PORT)      missing.push('ONEX_PORT');
+  if (!process.env.ONEX_API_PATH)  missing.push('ONEX_API_PATH');
 
   // Java UCID monitor (NOW REQUIRED)
   if (!process.env.JAVA_UCID_BASEURL) missing.push('JAVA_UCID_BASEURL');
@@ -78,179 +102,535 @@ function assertEnv() {
 }
 assertEnv();
 
-function buildBaseUrl(deviceIp) {
-  if (typeof deviceIp === 'string' && /^https?:\/\//i.test(deviceIp)) {
-    const url = new URL(deviceIp);
-    if (ONEX_API_PATH && !url.pathname.endsWith(ONEX_API_PATH)) {
-      url.pathname = (url.pathname.replace(/\/+$/, '') || '') + ONEX_API_PATH;
-    }
-    return url.toString();
-  }
-  const host = (deviceIp || '').trim();
-  if (!host) throw new Error('Missing required deviceIp');
-  if (!/^[a-zA-Z0-9.\-:]+$/.test(host)) throw new Error('Invalid device IP/host');
-  const needsPort = !host.includes(':');
-  const portPart = needsPort ? `:${ONEX_PORT}` : '';
-  return `${ONEX_SCHEME}://${host}${portPart}${ONEX_API_PATH}`;
+// ===== One-X client selection =====
+// A caller-supplied clientid is used as-is; otherwise the device's long-lived
+// session is used (registered on first use, re-registered if One-X drops it).
+// Commands are serialized per device: one One-X command in flight per agent phone.
+async function withClient(deviceIp, providedClientId, ctx, fn) {
+  const baseUrl = buildBaseUrl(deviceIp);
+  return commandQueue.enqueue(baseUrl, () => (
+    providedClientId ? fn(providedClientId, baseUrl) : sessions.withClient(deviceIp, ctx, fn)
+  ), ctx);
 }
 
-// ===== One-X helpers =====
-async function registerClient(name, baseUrl, ctx) {
-  logger.info('Registering One-X client', { ...ctx, clientName: name });
-  const r = await axios.get(`${baseUrl}/registerclient`, { params: { name }, timeout: 10000 });
-  const parsed = await parseXml(String(r.data || ''));
-  const attrs = parsed?.RegisterClientResponse?.$ || {};
-  logger.info('registerclient parsed', { ...ctx, attrs });
-  return attrs; // { ResponseCode, ClientId? }
+// Polls /nextnotification on a caller-owned client (no pump) for VoiceInteractionCreated
+async function pollInteractionCreated(baseUrl, clientid, ctx) {
+  for (let attempts = 1; attempts <= UCID_POLL_MAX_ATTEMPTS; attempts++) {
+    try {
+      const notify = await nextNotification(baseUrl, clientid);
+      const voice = notify?.VoiceInteractionCreated?.[0]?.$;
+      if (voice) return voice;
+    } catch (pollErr) {
+      logger.warn('nextnotification poll error', { ...ctx, attempt: attempts, error: pollErr.message });
+    }
+    await sleep(UCID_POLL_INTERVAL_MS);
+  }
+  return null;
 }
-async function unregisterClient(clientid, baseUrl, ctx) {
+
+// clientId -> interaction-creating actions in flight. While one runs, a voice.created on that
+// client is the call being placed, never an inbound one (isInboundCreated), whatever state
+// One-X first reports it in.
+const placingCalls = new Map();
+
+// Runs a voice action that creates a new interaction (makecall, consult). Resolves
+// { result, created } as soon as One-X answers the command, so a caller inside withClient()
+// frees the device queue; `created` then resolves with the VoiceInteractionCreated attrs (or
+// null) and is awaited outside the queue. On a device session the notification pump owns
+// /nextnotification, so the listener is attached before the action to not miss the event; a
+// caller-owned clientid (callerOwned=true) is polled directly.
+async function actionCreatingInteraction(baseUrl, clientid, callerOwned, action, params, ctx) {
+  const waiter = callerOwned ? null : notifications.waitFor(
+    (evt) => evt.clientId === clientid && evt.type === 'voice.created',
+    UCID_POLL_INTERVAL_MS * UCID_POLL_MAX_ATTEMPTS
+  );
+  placingCalls.set(clientid, (placingCalls.get(clientid) || 0) + 1);
+  const placed = () => {
+    const left = placingCalls.get(clientid) - 1;
+    if (left > 0) placingCalls.set(clientid, left);
+    else placingCalls.delete(clientid);
+  };
+
+  let result;
   try {
-    logger.info('Unregistering One-X client', { ...ctx, clientId: clientid });
-    await axios.get(`${baseUrl}/unregisterclient`, { params: { clientid }, timeout: 10000 });
-    logger.info('Unregistered One-X client', { ...ctx, clientId: clientid });
-  } catch (err) {
-    logger.warn('unregisterClient error', { ...ctx, error: err.message });
+    result = await oneXVoiceAction(baseUrl, action, params, ctx);
+  } catch (e) {
+    if (waiter) waiter.cancel();
+    placed();
+    throw e;
   }
-}
-async function ensureClient(baseUrl, preferredName, providedClientId, ctx) {
-  if (providedClientId) return { clientId: providedClientId, created: false };
-  const reg = await registerClient(preferredName, baseUrl, ctx);
-  const clientId = reg.ClientId || reg.clientId;
-  if (!clientId) throw new Error('Failed to register One-X client');
-  return { clientId, created: true };
-}
-async function oneXVoiceAction(baseUrl, action, params, ctx) {
-  const r = await axios.get(`${baseUrl}/voice/${action}`, { params, timeout: 15000 });
-  const parsed = await parseXml(String(r.data || ''));
-  const rootKey = Object.keys(parsed)[0] || '';
-  const attrs = parsed?.[rootKey]?.$ || {};
-  logger.info(`One-X ${action} response`, { ...ctx, status: r.status, attrs });
-  return { status: r.status, attrs };
+  const code = result.attrs.ResponseCode;
+  if (code !== undefined && code !== '0') { // rejected (or stale client → retried by session)
+    if (waiter) waiter.cancel();
+    placed();
+    return { result, created: Promise.resolve(null) };
+  }
+  const created = (waiter
+    ? waiter.promise.then(evt => evt?.attrs || null)
+    : pollInteractionCreated(baseUrl, clientid, ctx)
+  ).finally(placed);
+  return { result, created };
 }
 
-// ===== Java UCID monitor call (REQUIRED) =====
-const JAVA_UCID_BASEURL = process.env.JAVA_UCID_BASEURL; // REQUIRED
-const UCID_MONITOR_TIMEOUT_MS = parseInt(process.env.UCID_MONITOR_TIMEOUT_MS, 10);
+// 400 for a number the dial plan rejects (nothing is sent to One-X)
+function invalidNumber(res, field, dialed, ctx) {
+  logger.warn('number rejected by dial plan', { ...ctx, field, reason: dialed.reason });
+  return sendJson(res, 400, {
+    success: false,
+    errors: [{ field, code: dialed.reason, message: dialed.message }],
+    message: `Invalid ${field}: ${dialed.message}`
+  });
+}
 
-async function getUcidFromJava(station, timeoutMs = UCID_MONITOR_TIMEOUT_MS, ctx = {}) {
-  const url = `${JAVA_UCID_BASEURL.replace(/\/+$/, '')}/monitor`;
-  const r = await axios.get(url, { params: { station, timeout: timeoutMs }, timeout: timeoutMs + 2000 });
-  const data = r.data || {};
-  if (data.ok && data.ucid) {
-    logger.info('Java UCID monitor returned', { ...ctx, station, ucid: data.ucid });
-    return data.ucid;
-  }
-  logger.warn('Java UCID monitor no-ucid', { ...ctx, station, status: r.status, data });
-  return null;
+// Shared flow for single-step voice commands: validate required query params, run the
+// action on the device client, write the action log and answer 200 / 400 / 502 / 500.
+// `params(q, dialed)` maps the query to One-X params (clientid is added); `dial` names a
+// phone-number param run through the dial plan first (`dialed`, 400 if invalid). `endsCall` is
+// the end reason booked on the call record when the command takes the agent off the call.
+function voiceCommand({ op, action, required, params, dial, onSuccess, endsCall }) {
+  return async (req, res) => {
+    const q = req.query;
+    const { deviceIp, interactionid, agentUser } = q;
+    let { clientid } = q;
+    const ctx = { op, agentUser: agentUser || '', interactionid, station: q.station || undefined };
+
+    const missing = required.filter((k) => !q[k]);
+    if (missing.length) {
+      return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
+    }
+    const dialed = dial ? dialPlan.resolve(q[dial]) : null;
+    if (dialed && !dialed.ok) return invalidNumber(res, dial, dialed, ctx);
+
+    // Marked before the action: One-X may report the termination before it answers us
+    if (endsCall) markAgentReleased(interactionid, endsCall);
+    try {
+      const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+        clientid = cid;
+        return oneXVoiceAction(baseUrl, action, { clientid, ...params(q, dialed) }, ctx);
+      });
+      const ok = attrs.ResponseCode === '0';
+      if (endsCall && !ok) agentReleased.delete(interactionid);
+
+      await insertOnexActionLog({
+        action: op,
+        deviceIp,
+        interactionId: interactionid,
+        success: ok,
+        agentUser: agentUser || ''
+      });
+
+      if (!ok) {
+        return sendJson(res, 502, { success: false, code: attrs.ResponseCode, clientId: clientid, interactionId: interactionid });
+      }
+      if (onSuccess) onSuccess(q);
+      if (endsCall) updateCallState(interactionid, 'released', { reason: endsCall });
+      return sendJson(res, 200, { success: true, code: attrs.ResponseCode, clientId: clientid, interactionId: interactionid });
+    } catch (e) {
+      logger.error(`${op.toLowerCase()} error`, { ...ctx, error: e.message });
+      if (endsCall) agentReleased.delete(interactionid);
+      await insertOnexActionLog({
+        action: op,
+        deviceIp,
+        interactionId: interactionid,
+        success: false,
+        agentUser: agentUser || ''
+      });
+      return sendJson(res, failStatus(e), { success: false, message: e.message });
+    }
+  };
 }
 
 // ===== DB logging =====
-// Insert into dbo.OnexCallLogs (now requires station NOT NULL too)
+// Insert into dbo.OnexCallLogs (now requires station NOT NULL too).
+// Failed dial attempts are written too: outcome != 'success', call_state 'failed', no interaction.
+// `ucidSource` (java / onex) marks where a live UCID came from; rows without one are
+// backfilled later by lib/ucid-reconciler.js.
 async function insertOnexCallLog({
   ucid,
+  ucidSource = null,
   ticketNumber,
   clientPhone,
   deviceIp,
   clientId,
   interactionId,
   agentUser,
-  station
+  station,
+  direction = 'out',
+  outcome = 'success',
+  errorDetail = null,
+  callState = outcome !== 'success' ? 'failed' : direction === 'in' ? 'ringing' : 'dialing'
 }) {
-  if (!interactionId || !clientId || !station) {
+  if (!station || (outcome === 'success' && (!interactionId || !clientId))) {
     logger.warn('[DB] Skipping OnexCallLogs insert: missing interactionId, clientId, or station', {
       hasUcid: !!ucid, hasInteractionId: !!interactionId, hasClientId: !!clientId, hasStation: !!station
     });
     return;
   }
-  let pool;
   try {
-    pool = await sql.connect(DB_CONFIG);
+    const pool = await db.getPool();
     await pool.request()
       .input('ucid',            sql.VarChar(sql.MAX), ucid)
       .input('ticket_number',   sql.VarChar(100), ticketNumber || '')
       .input('client_phone',    sql.VarChar(50),  clientPhone || '')
       .input('device_ip',       sql.VarChar(50),  deviceIp || '')
-      .input('client_id',       sql.VarChar(75),  clientId)
-      .input('interaction_id',  sql.VarChar(100), interactionId)
+      .input('client_id',       sql.VarChar(75),  clientId || null)
+      .input('interaction_id',  sql.VarChar(100), interactionId || null)
       .input('agent_user',      sql.VarChar(100), agentUser || null)
       .input('station',         sql.VarChar(20),  station)
+      .input('direction',       sql.VarChar(3),   direction)
+      .input('call_state',      sql.VarChar(20),  callState)
+      .input('outcome',         sql.VarChar(30),  outcome)
+      .input('error_detail',    sql.VarChar(400), errorDetail ? String(errorDetail).slice(0, 400) : null)
+      .input('ucid_source',     sql.VarChar(20),  ucid ? ucidSource : null)
+      .input('ucid_confidence', sql.VarChar(10),  ucid ? 'exact' : null)
       .query(`
         INSERT INTO ${CALL_TABLE_NAME}
-          (ucid, ticket_number, client_phone, device_ip, client_id, interaction_id, agent_user, station)
+          (ucid, ticket_number, client_phone, device_ip, client_id, interaction_id, agent_user, station, direction,
+           call_state, outcome, error_detail, ucid_source, ucid_confidence)
         VALUES
-          (@ucid, @ticket_number, @client_phone, @device_ip, @client_id, @interaction_id, @agent_user, @station)
+          (@ucid, @ticket_number, @client_phone, @device_ip, @client_id, @interaction_id, @agent_user, @station, @direction,
+           @call_state, @outcome, @error_detail, @ucid_source, @ucid_confidence)
       `);
-    logger.info('[DB] OnexCallLogs insert OK');
+    logger.info('[DB] OnexCallLogs insert OK', { direction, outcome });
   } catch (e) {
     logger.error('[DB] OnexCallLogs insert failed', { error: e.message });
-  } finally {
-    try { if (pool) await pool.close(); } catch {}
+    return;
+  }
+  if (interactionId) await applyPendingCallStates(interactionId);
+}
+
+// ===== Call lifecycle (OnexCallLogs state columns) =====
+// dialing → ringing → connected ⇄ held → released. `released` is final; once answered a
+// call never goes back to dialing/ringing. Hold time accumulates per held→connected leg and
+// talk_seconds = ended_at − answered_at − hold_seconds.
+const CALL_STATES = {
+  initiated: 'dialing', dialing: 'dialing',
+  alerting: 'ringing', ringing: 'ringing',
+  active: 'connected', talking: 'connected', connected: 'connected', established: 'connected',
+  held: 'held', hold: 'held', onhold: 'held',
+  idle: 'released', released: 'released', terminated: 'released', disconnected: 'released', dropped: 'released'
+};
+const PENDING_CALL_STATE_TTL_MS = 10 * 60 * 1000;
+const pendingCallStates = new Map(); // interactionId -> [{ state, reason, at }] seen before the row existed
+const agentReleased = new Map();     // interactionId -> end reason set by our own route (release, transfer)
+
+// Timestamps use the DB clock like log_date (SYSDATETIME(), server local time), never the Node clock:
+// `at` only says how long ago the event happened, so a replayed or late notification keeps its offset.
+async function updateCallState(interactionId, state, { reason = null, at = new Date() } = {}) {
+  if (!interactionId || !state) return;
+  try {
+    const pool = await db.getPool();
+    const r = await pool.request()
+      .input('interaction_id', sql.VarChar(100), interactionId)
+      .input('state',          sql.VarChar(20),  state)
+      .input('reason',         sql.VarChar(30),  reason)
+      .input('age_ms',         sql.Int,          Math.max(0, Date.now() - at.getTime()) || 0)
+      .query(`
+        DECLARE @at DATETIME2(1) = DATEADD(MILLISECOND, -@age_ms, SYSDATETIME());
+        UPDATE ${CALL_TABLE_NAME} SET
+          call_state   = @state,
+          answered_at  = CASE WHEN @state IN ('connected', 'held') AND answered_at IS NULL THEN @at ELSE answered_at END,
+          held_at      = CASE WHEN @state = 'held' THEN COALESCE(held_at, @at) ELSE NULL END,
+          hold_seconds = hold_seconds
+                         + CASE WHEN @state <> 'held' AND held_at IS NOT NULL THEN DATEDIFF(SECOND, held_at, @at) ELSE 0 END,
+          ended_at     = CASE WHEN @state = 'released' THEN @at ELSE ended_at END,
+          end_reason   = CASE WHEN @state = 'released' THEN @reason ELSE end_reason END,
+          talk_seconds = CASE WHEN @state = 'released' AND answered_at IS NOT NULL
+                              THEN DATEDIFF(SECOND, answered_at, @at) - hold_seconds
+                                   - CASE WHEN held_at IS NOT NULL THEN DATEDIFF(SECOND, held_at, @at) ELSE 0 END
+                              ELSE talk_seconds END
+        WHERE interaction_id = @interaction_id
+          AND call_state <> 'released'
+          AND NOT (@state IN ('dialing', 'ringing') AND answered_at IS NOT NULL)
+      `);
+    const updated = r.rowsAffected?.[0] || 0;
+    logger.info('[DB] call state', { interactionId, state, reason, updated });
+    if (!updated) rememberPendingCallState(interactionId, { state, reason, at });
+  } catch (e) {
+    logger.error('[DB] call state update failed', { error: e.message, interactionId, state });
+  }
+}
+
+// startcall inserts its row only after the UCID lookup, so early notifications are kept
+// here and replayed once the row exists
+function rememberPendingCallState(interactionId, entry) {
+  const list = pendingCallStates.get(interactionId) || [];
+  list.push(entry);
+  pendingCallStates.set(interactionId, list);
+  setTimeout(() => pendingCallStates.delete(interactionId), PENDING_CALL_STATE_TTL_MS).unref();
+}
+async function applyPendingCallStates(interactionId) {
+  const list = pendingCallStates.get(interactionId);
+  if (!list) return;
+  pendingCallStates.delete(interactionId);
+  for (const entry of list) await updateCallState(interactionId, entry.state, entry);
+}
+
+// Marks a release we asked for, so the following One-X termination isn't booked as far-end
+function markAgentReleased(interactionId, reason) {
+  agentReleased.set(interactionId, reason);
+  setTimeout(() => agentReleased.delete(interactionId), PENDING_CALL_STATE_TTL_MS).unref();
+}
+
+function callStateOf(evt) {
+  if (evt.type === 'voice.terminated' || evt.type === 'voice.missed') return 'released';
+  if (evt.type !== 'voice.updated' && evt.type !== 'voice.created') return null;
+  return CALL_STATES[String(evt.state || '').toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+notifications.bus.on('event', (evt) => {
+  if (evt.type === 'voice.inbound' || !evt.interactionId) return;
+  const state = callStateOf(evt);
+  if (!state) return;
+  const reason = state !== 'released'
+    ? null
+    : agentReleased.get(evt.interactionId) || (evt.type === 'voice.missed' ? 'missed' : 'far_end');
+  updateCallState(evt.interactionId, state, { reason, at: new Date(evt.at) });
+});
+
+// Most recent ticket for a caller: matches the last ANI_MATCH_DIGITS digits of client_phone,
+// so 05x / 9665x / +9665x forms of the same number hit the same rows
+async function findTicketByCaller(callerNumber) {
+  const digits = String(callerNumber || '').replace(/\D/g, '');
+  if (digits.length < ANI_MATCH_DIGITS) return null; // internal extension or withheld number
+  const tail = digits.slice(-ANI_MATCH_DIGITS);
+  try {
+    const pool = await db.getPool();
+    const r = await pool.request()
+      .input('n',    sql.Int,         ANI_MATCH_DIGITS)
+      .input('tail', sql.VarChar(50), tail)
+      .query(`
+        SELECT TOP 1 ticket_number, ucid, log_date
+        FROM ${CALL_TABLE_NAME}
+        WHERE RIGHT(client_phone, @n) = @tail AND ticket_number <> ''
+        ORDER BY id DESC
+      `);
+    return r.recordset[0] || null;
+  } catch (e) {
+    logger.error('[DB] findTicketByCaller failed', { error: e.message, callerMasked: maskPhone(digits) });
+    return null;
   }
 }
 
-// Insert into dbo.OnexActionLogs (unchanged schema)
+// Insert into dbo.OnexActionLogs (detail: optional free text, never raw digits/numbers)
 async function insertOnexActionLog({
   action,
   deviceIp,
   interactionId,
   success,
-  agentUser
+  agentUser,
+  detail
 }) {
   const safeInteractionId = interactionId || '(by-ip)';
-  let pool;
   try {
-    pool = await sql.connect(DB_CONFIG);
+    const pool = await db.getPool();
     await pool.request()
       .input('action',        sql.VarChar(50),  action || '')
       .input('device_ip',     sql.VarChar(50),  deviceIp || '')
       .input('interaction_id',sql.VarChar(100), safeInteractionId)
       .input('success',       sql.Bit,          success ? 1 : 0)
       .input('agent_user',    sql.VarChar(100), agentUser || null)
+      .input('detail',        sql.VarChar(200), detail || null)
       .query(`
         INSERT INTO ${ACTION_TABLE_NAME}
-          (action, device_ip, interaction_id, success, agent_user)
+          (action, device_ip, interaction_id, success, agent_user, detail)
         VALUES
-          (@action, @device_ip, @interaction_id, @success, @agent_user)
+          (@action, @device_ip, @interaction_id, @success, @agent_user, @detail)
       `);
     logger.info('[DB] OnexActionLogs insert OK', { action, success });
   } catch (e) {
     logger.error('[DB] OnexActionLogs insert failed', { error: e.message, action });
-  } finally {
-    try { if (pool) await pool.close(); } catch {}
   }
 }
 
-// ===== Server time helpers (no TZ conversion) =====
-function nowServerDateTime() {
-  const now = new Date(); // server clock
-  const pad = (n) => String(n).padStart(2, '0');
-  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
-  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
-  return { date, time };
+// Insert into dbo.OnexAgentStateLogs (one row per requested state change)
+async function insertAgentStateLog({
+  agentUser,
+  deviceIp,
+  station,
+  state,
+  reasonCode,
+  reasonLabel,
+  success
+}) {
+  try {
+    const pool = await db.getPool();
+    await pool.request()
+      .input('agent_user',   sql.VarChar(100), agentUser || null)
+      .input('device_ip',    sql.VarChar(50),  deviceIp || '')
+      .input('station',      sql.VarChar(20),  station || null)
+      .input('state',        sql.VarChar(20),  state)
+      .input('reason_code',  sql.VarChar(10),  reasonCode || null)
+      .input('reason_label', sql.VarChar(50),  reasonLabel || null)
+      .input('success',      sql.Bit,          success ? 1 : 0)
+      .query(`
+        INSERT INTO ${AGENT_STATE_TABLE_NAME}
+          (agent_user, device_ip, station, state, reason_code, reason_label, success)
+        VALUES
+          (@agent_user, @device_ip, @station, @state, @reason_code, @reason_label, @success)
+      `);
+    logger.info('[DB] OnexAgentStateLogs insert OK', { state, success });
+  } catch (e) {
+    logger.error('[DB] OnexAgentStateLogs insert failed', { error: e.message, state });
+  }
+}
+
+// Upserts the disposition of the latest call row for interactionId (or, without it, ucid).
+// Resolves the linked call row { call_log_id, interaction_id, ucid, ticket_number } or null.
+async function saveDisposition({ interactionId, ucid, code, label, notes, callbackAt, agentUser }) {
+  const pool = await db.getPool();
+  const r = await pool.request()
+    .input('interaction_id', sql.VarChar(100),    interactionId || null)
+    .input('ucid',           sql.VarChar(40),     ucid || null)
+    .input('code',           sql.VarChar(30),     code)
+    .input('label',          sql.VarChar(100),    label)
+    .input('notes',          sql.NVarChar(1000),  notes || null)
+    .input('callback_at',    sql.DateTime2(0),    callbackAt || null)
+    .input('agent_user',     sql.VarChar(100),    agentUser || null)
+    .query(`
+      DECLARE @call_id INT = (
+        SELECT TOP 1 id FROM ${CALL_TABLE_NAME}
+        WHERE (@interaction_id IS NOT NULL AND interaction_id = @interaction_id)
+           OR (@interaction_id IS NULL AND ucid = @ucid)
+        ORDER BY id DESC
+      );
+      IF @call_id IS NOT NULL
+        MERGE ${DISPOSITION_TABLE_NAME} AS d
+        USING (SELECT @call_id AS call_log_id) AS s ON d.call_log_id = s.call_log_id
+        WHEN MATCHED THEN UPDATE SET
+          code = @code, label = @label, notes = @notes, callback_at = @callback_at,
+          agent_user = @agent_user, updated_at = SYSDATETIME()
+        WHEN NOT MATCHED THEN
+          INSERT (call_log_id, code, label, notes, callback_at, agent_user)
+          VALUES (@call_id, @code, @label, @notes, @callback_at, @agent_user);
+      SELECT id AS call_log_id, interaction_id, ucid, ticket_number
+      FROM ${CALL_TABLE_NAME} WHERE id = @call_id;
+    `);
+  return r.recordset[0] || null;
+}
+
+// 503 when the outbound policy refused the call (device circuit open), else 500
+const failStatus = (e) => (e.code === 'CIRCUIT_OPEN' ? 503 : 500);
+
+// ===== Inbound calls =====
+const callerNumberOf = (attrs) =>
+  attrs.CallingNumber || attrs.CallerNumber || attrs.ANI || attrs.PhoneNumber || attrs.RemoteAddress || null;
+
+// One-X marks direction on newer releases; otherwise a created interaction that is
+// already ringing (Alerting) at the agent is an inbound one, unless this process is placing
+// a call on that client (an outbound call may also be first reported Alerting)
+function isInboundCreated(evt) {
+  if (evt.type !== 'voice.created') return false;
+  const dir = evt.attrs.Direction || evt.attrs.CallDirection;
+  if (dir) return /^in/i.test(dir);
+  if (placingCalls.has(evt.clientId)) return false;
+  return /alert|ring/i.test(evt.state || '');
 }
 
-function sendJson(res, status, body) {
-  const { date, time } = nowServerDateTime();
-  return res.status(status).json({ ...body, date, time });
+// Screen pop: match the caller to their latest ticket, republish as `voice.inbound`
+// and write the inbound interaction to the call log
+async function handleInbound(evt) {
+  const callerNumber = callerNumberOf(evt.attrs);
+  const ctx = { op: 'INBOUND', deviceIp: evt.deviceIp, interactionId: evt.interactionId, callerMasked: maskPhone(callerNumber) };
+  const match = await findTicketByCaller(callerNumber);
+  logger.info('inbound call', { ...ctx, ticketNumber: match?.ticket_number || null });
+
+  notifications.publish({
+    ...evt,
+    type: 'voice.inbound',
+    at: new Date().toISOString(),
+    callerNumber,
+    ticketNumber: match?.ticket_number || null
+  });
+
+  await insertOnexCallLog({
+    ucid: evt.ucid,
+    ucidSource: 'onex',
+    ticketNumber: match?.ticket_number || '',
+    clientPhone: callerNumber,
+    deviceIp: evt.deviceIp,
+    clientId: evt.clientId,
+    interactionId: evt.interactionId,
+    agentUser: evt.agentUser || '',
+    station: evt.station || await deviceMap.stationFor(evt.deviceIp),
+    direction: 'in'
+  });
+}
+notifications.bus.on('event', (evt) => {
+  if (!isInboundCreated(evt)) return;
+  handleInbound(evt).catch((e) => logger.error('inbound handling failed', { deviceIp: evt.deviceIp, error: e.message }));
+});
+
+// ===== JSON bodies (POST) =====
+// Every control route also accepts POST with a JSON body carrying the same field names
+// as the GET query string, so phone numbers stay out of URLs and access logs.
+const BODY_FIELDS = {
+  deviceIp:             { type: 'host' },
+  clientid:             { type: 'string', max: 100 },
+  agentUser:            { type: 'string', max: 100 },
+  requestId:            { type: 'string', max: 200 },
+  station:              { type: 'string', max: 20, pattern: /^[0-9A-Za-z*#]+$/, hint: 'must be an extension (letters/digits)' },
+  ticketNumber:         { type: 'string', max: 100 },
+  clientPhone:          { type: 'phone' },
+  number:               { type: 'phone' },
+  interactionid:        { type: 'string', max: 100 },
+  consultinteractionid: { type: 'string', max: 100 },
+  digits:               { type: 'string', max: DTMF_MAX_DIGITS, pattern: /^[0-9A-Da-d*#,]+$/, hint: 'must be 0-9 A-D * # ,' },
+  interDigitMs:         { type: 'integer', min: 0, max: 5000 },
+  agentId:              { type: 'string', max: 50 },
+  password:             { type: 'string', max: 50 },
+  reasonCode:           { type: 'string', max: 10 }
+};
+const OPTIONAL_BODY_FIELDS = ['clientid', 'agentUser', 'requestId'];
+
+// Builds a route schema from BODY_FIELDS: `required` names + optional names
+function bodySchema(required, optional = []) {
+  const schema = {};
+  for (const name of [...required, ...optional, ...OPTIONAL_BODY_FIELDS]) {
+    schema[name] = { ...BODY_FIELDS[name], required: required.includes(name) };
+  }
+  return schema;
+}
+
+// Validates req.body and hands the clean values to the shared handler as req.query
+function jsonBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length) {
+      const missing = errors.filter(e => e.code === 'required').map(e => e.field);
+      logger.warn('invalid request body', { path: `${req.baseUrl}${req.path}`, fields: errors.map(e => e.field) });
+      return sendJson(res, 400, { success: false, missing, errors, message: 'Invalid request body' });
+    }
+    req.query = value;
+    next();
+  };
+}
+
+// Registers a control route as POST (JSON body, preferred) and GET (query string, deprecated)
+function controlRoute(path, schema, handler) {
+  router.post(path, jsonBody(schema), idempotent, handler);
+  router.get(path, idempotent, handler);
 }
 
 // ====== ROUTES ======
 
 // === STARTCALL ===
-// GET /api/onex/startcall?ticketNumber&clientPhone&deviceIp&station[&agentUser][&clientid]
-router.get('/startcall', async (req, res) => {
-  const { ticketNumber, clientPhone, deviceIp, station, agentUser } = req.query;
+// station defaults to the device's OnexDeviceMap entry
+// POST|GET /api/onex/startcall?ticketNumber&clientPhone&deviceIp[&station][&agentUser][&clientid]
+controlRoute('/startcall', bodySchema(['ticketNumber', 'clientPhone', 'deviceIp'], ['station']), async (req, res) => {
+  const { ticketNumber, clientPhone, deviceIp, agentUser } = req.query;
+  let { station } = req.query;
   let { clientid } = req.query;
 
-  const dialNumber = withPrefix(clientPhone);
+  const dialed = clientPhone ? dialPlan.resolve(clientPhone) : null;
   const ctx = {
     ticketNumber,
     agentUser: agentUser || '',
     deviceIp,
     station,
     clientPhoneMasked: maskPhone(clientPhone),
-    dialNumberMasked: maskPhone(dialNumber),
-    callPrefixUsed: CALL_PREFIX || null,
+    dialNumberMasked: dialed?.ok ? maskPhone(dialed.dial) : null,
+    numberClass: dialed?.numberClass || null,
     reqId: `${Date.now()}_${Math.random().toString(36).slice(2,8)}`
   };
 
@@ -260,66 +640,96 @@ router.get('/startcall', async (req, res) => {
   if (!ticketNumber) missing.push('ticketNumber');
   if (!clientPhone)  missing.push('clientPhone');
   if (!deviceIp)     missing.push('deviceIp');
-  if (!station)      missing.push('station'); // NEW: station is required
   if (missing.length) {
     logger.warn('startcall missing parameters', { ...ctx, missing });
     return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
   }
+  if (!dialed.ok) return invalidNumber(res, 'clientPhone', dialed, ctx);
+  if (!station) {
+    station = await deviceMap.stationFor(deviceIp);
+    ctx.station = station;
+    if (!station) {
+      logger.warn('startcall: no station given or mapped', ctx);
+      return sendJson(res, 400, {
+        success: false,
+        missing: ['station'],
+        message: 'station is required when the device has no OnexDeviceMap entry'
+      });
+    }
+    logger.info('Resolved station from device map', ctx);
+  }
+
+  // Compliance: DNC list, calling hours, daily attempt cap
+  const verdict = await dialGuard.check(dialed, ctx);
+  if (!verdict.allowed) {
+    logger.warn('startcall blocked', { ...ctx, reasonCode: verdict.reasonCode, detail: verdict.detail });
+    await dialGuard.recordBlock({ ...verdict, e164: dialed.e164, clientPhone, ticketNumber, agentUser, deviceIp, station });
+    return sendJson(res, 403, {
+      success: false,
+      blocked: true,
+      reasonCode: verdict.reasonCode,
+      message: verdict.message,
+      detail: verdict.detail
+    });
+  }
   if (!Number.isFinite(UCID_POLL_INTERVAL_MS) || !Number.isFinite(UCID_POLL_MAX_ATTEMPTS)) {
     const msg = 'Polling variables not configured (UCID_POLL_INTERVAL_MS / UCID_POLL_MAX)';
     logger.error(msg, ctx);
     return sendJson(res, 500, { success: false, message: msg });
   }
 
-  let baseUrl;
   try {
-    baseUrl = buildBaseUrl(deviceIp);
+    buildBaseUrl(deviceIp);
   } catch (e) {
     logger.warn('buildBaseUrl failed', { ...ctx, error: e.message });
     return sendJson(res, 400, { success: false, message: e.message });
   }
 
-  const clientName = `CRM_${(agentUser || 'anon')}_${ticketNumber}_${Date.now()}`;
-  let createdTemp = false;
   let interactionId = null;
 
+  let created = null; // Promise<VoiceInteractionCreated attrs | null>
+  let javaUcidPromise = null;
   let ucidFromJava = null;
   let ucidFromOnex = null;
 
+  // Every attempt is logged; `stage` tells a registration failure from a makecall failure
+  let stage = 'register';
+  const logAttempt = (fields) => insertOnexCallLog({
+    ticketNumber,
+    clientPhone: dialed.e164 || clientPhone, // normalized so per-number attempts can be counted
+    deviceIp,
+    clientId: clientid,
+    agentUser: agentUser || '',
+    station,                        // NEW: persisted to DB (NOT NULL)
+    ...fields
+  });
+
   try {
-    const ensured = await ensureClient(baseUrl, clientName, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    // 1) Start Java UCID monitor for this station (REQUIRED path)
-    const javaUcidPromise = getUcidFromJava(station, UCID_MONITOR_TIMEOUT_MS, ctx);
-
-    // 2) Make the call
-    await axios.get(`${baseUrl}/voice/makecall`, {
-      params: { clientid, number: dialNumber, device: deviceIp },
-      timeout: 15000
-    });
-
-    // 3) Poll One-X notifications for VoiceInteractionCreated (interactionId + maybe UCID)
-    let attempts = 0;
-    while (attempts < UCID_POLL_MAX_ATTEMPTS && (!interactionId || !ucidFromOnex)) {
-      attempts++;
-      try {
-        const notifyRes = await axios.get(`${baseUrl}/nextnotification`, {
-          params: { clientid },
-          timeout: 15000
+    const { attrs } = await withClient(deviceIp, clientid, ctx, async (cid, baseUrl) => {
+      clientid = cid;
+      stage = 'makecall';
+
+      // 1) Start Java UCID monitor for this station (REQUIRED path, once even if makecall is retried)
+      if (!javaUcidPromise) {
+        javaUcidPromise = javaUcid.getUcid(station, javaUcid.UCID_MONITOR_TIMEOUT_MS, ctx).catch((e) => {
+          logger.warn('Java UCID monitor error', { ...ctx, error: e.message });
+          return null;
         });
-        const parsedNotify = await parseXml(String(notifyRes.data || ''));
-        const voice = parsedNotify?.NextNotificationResponse?.VoiceInteractionCreated?.[0]?.$;
-        if (voice) {
-          interactionId = voice.ObjectId || interactionId;
-          ucidFromOnex = voice.UCID || ucidFromOnex;
-          break;
-        }
-      } catch (pollErr) {
-        logger.warn('nextnotification poll error', { ...ctx, attempt: attempts, error: pollErr.message });
       }
-      await new Promise((r) => setTimeout(r, UCID_POLL_INTERVAL_MS));
+
+      // 2) Make the call; the device queue is free again once One-X has answered makecall
+      const { result, created: voiceCreated } = await actionCreatingInteraction(
+        baseUrl, clientid, !!req.query.clientid, 'makecall', { clientid, number: dialed.dial, device: deviceIp }, ctx
+      );
+      created = voiceCreated;
+      return result;
+    });
+
+    // 3) Wait for VoiceInteractionCreated (interactionId + maybe UCID) outside the queue
+    const voice = await created;
+    if (voice) {
+      interactionId = voice.ObjectId || null;
+      ucidFromOnex = voice.UCID || null;
     }
 
     // 4) Await Java UCID result
@@ -328,39 +738,49 @@ router.get('/startcall', async (req, res) => {
     // Prefer Java UCID; fallback to One-X if Java didn’t return
     const ucid = ucidFromJava || ucidFromOnex || null;
 
-    // 5) Insert call log ONLY if we have required NOT NULLs
-    await insertOnexCallLog({
-      ucid,
-      ticketNumber,
-      clientPhone,
-      deviceIp,
-      clientId: clientid,
-      interactionId,
-      agentUser: agentUser || '',
-      station                         // NEW: persisted to DB (NOT NULL)
-    });
+    // 5) Log the attempt with its outcome
+    let outcome = 'success';
+    let errorDetail = null;
+    if (attrs.ResponseCode !== '0') {
+      outcome = 'makecall_failed';
+      errorDetail = `One-X makecall ResponseCode ${attrs.ResponseCode}`;
+    } else if (!interactionId) {
+      outcome = 'no_interaction';
+      errorDetail = `No VoiceInteractionCreated within ${UCID_POLL_INTERVAL_MS * UCID_POLL_MAX_ATTEMPTS} ms`;
+    } else if (!ucid) {
+      outcome = 'java_ucid_timeout';
+      errorDetail = 'No UCID from the Java monitor or One-X';
+    } else if (!ucidFromJava) {
+      errorDetail = 'UCID taken from One-X (Java monitor returned none)';
+    }
+    if (outcome !== 'success') logger.warn('startcall attempt failed', { ...ctx, outcome, errorDetail });
+    const ucidSource = ucidFromJava ? 'java' : ucidFromOnex ? 'onex' : null;
+    await logAttempt({ ucid, ucidSource, interactionId, outcome, errorDetail });
 
     return sendJson(res, 200, {
       success: !!interactionId,
+      outcome,
       ucid,
       interactionId: interactionId || null,
       clientId: clientid,
       dialed: clientPhone,
+      e164: dialed.e164,
+      numberClass: dialed.numberClass,
       station
     });
 
   } catch (err) {
-    logger.error('/startcall error', { ...ctx, error: err.message });
-    return sendJson(res, 500, { success: false, message: err.message || 'internal error' });
-  } finally {
-    if (createdTemp) { try { await unregisterClient(clientid, baseUrl, ctx); } catch {} }
+    const outcome = err.code === 'DEVICE_BUSY' ? 'device_busy' : `${stage}_failed`;
+    logger.error('/startcall error', { ...ctx, outcome, error: err.message });
+    await logAttempt({ outcome, errorDetail: err.message });
+    return sendJson(res, failStatus(err), { success: false, outcome, message: err.message || 'internal error' });
   }
 });
 
 
 // ==== RELEASE ====
-// GET /api/onex/release?deviceIp=IP&interactionid=VI[:GUID][&agentUser][&ticketNumber][&clientPhone]
-router.get('/release', async (req, res) => {
+// POST|GET /api/onex/release?deviceIp=IP&interactionid=VI[:GUID][&agentUser][&ticketNumber][&clientPhone]
+controlRoute('/release', bodySchema(['deviceIp', 'interactionid']), async (req, res) => {
   const { deviceIp, interactionid, agentUser } = req.query;
   let { clientid } = req.query;
   const ctx = { op: 'release', agentUser: agentUser || '', interactionid };
@@ -369,15 +789,15 @@ router.get('/release', async (req, res) => {
     return sendJson(res, 400, { success: false, message: 'deviceIp and interactionid are required' });
   }
 
-  let baseUrl, createdTemp = false;
+  markAgentReleased(interactionid, 'agent'); // before the action: One-X may report the termination first
   try {
-    baseUrl = buildBaseUrl(deviceIp);
-    const ensured = await ensureClient(baseUrl, `CRM_${agentUser || 'anon'}_RELEASE_${Date.now()}`, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    const { attrs } = await oneXVoiceAction(baseUrl, 'release', { clientid, interactionid }, ctx);
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXVoiceAction(baseUrl, 'release', { clientid, interactionid }, ctx);
+    });
     const ok = attrs.ResponseCode === '0';
+    if (ok) updateCallState(interactionid, 'released', { reason: 'agent' });
+    else agentReleased.delete(interactionid);
 
     await insertOnexActionLog({
       action: 'RELEASE',
@@ -400,6 +820,7 @@ router.get('/release', async (req, res) => {
 
   } catch (e) {
     logger.error('release error', { ...ctx, error: e.message });
+    agentReleased.delete(interactionid);
     await insertOnexActionLog({
       action: 'RELEASE',
       deviceIp,
@@ -407,17 +828,13 @@ router.get('/release', async (req, res) => {
       success: false,
       agentUser: agentUser || ''
     });
-    return sendJson(res, 500, { success: false, message: e.message });
-  } finally {
-    if (createdTemp) {
-      try { await unregisterClient(clientid, baseUrl, ctx); } catch {}
-    }
+    return sendJson(res, failStatus(e), { success: false, message: e.message });
   }
 });
 
 // ==== HOLD ====
-// GET /api/onex/hold?deviceIp=IP&interactionid=VI[:GUID][&clientid][&agentUser]
-router.get('/hold', async (req, res) => {
+// POST|GET /api/onex/hold?deviceIp=IP&interactionid=VI[:GUID][&clientid][&agentUser]
+controlRoute('/hold', bodySchema(['deviceIp', 'interactionid']), async (req, res) => {
   const { deviceIp, interactionid, agentUser } = req.query;
   let { clientid } = req.query;
   const ctx = { op: 'HOLD', agentUser: agentUser || '', interactionid };
@@ -426,16 +843,14 @@ router.get('/hold', async (req, res) => {
     return res.status(400).json({ success: false, message: 'deviceIp and interactionid are required' });
   }
 
-  let baseUrl, createdTemp = false;
   let ok = false;
   try {
-    baseUrl = buildBaseUrl(deviceIp);
-    const ensured = await ensureClient(baseUrl, `CRM_${agentUser || 'anon'}_HOLD_${Date.now()}`, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    const { attrs } = await oneXVoiceAction(baseUrl, 'hold', { clientid, interactionid }, ctx);
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXVoiceAction(baseUrl, 'hold', { clientid, interactionid }, ctx);
+    });
     ok = attrs.ResponseCode === '0';
+    if (ok) updateCallState(interactionid, 'held');
 
     await insertOnexActionLog({
       action: 'HOLD',
@@ -456,17 +871,13 @@ router.get('/hold', async (req, res) => {
       success: false,
       agentUser: agentUser || ''
     });
-    res.status(500).json({ success: false, message: e.message });
-  } finally {
-    if (createdTemp) {
-      try { await unregisterClient(clientid, baseUrl, ctx); } catch {}
-    }
+    res.status(failStatus(e)).json({ success: false, message: e.message });
   }
 });
 
 // ==== UNHOLD ====
-// GET /api/onex/unhold?deviceIp=IP&interactionid=...&[clientid][&agentUser]
-router.get('/unhold', async (req, res) => {
+// POST|GET /api/onex/unhold?deviceIp=IP&interactionid=...&[clientid][&agentUser]
+controlRoute('/unhold', bodySchema(['deviceIp', 'interactionid']), async (req, res) => {
   const { deviceIp, interactionid, agentUser } = req.query;
   let { clientid } = req.query;
   const ctx = { op: 'UNHOLD', agentUser: agentUser || '', interactionid };
@@ -475,16 +886,14 @@ router.get('/unhold', async (req, res) => {
     return res.status(400).json({ success: false, message: 'deviceIp and interactionid are required' });
   }
 
-  let baseUrl, createdTemp = false;
   let ok = false;
   try {
-    baseUrl = buildBaseUrl(deviceIp);
-    const ensured = await ensureClient(baseUrl, `CRM_${agentUser || 'anon'}_UNHOLD_${Date.now()}`, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    const { attrs } = await oneXVoiceAction(baseUrl, 'unhold', { clientid, interactionid }, ctx);
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXVoiceAction(baseUrl, 'unhold', { clientid, interactionid }, ctx);
+    });
     ok = attrs.ResponseCode === '0';
+    if (ok) updateCallState(interactionid, 'connected');
 
     await insertOnexActionLog({
       action: 'UNHOLD',
@@ -505,31 +914,25 @@ router.get('/unhold', async (req, res) => {
       success: false,
       agentUser: agentUser || ''
     });
-  } finally {
-    if (createdTemp) {
-      try { await unregisterClient(clientid, baseUrl, ctx); } catch {}
-    }
+    res.status(failStatus(e)).json({ success: false, message: e.message });
   }
 });
 
 // ==== MUTE ====
-// GET /api/onex/mute?deviceIp=IP[&interactionid][&agentUser]
-router.get('/mute', async (req, res) => {
+// POST|GET /api/onex/mute?deviceIp=IP[&interactionid][&agentUser]
+controlRoute('/mute', bodySchema(['deviceIp'], ['interactionid']), async (req, res) => {
   const { deviceIp, agentUser, interactionid } = req.query;
   let { clientid } = req.query;
   const ctx = { op: 'MUTE', agentUser: agentUser || '', interactionid: interactionid || null };
 
   if (!deviceIp) return res.status(400).json({ success: false, message: 'deviceIp is required' });
 
-  let baseUrl, createdTemp = false;
   let ok = false;
   try {
-    baseUrl = buildBaseUrl(deviceIp);
-    const ensured = await ensureClient(baseUrl, `CRM_${agentUser || 'anon'}_MUTE_${Date.now()}`, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    const { attrs } = await oneXVoiceAction(baseUrl, 'mute', { clientid }, ctx); // One-X mute does not use interactionid
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXVoiceAction(baseUrl, 'mute', { clientid }, ctx); // One-X mute does not use interactionid
+    });
     ok = attrs.ResponseCode === '0';
 
     await insertOnexActionLog({
@@ -551,32 +954,25 @@ router.get('/mute', async (req, res) => {
       success: false,
       agentUser: agentUser || ''
     });
-    res.status(500).json({ success: false, message: e.message });
-  } finally {
-    if (createdTemp) {
-      try { await unregisterClient(clientid, baseUrl, ctx); } catch {}
-    }
+    res.status(failStatus(e)).json({ success: false, message: e.message });
   }
 });
 
 // ==== UNMUTE ====
-// GET /api/onex/unmute?deviceIp=IP[&interactionid][&agentUser]
-router.get('/unmute', async (req, res) => {
+// POST|GET /api/onex/unmute?deviceIp=IP[&interactionid][&agentUser]
+controlRoute('/unmute', bodySchema(['deviceIp'], ['interactionid']), async (req, res) => {
   const { deviceIp, agentUser, interactionid } = req.query;
   let { clientid } = req.query;
   const ctx = { op: 'UNMUTE', agentUser: agentUser || '', interactionid: interactionid || null };
 
   if (!deviceIp) return res.status(400).json({ success: false, message: 'deviceIp is required' });
 
-  let baseUrl, createdTemp = false;
   let ok = false;
   try {
-    baseUrl = buildBaseUrl(deviceIp);
-    const ensured = await ensureClient(baseUrl, `CRM_${agentUser || 'anon'}_UNMUTE_${Date.now()}`, clientid, ctx);
-    clientid = ensured.clientId;
-    createdTemp = ensured.created;
-
-    const { attrs } = await oneXVoiceAction(baseUrl, 'unmute', { clientid }, ctx); // One-X unmute does not use interactionid
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXVoiceAction(baseUrl, 'unmute', { clientid }, ctx); // One-X unmute does not use interactionid
+    });
     ok = attrs.ResponseCode === '0';
 
     await insertOnexActionLog({
@@ -598,12 +994,717 @@ router.get('/unmute', async (req, res) => {
       success: false,
       agentUser: agentUser || ''
     });
-    res.status(500).json({ success: false, message: e.message });
-  } finally {
-    if (createdTemp) {
-      try { await unregisterClient(clientid, baseUrl, ctx); } catch {}
+    res.status(failStatus(e)).json({ success: false, message: e.message });
+  }
+});
+
+// ==== ANSWER ====
+// POST|GET /api/onex/answer?deviceIp=IP&interactionid=VI[:GUID][&station][&clientid][&agentUser]
+controlRoute('/answer', bodySchema(['deviceIp', 'interactionid'], ['station']), voiceCommand({
+  op: 'ANSWER',
+  action: 'answer',
+  required: ['deviceIp', 'interactionid'],
+  params: (q) => ({ interactionid: q.interactionid }),
+  onSuccess: (q) => updateCallState(q.interactionid, 'connected')
+}));
+
+// ==== TRANSFER (blind) ====
+// POST|GET /api/onex/transfer?deviceIp=IP&interactionid=VI[:GUID]&number=TARGET[&clientid][&agentUser]
+controlRoute('/transfer', bodySchema(['deviceIp', 'interactionid', 'number']), voiceCommand({
+  op: 'TRANSFER',
+  action: 'transfer',
+  required: ['deviceIp', 'interactionid', 'number'],
+  dial: 'number',
+  params: (q, dialed) => ({ interactionid: q.interactionid, number: dialed.dial }),
+  endsCall: 'transferred'
+}));
+
+// ==== CONSULT: START ====
+// Puts the customer on hold and dials the consult target; returns the consult leg's interaction id.
+// POST|GET /api/onex/consult/start?deviceIp=IP&interactionid=VI[:GUID]&number=TARGET[&clientid][&agentUser]
+controlRoute('/consult/start', bodySchema(['deviceIp', 'interactionid', 'number']), async (req, res) => {
+  const { deviceIp, interactionid, number, agentUser } = req.query;
+  let { clientid } = req.query;
+  const ctx = { op: 'CONSULT', agentUser: agentUser || '', interactionid, numberMasked: maskPhone(number) };
+
+  const missing = [];
+  if (!deviceIp)      missing.push('deviceIp');
+  if (!interactionid) missing.push('interactionid');
+  if (!number)        missing.push('number');
+  if (missing.length) {
+    return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
+  }
+  const dialed = dialPlan.resolve(number);
+  if (!dialed.ok) return invalidNumber(res, 'number', dialed, ctx);
+
+  let created = null;
+  try {
+    const { attrs } = await withClient(deviceIp, clientid, ctx, async (cid, baseUrl) => {
+      clientid = cid;
+      const { result, created: voiceCreated } = await actionCreatingInteraction(
+        baseUrl, clientid, !!req.query.clientid, 'consult', { clientid, interactionid, number: dialed.dial }, ctx
+      );
+      created = voiceCreated;
+      return result;
+    });
+    const consultInteractionId = (await created)?.ObjectId || null; // waited for outside the device queue
+    const ok = attrs.ResponseCode === '0';
+
+    await insertOnexActionLog({
+      action: 'CONSULT',
+      deviceIp,
+      interactionId: interactionid,
+      success: ok,
+      agentUser: agentUser || ''
+    });
+
+    if (!ok) {
+      return sendJson(res, 502, { success: false, code: attrs.ResponseCode, clientId: clientid, interactionId: interactionid });
+    }
+    return sendJson(res, 200, {
+      success: true,
+      code: attrs.ResponseCode,
+      clientId: clientid,
+      interactionId: interactionid,
+      consultInteractionId
+    });
+  } catch (e) {
+    logger.error('consult error', { ...ctx, error: e.message });
+    await insertOnexActionLog({
+      action: 'CONSULT',
+      deviceIp,
+      interactionId: interactionid,
+      success: false,
+      agentUser: agentUser || ''
+    });
+    return sendJson(res, failStatus(e), { success: false, message: e.message });
+  }
+});
+
+// ==== CONSULT: COMPLETE ====
+// Joins the held customer to the consult target and drops the agent.
+// POST|GET /api/onex/consult/complete?deviceIp=IP&interactionid=VI[:GUID]&consultinteractionid=VI[:GUID][&clientid][&agentUser]
+controlRoute('/consult/complete', bodySchema(['deviceIp', 'interactionid', 'consultinteractionid']), voiceCommand({
+  op: 'CONSULT_COMPLETE',
+  action: 'completetransfer',
+  required: ['deviceIp', 'interactionid', 'consultinteractionid'],
+  params: (q) => ({ interactionid: q.interactionid, consultinteractionid: q.consultinteractionid }),
+  endsCall: 'transferred'
+}));
+
+// ==== CONSULT: CANCEL ====
+// Releases the consult leg and takes the customer off hold.
+// POST|GET /api/onex/consult/cancel?deviceIp=IP&interactionid=VI[:GUID]&consultinteractionid=VI[:GUID][&clientid][&agentUser]
+controlRoute('/consult/cancel', bodySchema(['deviceIp', 'interactionid', 'consultinteractionid']), async (req, res) => {
+  const { deviceIp, interactionid, consultinteractionid, agentUser } = req.query;
+  let { clientid } = req.query;
+  const ctx = { op: 'CONSULT_CANCEL', agentUser: agentUser || '', interactionid, consultinteractionid };
+
+  const missing = [];
+  if (!deviceIp)             missing.push('deviceIp');
+  if (!interactionid)        missing.push('interactionid');
+  if (!consultinteractionid) missing.push('consultinteractionid');
+  if (missing.length) {
+    return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
+  }
+
+  // Both legs run in one queued callback, so no other command for the device lands in between
+  let codes = {};
+  try {
+    await withClient(deviceIp, clientid, ctx, async (cid, baseUrl) => {
+      clientid = cid;
+      codes = {};
+      const release = await oneXVoiceAction(baseUrl, 'release', { clientid, interactionid: consultinteractionid }, ctx);
+      codes.release = release.attrs.ResponseCode;
+      // A rejected client fails both legs alike: hand it back so the session re-registers and reruns both
+      if (sessions.isInvalidClientCode(codes.release)) return release;
+      // Retrieve the customer even if the consult leg was already gone
+      const unhold = await oneXVoiceAction(baseUrl, 'unhold', { clientid, interactionid }, ctx);
+      codes.unhold = unhold.attrs.ResponseCode;
+      return unhold;
+    });
+    const ok = codes.unhold === '0';
+
+    await insertOnexActionLog({
+      action: 'CONSULT_CANCEL',
+      deviceIp,
+      interactionId: interactionid,
+      success: ok,
+      agentUser: agentUser || ''
+    });
+
+    if (!ok) {
+      return sendJson(res, 502, { success: false, codes, clientId: clientid, interactionId: interactionid });
+    }
+    return sendJson(res, 200, { success: true, codes, clientId: clientid, interactionId: interactionid });
+  } catch (e) {
+    logger.error('consult cancel error', { ...ctx, error: e.message });
+    await insertOnexActionLog({
+      action: 'CONSULT_CANCEL',
+      deviceIp,
+      interactionId: interactionid,
+      success: false,
+      agentUser: agentUser || ''
+    });
+    return sendJson(res, failStatus(e), { success: false, message: e.message });
+  }
+});
+
+// ==== CONFERENCE ====
+// Merges the held customer, the consult target and the agent into one call.
+// POST|GET /api/onex/conference?deviceIp=IP&interactionid=VI[:GUID]&consultinteractionid=VI[:GUID][&clientid][&agentUser]
+controlRoute('/conference', bodySchema(['deviceIp', 'interactionid', 'consultinteractionid']), voiceCommand({
+  op: 'CONFERENCE',
+  action: 'conference',
+  required: ['deviceIp', 'interactionid', 'consultinteractionid'],
+  params: (q) => ({ interactionid: q.interactionid, consultinteractionid: q.consultinteractionid })
+}));
+
+// ==== DTMF ====
+// Sends digits to an active call (IVR navigation). ',' in digits pauses DTMF_PAUSE_MS.
+// POST /api/onex/dtmf {deviceIp, interactionid, digits: "1,2#", interDigitMs?, clientid?, agentUser?}
+// GET  /api/onex/dtmf?deviceIp=IP&interactionid=VI[:GUID]&digits=1,2%23[&interDigitMs=250][&clientid][&agentUser]
+//      ('#' must be sent as %23 in a URL, or it starts the fragment and never reaches us)
+controlRoute('/dtmf', bodySchema(['deviceIp', 'interactionid', 'digits'], ['interDigitMs']), async (req, res) => {
+  const { deviceIp, interactionid, agentUser } = req.query;
+  let { clientid } = req.query;
+  const digits = String(req.query.digits || '').trim().toUpperCase();
+  const ctx = { op: 'DTMF', agentUser: agentUser || '', interactionid, digitsMasked: maskDigits(digits) };
+
+  const missing = [];
+  if (!deviceIp)      missing.push('deviceIp');
+  if (!interactionid) missing.push('interactionid');
+  if (!digits)        missing.push('digits');
+  if (missing.length) {
+    return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
+  }
+  if (digits.length > DTMF_MAX_DIGITS || !/^[0-9A-D*#,]+$/.test(digits)) {
+    return sendJson(res, 400, { success: false, message: `digits must be 1-${DTMF_MAX_DIGITS} of 0-9 A-D * # ,` });
+  }
+  if (!digits.replace(/,/g, '')) {
+    return sendJson(res, 400, { success: false, message: 'digits has no tones to send (only pauses)' });
+  }
+  const interDigitMs = typeof req.query.interDigitMs !== 'undefined'
+    ? parseInt(req.query.interDigitMs, 10)
+    : DTMF_INTER_DIGIT_MS;
+  if (!Number.isFinite(interDigitMs) || interDigitMs < 0 || interDigitMs > 5000) {
+    return sendJson(res, 400, { success: false, message: 'interDigitMs must be 0-5000' });
+  }
+
+  // Unpaced strings go out in one request; otherwise one request per digit.
+  // `next` lives outside the client callback so a session re-registration resumes, not repeats.
+  const paced = interDigitMs > 0 || digits.includes(',');
+  const chunks = paced ? digits.split('') : [digits];
+  let next = 0;
+  let sent = 0;
+
+  try {
+    const { attrs } = await withClient(deviceIp, clientid, ctx, async (cid, baseUrl) => {
+      clientid = cid;
+      let result = { attrs: { ResponseCode: '0' } };
+      for (; next < chunks.length; next++) {
+        const chunk = chunks[next];
+        if (chunk === ',') { await sleep(DTMF_PAUSE_MS); continue; }
+        if (sent > 0 && interDigitMs > 0) await sleep(interDigitMs);
+        result = await oneXVoiceAction(baseUrl, 'senddtmf', { clientid, interactionid, digits: chunk }, { ...ctx, chunk: maskDigits(chunk) });
+        if (result.attrs.ResponseCode !== '0') return result;
+        sent += chunk.length;
+      }
+      return result;
+    });
+    const ok = attrs.ResponseCode === '0';
+
+    await insertOnexActionLog({
+      action: 'DTMF',
+      deviceIp,
+      interactionId: interactionid,
+      success: ok,
+      agentUser: agentUser || '',
+      detail: `${maskDigits(digits)} (${sent} sent)`
+    });
+
+    if (!ok) {
+      return sendJson(res, 502, { success: false, code: attrs.ResponseCode, sent, clientId: clientid, interactionId: interactionid });
+    }
+    return sendJson(res, 200, { success: true, code: attrs.ResponseCode, sent, clientId: clientid, interactionId: interactionid });
+  } catch (e) {
+    logger.error('dtmf error', { ...ctx, sent, error: e.message });
+    await insertOnexActionLog({
+      action: 'DTMF',
+      deviceIp,
+      interactionId: interactionid,
+      success: false,
+      agentUser: agentUser || '',
+      detail: `${maskDigits(digits)} (${sent} sent)`
+    });
+    return sendJson(res, failStatus(e), { success: false, sent, message: e.message });
+  }
+});
+
+// ==== AGENT WORK STATE ====
+
+// Shared flow for state changes: run the One-X agent action, persist the change, answer.
+// `build(q)` returns { params, reasonCode?, error? } (error → 400).
+function agentStateCommand({ state, action, build }) {
+  return async (req, res) => {
+    const q = req.query;
+    const { deviceIp, agentUser, station } = q;
+    let { clientid } = q;
+    const ctx = { op: `AGENT_${state.toUpperCase()}`, agentUser: agentUser || '', deviceIp, station: station || undefined };
+
+    if (!deviceIp) return sendJson(res, 400, { success: false, missing: ['deviceIp'], message: 'Missing required parameters' });
+    const { params = {}, reasonCode, error } = build ? build(q) : {};
+    if (error) return sendJson(res, 400, { success: false, message: error });
+    const reasonLabel = reasonCode ? AUX_REASON_CODES.get(reasonCode) || null : null;
+
+    let ok = false;
+    try {
+      const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+        clientid = cid;
+        return oneXAgentAction(baseUrl, action, { clientid, ...params }, ctx);
+      });
+      ok = attrs.ResponseCode === '0';
+      if (!ok) return sendJson(res, 502, { success: false, code: attrs.ResponseCode, state, clientId: clientid });
+      return sendJson(res, 200, { success: true, code: attrs.ResponseCode, state, reasonCode: reasonCode || null, reasonLabel, clientId: clientid });
+    } catch (e) {
+      logger.error('agent state error', { ...ctx, error: e.message });
+      return sendJson(res, failStatus(e), { success: false, message: e.message });
+    } finally {
+      await insertAgentStateLog({ agentUser, deviceIp, station, state, reasonCode, reasonLabel, success: ok });
+    }
+  };
+}
+
+function auxReason(q, required) {
+  const reasonCode = q.reasonCode ? String(q.reasonCode).trim() : '';
+  if (!reasonCode) return required ? { error: 'reasonCode is required' } : {};
+  if (!AUX_REASON_CODES.has(reasonCode)) return { error: `Unknown reasonCode ${reasonCode} (see /api/onex/agent/reasons)` };
+  return { reasonCode };
+}
+
+// GET /api/onex/agent/reasons
+router.get('/agent/reasons', (_req, res) => {
+  const items = [...AUX_REASON_CODES].map(([code, label]) => ({ code, label }));
+  return sendJson(res, 200, { success: true, items });
+});
+
+// GET /api/onex/agent/state?deviceIp=IP[&clientid][&agentUser]
+router.get('/agent/state', async (req, res) => {
+  const { deviceIp, agentUser } = req.query;
+  let { clientid } = req.query;
+  const ctx = { op: 'AGENT_STATE', agentUser: agentUser || '', deviceIp };
+
+  if (!deviceIp) return sendJson(res, 400, { success: false, missing: ['deviceIp'], message: 'Missing required parameters' });
+
+  try {
+    const { attrs } = await withClient(deviceIp, clientid, ctx, (cid, baseUrl) => {
+      clientid = cid;
+      return oneXAgentAction(baseUrl, 'getstate', { clientid }, ctx);
+    });
+    if (attrs.ResponseCode !== '0') return sendJson(res, 502, { success: false, code: attrs.ResponseCode, clientId: clientid });
+    const reasonCode = attrs.ReasonCode || null;
+    return sendJson(res, 200, {
+      success: true,
+      state: attrs.State || null,
+      reasonCode,
+      reasonLabel: reasonCode ? AUX_REASON_CODES.get(reasonCode) || null : null,
+      clientId: clientid
+    });
+  } catch (e) {
+    logger.error('agent getstate error', { ...ctx, error: e.message });
+    return sendJson(res, failStatus(e), { success: false, message: e.message });
+  }
+});
+
+// A password in a URL ends up in proxy/access logs and browser history: JSON body only
+router.all('/agent/login', (req, res, next) => {
+  if (req.query.password === undefined) return next();
+  logger.warn('agent login password in query string rejected', { method: req.method, deviceIp: req.query.deviceIp || req.body?.deviceIp });
+  return sendJson(res, 400, { success: false, message: 'password is not accepted in the query string; POST it in the JSON body' });
+});
+
+// POST /api/onex/agent/login {deviceIp, agentId, password?, station?, agentUser?}
+// GET  /api/onex/agent/login?deviceIp=IP&agentId=ID[&station][&agentUser]  (no password)
+controlRoute('/agent/login', bodySchema(['deviceIp', 'agentId'], ['password', 'station']), agentStateCommand({
+  state: 'LoggedIn',
+  action: 'login',
+  build: (q) => {
+    if (!q.agentId) return { error: 'agentId is required' };
+    const params = { agentid: q.agentId };
+    if (q.password) params.password = q.password;
+    if (q.station) params.extension = q.station;
+    return { params };
+  }
+}));
+
+// POST|GET /api/onex/agent/logout?deviceIp=IP[&reasonCode][&agentUser]
+controlRoute('/agent/logout', bodySchema(['deviceIp'], ['reasonCode', 'station']), agentStateCommand({
+  state: 'LoggedOut',
+  action: 'logout',
+  build: (q) => {
+    const aux = auxReason(q, false);
+    return aux.reasonCode ? { ...aux, params: { reasoncode: aux.reasonCode } } : aux;
+  }
+}));
+
+// POST|GET /api/onex/agent/ready?deviceIp=IP[&agentUser]
+controlRoute('/agent/ready', bodySchema(['deviceIp'], ['station']), agentStateCommand({
+  state: 'Ready',
+  action: 'setstate',
+  build: () => ({ params: { state: 'Ready' } })
+}));
+
+// POST|GET /api/onex/agent/notready?deviceIp=IP&reasonCode=N[&agentUser]
+controlRoute('/agent/notready', bodySchema(['deviceIp', 'reasonCode'], ['station']), agentStateCommand({
+  state: 'NotReady',
+  action: 'setstate',
+  build: (q) => {
+    const aux = auxReason(q, true);
+    return aux.error ? aux : { ...aux, params: { state: 'NotReady', reasoncode: aux.reasonCode } };
+  }
+}));
+
+// POST|GET /api/onex/agent/acw?deviceIp=IP[&agentUser]
+controlRoute('/agent/acw', bodySchema(['deviceIp'], ['station']), agentStateCommand({
+  state: 'AfterCallWork',
+  action: 'setstate',
+  build: () => ({ params: { state: 'AfterCallWork' } })
+}));
+
+// Seconds spent per state/reason in [from, to), from OnexAgentStateLogs. A state lasts
+// until the agent's next successful change (or now / `to` for the last one). The state the
+// agent was already in at `from` (last change before it) counts from `from`, with times = 0.
+// GET /api/onex/agent/summary?agentUser=USER&from=YYYY-MM-DD[&to=YYYY-MM-DD]
+router.get('/agent/summary', async (req, res) => {
+  const agentUser = String(req.query.agentUser || '').trim();
+  const from = String(req.query.from || '').trim();
+  const to = String(req.query.to || '').trim();
+
+  const missing = [];
+  if (!agentUser) missing.push('agentUser');
+  if (!from)      missing.push('from');
+  if (missing.length) return sendJson(res, 400, { success: false, missing, message: 'Missing required parameters' });
+  if (!wallClock.isDay(from) || (to && !wallClock.isDay(to))) {
+    return sendJson(res, 400, { success: false, message: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const { from: fromDate, to: toDate } = wallClock.dayRange(from, to); // log_date wall clock
+
+  try {
+    const pool = await db.getPool();
+    const r = await pool.request()
+      .input('agent_user', sql.VarChar(100), agentUser)
+      .input('from',       sql.DateTime2,    fromDate)
+      .input('to',         sql.DateTime2,    toDate)
+      .query(`
+        WITH changes AS (
+          SELECT state, reason_code, reason_label, log_date, 0 AS carried
+          FROM ${AGENT_STATE_TABLE_NAME}
+          WHERE agent_user = @agent_user AND success = 1
+            AND log_date >= @from AND log_date < @to
+          UNION ALL
+          SELECT state, reason_code, reason_label, @from, 1
+          FROM (
+            SELECT TOP 1 state, reason_code, reason_label
+            FROM ${AGENT_STATE_TABLE_NAME}
+            WHERE agent_user = @agent_user AND success = 1 AND log_date < @from
+              AND @from <= SYSDATETIME() -- nothing to carry into a range that has not started
+            ORDER BY log_date DESC
+          ) AS before_from
+        ),
+        s AS (
+          SELECT state, reason_code, reason_label, log_date, carried,
+                 LEAD(log_date) OVER (ORDER BY log_date, carried DESC) AS next_date
+          FROM changes
+        )
+        SELECT state, reason_code, reason_label, SUM(1 - carried) AS times,
+               SUM(DATEDIFF(SECOND, log_date,
+                   COALESCE(next_date, CASE WHEN SYSDATETIME() < @to THEN SYSDATETIME() ELSE @to END))) AS seconds
+        FROM s
+        GROUP BY state, reason_code, reason_label
+        ORDER BY seconds DESC
+      `);
+    return sendJson(res, 200, { success: true, agentUser, from, to: to || null, items: r.recordset || [] });
+  } catch (e) {
+    logger.error('agent summary error', { agentUser, error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// ==== DIAL FAILURE REPORT ====
+// Outbound attempts in [from, to) whose outcome is not 'success', grouped by agent, device and
+// reason, plus the outcome totals of all outbound attempts for a failure rate.
+// GET /api/onex/reports/dial-failures?from=YYYY-MM-DD[&to=YYYY-MM-DD][&agentUser][&deviceIp]
+router.get('/reports/dial-failures', async (req, res) => {
+  const from = String(req.query.from || '').trim();
+  const to = String(req.query.to || '').trim();
+  const agentUser = String(req.query.agentUser || '').trim() || null;
+  const deviceIp = String(req.query.deviceIp || '').trim() || null;
+
+  if (!from) return sendJson(res, 400, { success: false, missing: ['from'], message: 'Missing required parameters' });
+  if (!wallClock.isDay(from) || (to && !wallClock.isDay(to))) {
+    return sendJson(res, 400, { success: false, message: 'from/to must be YYYY-MM-DD' });
+  }
+
+  const { from: fromDate, to: toDate } = wallClock.dayRange(from, to); // log_date wall clock
+  const filter = `
+    direction = 'out' AND log_date >= @from AND log_date < @to
+    AND (@agent_user IS NULL OR agent_user = @agent_user)
+    AND (@device_ip IS NULL OR device_ip = @device_ip)`;
+
+  try {
+    const pool = await db.getPool();
+    const request = () => pool.request()
+      .input('from',       sql.DateTime2,    fromDate)
+      .input('to',         sql.DateTime2,    toDate)
+      .input('agent_user', sql.VarChar(100), agentUser)
+      .input('device_ip',  sql.VarChar(50),  deviceIp);
+
+    const groups = await request().query(`
+      WITH f AS (
+        SELECT agent_user, device_ip, outcome, log_date, error_detail,
+               ROW_NUMBER() OVER (PARTITION BY agent_user, device_ip, outcome ORDER BY id DESC) AS rn
+        FROM ${CALL_TABLE_NAME}
+        WHERE ${filter} AND outcome <> 'success'
+      )
+      SELECT agent_user, device_ip, outcome, COUNT(*) AS attempts, MAX(log_date) AS last_at,
+             MAX(CASE WHEN rn = 1 THEN error_detail END) AS last_error
+      FROM f
+      GROUP BY agent_user, device_ip, outcome
+      ORDER BY attempts DESC
+    `);
+    const totals = await request().query(`
+      SELECT outcome, COUNT(*) AS attempts FROM ${CALL_TABLE_NAME} WHERE ${filter} GROUP BY outcome
+    `);
+
+    const byOutcome = Object.fromEntries(totals.recordset.map(r => [r.outcome, r.attempts]));
+    const attempts = totals.recordset.reduce((n, r) => n + r.attempts, 0);
+    return sendJson(res, 200, {
+      success: true,
+      from,
+      to: to || null,
+      totals: { attempts, failed: attempts - (byOutcome.success || 0), byOutcome },
+      items: groups.recordset.map(r => ({
+        agentUser: r.agent_user,
+        deviceIp: r.device_ip,
+        outcome: r.outcome,
+        attempts: r.attempts,
+        lastAt: r.last_at,
+        lastError: r.last_error
+      }))
+    });
+  } catch (e) {
+    logger.error('dial failure report error', { error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// ==== CALL STATE ====
+// GET /api/onex/calls/:interactionId
+router.get('/calls/:interactionId', async (req, res) => {
+  const { interactionId } = req.params;
+  try {
+    const pool = await db.getPool();
+    const r = await pool.request()
+      .input('interaction_id', sql.VarChar(100), interactionId)
+      .query(`
+        SELECT TOP 1 c.id, c.log_date, c.ucid, c.ucid_source, c.ucid_confidence, c.ticket_number, c.client_phone, c.device_ip, c.station, c.agent_user,
+               c.direction, c.call_state, c.answered_at, c.held_at, c.ended_at, c.hold_seconds, c.talk_seconds,
+               c.end_reason, d.code AS disposition_code, d.label AS disposition_label, d.notes AS disposition_notes,
+               d.callback_at, COALESCE(d.updated_at, d.created_at) AS disposed_at,
+               DATEDIFF(SECOND, c.held_at, SYSDATETIME()) AS held_now_seconds,
+               DATEDIFF(SECOND, c.answered_at, SYSDATETIME()) AS since_answer_seconds
+        FROM ${CALL_TABLE_NAME} c
+        LEFT JOIN ${DISPOSITION_TABLE_NAME} d ON d.call_log_id = c.id
+        WHERE c.interaction_id = @interaction_id
+        ORDER BY c.id DESC
+      `);
+    const row = r.recordset[0];
+    if (!row) return sendJson(res, 404, { success: false, message: 'Unknown interactionId' });
+
+    // Live figures while the call is still up, measured on the DB clock like the stored timestamps
+    const holdSeconds = row.hold_seconds + (row.held_now_seconds || 0);
+    const talkSeconds = row.ended_at
+      ? row.talk_seconds
+      : row.answered_at ? row.since_answer_seconds - holdSeconds : null;
+
+    return sendJson(res, 200, {
+      success: true,
+      interactionId,
+      state: row.call_state,
+      direction: row.direction,
+      ucid: row.ucid,
+      ucidSource: row.ucid_source,
+      ucidConfidence: row.ucid_confidence,
+      ticketNumber: row.ticket_number,
+      clientPhoneMasked: maskPhone(row.client_phone),
+      deviceIp: row.device_ip,
+      station: row.station,
+      agentUser: row.agent_user,
+      startedAt: row.log_date,
+      answeredAt: row.answered_at,
+      endedAt: row.ended_at,
+      holdSeconds,
+      talkSeconds,
+      endReason: row.end_reason,
+      disposition: row.disposition_code ? {
+        code: row.disposition_code,
+        label: row.disposition_label,
+        notes: row.disposition_notes,
+        callbackAt: row.callback_at,
+        at: row.disposed_at
+      } : null
+    });
+  } catch (e) {
+    logger.error('call state lookup error', { interactionId, error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// ==== DEVICE HEALTH ====
+// Fleet view from the periodic sweep over OnexDeviceMap (?refresh=1 runs a sweep first)
+// GET /api/onex/devices/health[?refresh=1]
+router.get('/devices/health', async (req, res) => {
+  if (req.query.refresh === '1') await deviceHealth.sweep();
+  return sendJson(res, 200, { success: true, ...deviceHealth.snapshot() });
+});
+
+// Live probe of one device: registerclient + unregisterclient, failure classified.
+// Only workstations in OnexDeviceMap are probed, so the route cannot be pointed at arbitrary hosts.
+// GET /api/onex/devices/:ip/health
+router.get('/devices/:ip/health', async (req, res) => {
+  const deviceIp = String(req.params.ip || '').trim();
+  try {
+    buildBaseUrl(deviceIp);
+  } catch (e) {
+    return sendJson(res, 400, { success: false, message: e.message });
+  }
+
+  let device;
+  try {
+    device = await deviceMap.get(deviceIp);
+  } catch (e) {
+    logger.error('device health lookup error', { deviceIp, error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+  if (!device) return sendJson(res, 404, { success: false, message: 'Device is not mapped' });
+
+  const result = await deviceHealth.check(device.deviceIp, { station: device.station, label: device.label });
+  logger.info('device health probe', { deviceIp, status: result.status, latencyMs: result.latencyMs });
+  return sendJson(res, 200, { success: true, ...result });
+});
+
+// ==== DISPOSITIONS ====
+// GET /api/onex/disposition/codes
+router.get('/disposition/codes', (_req, res) => {
+  const items = [...DISPOSITION_CODES].map(([code, label]) => ({ code, label }));
+  return sendJson(res, 200, { success: true, items });
+});
+
+// Records (or corrects) the outcome of a call; the latest submission wins.
+// POST /api/onex/disposition  { interactionId | ucid, code, notes?, callbackAt?, agentUser? }
+router.post('/disposition', idempotent, async (req, res) => {
+  const { value, errors } = validate({
+    interactionId: { type: 'string', max: 100 },
+    ucid:          { type: 'string', max: 40, pattern: /^\d+$/, hint: 'must be digits' },
+    code:          { type: 'string', required: true, max: 30 },
+    notes:         { type: 'string', max: 1000 },
+    callbackAt:    { type: 'string', max: 40 },
+    agentUser:     { type: 'string', max: 100 },
+    requestId:     { type: 'string', max: 200 }
+  }, req.body);
+  if (!errors.length && !value.interactionId && !value.ucid) {
+    errors.push({ field: 'interactionId', code: 'required', message: 'interactionId or ucid is required' });
+  }
+  const code = value.code ? value.code.toUpperCase() : null;
+  if (code && !DISPOSITION_CODES.has(code)) {
+    errors.push({ field: 'code', code: 'format', message: `Unknown code ${value.code} (see /api/onex/disposition/codes)` });
+  }
+  let callbackAt = null;
+  if (value.callbackAt) {
+    callbackAt = new Date(value.callbackAt);
+    if (Number.isNaN(callbackAt.getTime())) {
+      errors.push({ field: 'callbackAt', code: 'format', message: 'callbackAt must be an ISO 8601 date-time' });
+    }
+  }
+  if (errors.length) return sendJson(res, 400, { success: false, errors, message: 'Invalid request body' });
+
+  const ctx = { op: 'DISPOSITION', interactionId: value.interactionId, ucid: value.ucid, code, agentUser: value.agentUser || '' };
+  try {
+    const call = await saveDisposition({ ...value, code, label: DISPOSITION_CODES.get(code), callbackAt });
+    if (!call) {
+      logger.warn('disposition for unknown call', ctx);
+      return sendJson(res, 404, { success: false, message: 'No call found for that interactionId/ucid' });
+    }
+    logger.info('disposition saved', { ...ctx, callLogId: call.call_log_id });
+    return sendJson(res, 200, {
+      success: true,
+      callLogId: call.call_log_id,
+      interactionId: call.interaction_id,
+      ucid: call.ucid,
+      ticketNumber: call.ticket_number,
+      code,
+      label: DISPOSITION_CODES.get(code)
+    });
+  } catch (e) {
+    logger.error('disposition error', { ...ctx, error: e.message });
+    return sendJson(res, 500, { success: false, message: e.message || 'DB error' });
+  }
+});
+
+// ==== EVENTS (Server-Sent Events) ====
+// GET /api/onex/events?deviceIp=IP[&station]  |  ?agentUser=USER   (Last-Event-ID header replays missed events)
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10);
+
+router.get('/events', async (req, res) => {
+  const { deviceIp, agentUser, station } = req.query;
+  const ctx = { op: 'EVENTS', agentUser: agentUser || '', deviceIp: deviceIp || null, station: station || undefined };
+
+  if (!deviceIp && !agentUser) {
+    return res.status(400).json({ success: false, message: 'deviceIp or agentUser is required' });
+  }
+
+  // Subscribing to a device registers its session so the pump is running
+  let session = null;
+  if (deviceIp) {
+    try {
+      session = await sessions.acquire(deviceIp, ctx);
+    } catch (e) {
+      logger.warn('events subscribe failed', { ...ctx, error: e.message });
+      return res.status(502).json({ success: false, message: e.message });
     }
   }
+
+  const matches = (evt) =>
+    (!session || evt.deviceIp === session.deviceIp) &&
+    (!agentUser || evt.agentUser === agentUser);
+  const send = (evt) => {
+    if (matches(evt)) res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  notifications.since(req.get('Last-Event-ID')).forEach(send);
+  notifications.bus.on('event', send);
+  logger.info('events subscriber connected', ctx);
+
+  // Comment heartbeat keeps proxies from closing the stream; it also keeps the session in use
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (deviceIp) sessions.acquire(deviceIp, ctx).catch(() => {});
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    notifications.bus.removeListener('event', send);
+    logger.info('events subscriber disconnected', ctx);
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,85 @@
+// lib/acr-client.js
+// ACR search API client shared by api/acr.js and background jobs.
+const xml2js = require('xml2js');
+const outbound = require('./outbound');
+
+// ===== ACR config (env only, validated by api/acr.js) =====
+const ACR_SCHEME = process.env.ACR_SCHEME;
+const ACR_HOST   = process.env.ACR_HOST;
+const ACR_PORT   = process.env.ACR_PORT;
+const ACR_PATH   = process.env.ACR_PATH;
+const ACR_USER   = process.env.ACR_USER;
+const ACR_PASS   = process.env.ACR_PASS;
+
+// ===== Search criteria =====
+// Operator names → ACR search operator codes
+const OPERATORS = { equals: 1, contains: 8, between: 9 };
+
+// Fields a search may filter on and the operators each accepts (first = default).
+// between: startedat takes param1/param3 dates (DD/MM/YY) and optional param2/param4 times (HH:MM:SS);
+// duration takes param1/param3 in seconds.
+const SEARCH_FIELDS = {
+  switchcallid: ['equals', 'contains'],
+  agents:       ['equals', 'contains'],
+  otherparties: ['contains', 'equals'],
+  services:     ['equals', 'contains'],
+  skills:       ['equals', 'contains'],
+  duration:     ['between', 'equals'],
+  startedat:    ['between']
+};
+
+function acrBase() {
+  return `${ACR_SCHEME}://${ACR_HOST}:${ACR_PORT}${ACR_PATH}`;
+}
+
+function mapResultFields(result) {
+  const inum = result?.$?.inum || null;
+
+  // normalize field names to lowercase so variants don't break us
+  const fieldsObj = Object.fromEntries(
+    (result?.field || []).map(f => [String(f?.$?.name || '').toLowerCase(), f?._])
+  );
+
+  return {
+    inum,
+    fields: fieldsObj,
+    switchcallid: fieldsObj.switchcallid || null
+  };
+}
+
+// [{ field, op, params: [p1, p2, p3, p4] }] → operator_<field>/param<N>_<field> search params
+function criteriaParams(criteria) {
+  const params = {};
+  for (const { field, op, params: values = [] } of criteria) {
+    if (!SEARCH_FIELDS[field]?.includes(op)) throw new Error(`Unsupported ACR search: ${field} ${op}`);
+    params[`operator_${field}`] = OPERATORS[op];
+    values.forEach((v, i) => {
+      if (v !== undefined && v !== null && v !== '') params[`param${i + 1}_${field}`] = v;
+    });
+  }
+  return params;
+}
+
+// ACR `command=search` with the given search params → [{ inum, fields, switchcallid }]
+async function search(params, ctx = {}) {
+  const cfg = { params: { command: 'search', ...params } };
+  if (ACR_USER && ACR_PASS) cfg.auth = { username: ACR_USER, password: ACR_PASS };
+  const r = await outbound.get('acr', acrBase(), cfg, { idempotent: true, ctx });
+  const parsed = await xml2js.parseStringPromise(r.data);
+  return (parsed?.results?.result || []).map(mapResultFields);
+}
+
+// search() from criteria (see criteriaParams); layout picks the ACR result layout, e.g. 'AvayaSegment'
+function searchBy(criteria, { layout } = {}, ctx = {}) {
+  return search({ ...(layout ? { layout } : {}), ...criteriaParams(criteria) }, ctx);
+}
+
+module.exports = {
+  OPERATORS,
+  SEARCH_FIELDS,
+  acrBase,
+  mapResultFields,
+  criteriaParams,
+  search,
+  searchBy
+};
@@ -0,0 +1,72 @@
+// lib/acr-media.js
+// Local playback of ACR recordings (api/acr.js /replay, /replayByUcid): format negotiation and clip ranges.
+
+const ACR_MP3_BITRATE  = process.env.ACR_MP3_BITRATE || '32k';
+const ACR_OPUS_BITRATE = process.env.ACR_OPUS_BITRATE || '16k';
+
+// Local playback formats, in server preference order (WAV stays the default).
+// mime: Accept types that select the format; codec/muxer: ffmpeg args to derive it from the cached WAV.
+const MEDIA_FORMATS = {
+  wav:  { ext: 'wav', contentType: 'audio/wav', mime: ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave'] },
+  mp3:  { ext: 'mp3', contentType: 'audio/mpeg', mime: ['audio/mpeg', 'audio/mp3'],
+          codec: ['-codec:a', 'libmp3lame', '-b:a', ACR_MP3_BITRATE], muxer: 'mp3' },
+  opus: { ext: 'ogg', contentType: 'audio/ogg; codecs=opus', mime: ['audio/ogg', 'audio/opus', 'application/ogg'],
+          codec: ['-codec:a', 'libopus', '-b:a', ACR_OPUS_BITRATE, '-application', 'voip'], muxer: 'ogg' }
+};
+const FORMAT_ALIASES = { ogg: 'opus', mpeg: 'mp3', wave: 'wav' };
+
+// MEDIA_FORMATS key from the `format` query (wins) or the Accept header; the highest q wins and ties
+// go to MEDIA_FORMATS order, so browsers that list audio/wav alongside others keep getting WAV.
+// Returns null for an unknown `format` value.
+function pickFormat(req) {
+  if (req.query.format) {
+    const f = String(req.query.format).trim().toLowerCase();
+    const key = FORMAT_ALIASES[f] || f;
+    return MEDIA_FORMATS[key] ? key : null;
+  }
+  const order = Object.keys(MEDIA_FORMATS);
+  let best = 'wav';
+  let bestQ = 0;
+  for (const part of String(req.headers.accept || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';').map(x => x.trim());
+    const qParam = params.find(x => x.startsWith('q='));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    const key = order.find(k => MEDIA_FORMATS[k].mime.includes(type));
+    if (!key || !(q > 0)) continue;
+    if (q > bestQ || (q === bestQ && order.indexOf(key) < order.indexOf(best))) {
+      best = key;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+// "75", "75.5", "1:15", "01:15.5" or "1:01:15" → seconds; NaN when malformed
+function parseOffset(v) {
+  const s = String(v).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/.exec(s);
+  if (!m || parseFloat(m[3]) >= 60) return NaN;
+  return parseInt(m[1] || '0', 10) * 3600 + parseInt(m[2], 10) * 60 + parseFloat(m[3]);
+}
+
+// from/to/speed query → { clip, invalid }; clip is null for the whole recording at normal speed
+function parseClip(q) {
+  const has = (k) => q[k] !== undefined && String(q[k]).trim() !== '';
+  const from = has('from') ? parseOffset(q.from) : 0;
+  const to = has('to') ? parseOffset(q.to) : null;
+  const speed = has('speed') ? Number(q.speed) : 1;
+  const invalid = [];
+  if (!Number.isFinite(from) || from < 0) invalid.push('from');
+  if (to !== null && (!Number.isFinite(to) || to <= from)) invalid.push('to');
+  if (!Number.isFinite(speed) || speed < 0.5 || speed > 2) invalid.push('speed'); // atempo's single-pass range
+  const clip = (from > 0 || to !== null || speed !== 1) ? { from, to, speed } : null;
+  return { clip, invalid };
+}
+
+module.exports = {
+  MEDIA_FORMATS,
+  pickFormat,
+  parseOffset,
+  parseClip
+};
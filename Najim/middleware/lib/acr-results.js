@@ -0,0 +1,46 @@
+// lib/acr-results.js
+// Ordering of ACR search results (api/acr.js items) for /search, /searchByNumber and recording segments.
+const { wallClockMs } = require('./wall-clock');
+
+// Sort keys (ACR field names) → item properties
+const SORT_KEYS = {
+  startedat: 'started_at',
+  duration: 'duration_sec',
+  agents: 'agents',
+  otherparties: 'other_parties',
+  services: 'services',
+  skills: 'skills',
+  switchcallid: 'ucid',
+  inum: 'inum'
+};
+
+// ACR reports started_at as "YYYY-MM-DD HH:MM:SS" or "DD/MM/YYYY HH:mm" depending on the layout,
+// so it is compared as a parsed wall-clock time, never as text
+const SORT_VALUE = {
+  started_at: wallClockMs
+};
+
+const byInum = (a, b) => String(a.inum).localeCompare(String(b.inum), undefined, { numeric: true });
+
+// Sorts items in place by an item property; missing (or unparseable) values last, INUM breaks ties
+function sortItems(items, prop, order = 'desc') {
+  const dir = order === 'asc' ? 1 : -1;
+  const valueOf = SORT_VALUE[prop] || ((v) => v);
+  const keyed = items.map(item => {
+    const v = item[prop] === null || item[prop] === undefined ? null : valueOf(item[prop]);
+    return { item, v: v === undefined || Number.isNaN(v) ? null : v };
+  });
+  keyed.sort((a, b) => {
+    if (a.v === null) return b.v === null ? byInum(a.item, b.item) * dir : 1;
+    if (b.v === null) return -1;
+    const c = (typeof a.v === 'number' && typeof b.v === 'number') ? a.v - b.v : String(a.v).localeCompare(String(b.v));
+    return (c || byInum(a.item, b.item)) * dir;
+  });
+  keyed.forEach(({ item }, i) => { items[i] = item; });
+  return items;
+}
+
+module.exports = {
+  SORT_KEYS,
+  sortItems
+};
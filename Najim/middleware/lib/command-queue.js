@@ -0,0 +1,52 @@
+// lib/command-queue.js
+// Per-key FIFO: at most one job in flight per key (per agent device for One-X commands).
+const logger = require('../logger'); // daily-rotate logger
+
+const QUEUE_WAIT_MS = parseInt(process.env.ONEX_COMMAND_QUEUE_WAIT_MS || '30000', 10); // max time spent waiting for a turn
+
+const queues = new Map(); // key -> { running, waiting: [job] }
+
+function drain(key, q) {
+  if (q.running) return;
+  const job = q.waiting.shift();
+  if (!job) {
+    queues.delete(key);
+    return;
+  }
+  clearTimeout(job.timer);
+  q.running = true;
+  Promise.resolve()
+    .then(job.fn)
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      q.running = false;
+      drain(key, q);
+    });
+}
+
+// Runs fn() once every earlier job for `key` has settled. Rejects with a
+// "busy" error if the turn does not come within QUEUE_WAIT_MS.
+function enqueue(key, fn, ctx = {}) {
+  return new Promise((resolve, reject) => {
+    let q = queues.get(key);
+    if (!q) {
+      q = { running: false, waiting: [] };
+      queues.set(key, q);
+    }
+    const job = { fn, resolve, reject, timer: null };
+    job.timer = setTimeout(() => {
+      const i = q.waiting.indexOf(job);
+      if (i < 0) return;
+      q.waiting.splice(i, 1);
+      logger.warn('command queue wait timeout', { ...ctx, key, waitMs: QUEUE_WAIT_MS });
+      const err = new Error('Device busy: previous One-X command still running');
+      err.code = 'DEVICE_BUSY';
+      reject(err);
+    }, QUEUE_WAIT_MS);
+    if (q.running || q.waiting.length) logger.info('command queued', { ...ctx, key, ahead: q.waiting.length + 1 });
+    q.waiting.push(job);
+    drain(key, q);
+  });
+}
+
+module.exports = { enqueue };
@@ -0,0 +1,51 @@
+// lib/db.js
+// One long-lived mssql ConnectionPool per process, shared by routes and background jobs
+// (notification bus writers, health sweep, UCID reconciler). Callers take requests from it
+// and never close it: closing a shared pool while another query runs fails that query with
+// "Connection is closed". server.js closes it once, on shutdown.
+const sql = require('mssql');
+const logger = require('../logger'); // daily-rotate logger
+
+// ===== DB CONFIG =====
+const DB_PORT = process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : undefined;
+const DB_CONFIG = {
+  user: process.env.DB_USER,
+  password: process.env.DB_PASS,
+  server: process.env.DB_SERVER,
+  port: Number.isFinite(DB_PORT) ? DB_PORT : undefined, // e.g. 1428
+  database: process.env.DB_NAME,
+  options: { encrypt: false, trustServerCertificate: true }
+};
+
+let poolPromise = null;
+
+// Connected pool; connects on first use. A failed connect is not cached, the next call retries.
+function getPool() {
+  if (!poolPromise) {
+    const pool = new sql.ConnectionPool(DB_CONFIG);
+    pool.on('error', (e) => logger.error('[DB] pool error', { error: e.message }));
+    poolPromise = pool.connect().catch((e) => {
+      poolPromise = null;
+      throw e;
+    });
+  }
+  return poolPromise;
+}
+
+// Shutdown only
+async function close() {
+  if (!poolPromise) return;
+  const pending = poolPromise;
+  poolPromise = null;
+  try {
+    await (await pending).close();
+  } catch (e) {
+    logger.warn('[DB] pool close failed', { error: e.message });
+  }
+}
+
+module.exports = {
+  DB_CONFIG,
+  getPool,
+  close
+};
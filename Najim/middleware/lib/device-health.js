@@ -0,0 +1,151 @@
+// lib/device-health.js
+// Reachability probe for agent One-X devices (registerclient + unregisterclient) and a
+// periodic sweep over every workstation in OnexDeviceMap.
+const axios = require('axios');
+const logger = require('../logger'); // daily-rotate logger
+const { parseXml, buildBaseUrl } = require('./onex-client');
+const deviceMap = require('./device-map');
+
+// ===== Health config =====
+const PROBE_TIMEOUT_MS = parseInt(process.env.ONEX_PROBE_TIMEOUT_MS || '5000', 10);
+const SWEEP_MS         = parseInt(process.env.DEVICE_HEALTH_SWEEP_MS || '300000', 10); // 5 min, 0 = off
+const SWEEP_PARALLEL   = parseInt(process.env.DEVICE_HEALTH_PARALLEL || '4', 10);
+
+// Failure class → what the helpdesk should check
+const HINTS = {
+  connection_refused: 'Host is up but nothing listens on the One-X API port: start one-X Agent, check the port / URLACL (API_Setup.bat)',
+  timeout:            'No answer in time: PC off or asleep, firewall dropping the port, or one-X Agent hung',
+  unreachable:        'Host name does not resolve or there is no route to the PC',
+  http_error:         'One-X answered with an HTTP error: APIAllowRemoteAccess / URLACL not applied (API_Setup.bat, Check_Value.txt)',
+  xml_error:          'Something other than the One-X API answered on that port',
+  bad_response_code:  'One-X refused to register a client (agent not logged in to one-X Agent, or client limit reached)'
+};
+
+const results = new Map(); // device_ip -> last probe result (+ station/label from the map)
+let lastSweepAt = null;
+let sweeping = null;
+
+function classify(err) {
+  const code = err.code || err.cause?.code;
+  if (code === 'ECONNREFUSED' || code === 'ECONNRESET') return 'connection_refused';
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test(err.message)) return 'timeout';
+  return 'unreachable'; // ENOTFOUND, EHOSTUNREACH, ENETUNREACH, TLS errors ... (detail keeps the code)
+}
+
+// Registers and immediately unregisters a throw-away client. Plain axios on purpose: the
+// probe must reach the device even while its outbound circuit breaker is open.
+// Resolves { deviceIp, healthy, status, detail, hint, latencyMs, checkedAt } (never rejects).
+async function probe(deviceIp) {
+  const started = Date.now();
+  const done = (status, detail) => ({
+    deviceIp,
+    healthy: status === 'ok',
+    status,
+    detail: detail || null,
+    hint: HINTS[status] || null,
+    latencyMs: Date.now() - started,
+    checkedAt: new Date().toISOString()
+  });
+
+  let baseUrl;
+  try {
+    baseUrl = buildBaseUrl(deviceIp);
+  } catch (e) {
+    return done('unreachable', e.message);
+  }
+
+  let r;
+  try {
+    r = await axios.get(`${baseUrl}/registerclient`, {
+      params: { name: `CRM_HEALTH_${Date.now()}` },
+      timeout: PROBE_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+  } catch (e) {
+    return done(classify(e), e.code || e.message);
+  }
+  if (r.status < 200 || r.status >= 300) return done('http_error', `HTTP ${r.status}`);
+
+  let attrs;
+  try {
+    const parsed = await parseXml(String(r.data || ''));
+    attrs = parsed?.RegisterClientResponse?.$;
+    if (!attrs) return done('xml_error', `Unexpected root element ${Object.keys(parsed || {})[0] || '(none)'}`);
+  } catch (e) {
+    return done('xml_error', e.message.split('\n')[0]);
+  }
+  const clientId = attrs.ClientId || attrs.clientId;
+  if (attrs.ResponseCode !== '0' || !clientId) return done('bad_response_code', `ResponseCode ${attrs.ResponseCode ?? '(none)'}`);
+
+  try {
+    await axios.get(`${baseUrl}/unregisterclient`, { params: { clientid: clientId }, timeout: PROBE_TIMEOUT_MS });
+  } catch (e) {
+    logger.warn('health probe unregister failed', { deviceIp, clientId, error: e.message });
+  }
+  return done('ok');
+}
+
+// Probes one device and keeps the result for the fleet view; logs ok <-> failing transitions
+async function check(deviceIp, meta = {}) {
+  const result = await probe(deviceIp);
+  const prev = results.get(deviceIp);
+  const entry = {
+    ...meta,
+    ...result,
+    lastOkAt: result.healthy ? result.checkedAt : prev?.lastOkAt || null,
+    consecutiveFailures: result.healthy ? 0 : (prev?.consecutiveFailures || 0) + 1
+  };
+  results.set(deviceIp, entry);
+  if (!result.healthy && (!prev || prev.healthy)) {
+    logger.warn('One-X device unhealthy', { deviceIp, station: meta.station, status: result.status, detail: result.detail });
+  } else if (result.healthy && prev && !prev.healthy) {
+    logger.info('One-X device recovered', { deviceIp, station: meta.station, after: prev.consecutiveFailures });
+  }
+  return entry;
+}
+
+// Probes every mapped workstation, SWEEP_PARALLEL at a time. Concurrent callers share one run.
+function sweep() {
+  if (!sweeping) {
+    sweeping = (async () => {
+      const devices = await deviceMap.list();
+      const known = new Set(devices.map(d => d.deviceIp));
+      for (const ip of [...results.keys()]) if (!known.has(ip)) results.delete(ip);
+      let next = 0;
+      const worker = async () => {
+        while (next < devices.length) {
+          const d = devices[next++];
+          await check(d.deviceIp, { station: d.station, label: d.label });
+        }
+      };
+      await Promise.all(Array.from({ length: Math.max(1, SWEEP_PARALLEL) }, worker));
+      lastSweepAt = new Date().toISOString();
+      const failing = [...results.values()].filter(r => !r.healthy).length;
+      logger.info('device health sweep done', { devices: devices.length, failing });
+    })()
+      .catch((e) => logger.error('device health sweep failed', { error: e.message }))
+      .finally(() => { sweeping = null; });
+  }
+  return sweeping;
+}
+
+function snapshot() {
+  const items = [...results.values()].sort((a, b) => Number(a.healthy) - Number(b.healthy) || a.deviceIp.localeCompare(b.deviceIp));
+  return {
+    sweepIntervalMs: SWEEP_MS,
+    lastSweepAt,
+    counts: { total: items.length, healthy: items.filter(r => r.healthy).length, failing: items.filter(r => !r.healthy).length },
+    items
+  };
+}
+
+if (SWEEP_MS > 0) {
+  setTimeout(sweep, 10 * 1000).unref(); // first sweep shortly after start-up
+  setInterval(sweep, SWEEP_MS).unref();
+}
+
+module.exports = {
+  check,
+  sweep,
+  snapshot
+};
@@ -0,0 +1,155 @@
+// lib/device-map.js
+// Agent workstation registry (OnexDeviceMap: device_ip -> station, label) with an
+// in-memory cache, so callers can omit `station` when the device is registered.
+const sql = require('mssql');
+const logger = require('../logger'); // daily-rotate logger
+const db = require('./db');
+
+const DEVICE_MAP_TABLE_NAME = process.env.DEVICE_MAP_TABLE_NAME || 'OnexDeviceMap';
+const DEVICE_MAP_CACHE_MS   = parseInt(process.env.DEVICE_MAP_CACHE_MS || '300000', 10); // 5 min, misses included
+
+const cache = new Map(); // device_ip -> { station, expires } (station null = not mapped)
+
+const keyOf = (deviceIp) => String(deviceIp || '').trim().toLowerCase();
+
+// Error carrying an HTTP status for the admin routes (404 unknown, 409 already mapped)
+function mapError(status, message, field) {
+  const err = new Error(message);
+  err.status = status;
+  if (field) err.field = field;
+  return err;
+}
+
+const toItem = (r) => ({
+  deviceIp: r.device_ip,
+  station: r.station,
+  label: r.label,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at
+});
+
+async function withPool(fn) {
+  return fn(await db.getPool());
+}
+
+// Station mapped to deviceIp, or null. Lookup failures are logged and not cached.
+async function stationFor(deviceIp) {
+  const key = keyOf(deviceIp);
+  if (!key) return null;
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.station;
+  try {
+    const station = await withPool(async (pool) => {
+      const r = await pool.request()
+        .input('device_ip', sql.VarChar(50), key)
+        .query(`SELECT station FROM ${DEVICE_MAP_TABLE_NAME} WHERE device_ip = @device_ip`);
+      return r.recordset[0]?.station || null;
+    });
+    cache.set(key, { station, expires: Date.now() + DEVICE_MAP_CACHE_MS });
+    return station;
+  } catch (e) {
+    logger.error('[DB] device map lookup failed', { deviceIp: key, error: e.message });
+    return null;
+  }
+}
+
+async function list() {
+  return withPool(async (pool) => {
+    const r = await pool.request()
+      .query(`SELECT device_ip, station, label, created_at, updated_at FROM ${DEVICE_MAP_TABLE_NAME} ORDER BY device_ip`);
+    return r.recordset.map(toItem);
+  });
+}
+
+async function get(deviceIp) {
+  return withPool(async (pool) => {
+    const r = await pool.request()
+      .input('device_ip', sql.VarChar(50), keyOf(deviceIp))
+      .query(`SELECT device_ip, station, label, created_at, updated_at FROM ${DEVICE_MAP_TABLE_NAME} WHERE device_ip = @device_ip`);
+    return r.recordset[0] ? toItem(r.recordset[0]) : null;
+  });
+}
+
+// Throws 409 when the station already belongs to another device
+async function assertStationFree(pool, station, deviceIp) {
+  const r = await pool.request()
+    .input('station', sql.VarChar(20), station)
+    .input('device_ip', sql.VarChar(50), deviceIp)
+    .query(`SELECT device_ip FROM ${DEVICE_MAP_TABLE_NAME} WHERE station = @station AND device_ip <> @device_ip`);
+  if (r.recordset[0]) {
+    throw mapError(409, `Station ${station} is already mapped to ${r.recordset[0].device_ip}`, 'station');
+  }
+}
+
+// Unique-key violations (2627 constraint, 2601 index) from a concurrent writer
+function rethrowDuplicate(e) {
+  if (e.number === 2627 || e.number === 2601) throw mapError(409, 'Device IP or station is already mapped');
+  throw e;
+}
+
+async function create({ deviceIp, station, label }) {
+  const key = keyOf(deviceIp);
+  await withPool(async (pool) => {
+    const exists = await pool.request()
+      .input('device_ip', sql.VarChar(50), key)
+      .query(`SELECT 1 AS x FROM ${DEVICE_MAP_TABLE_NAME} WHERE device_ip = @device_ip`);
+    if (exists.recordset[0]) throw mapError(409, `Device ${key} is already mapped`, 'deviceIp');
+    await assertStationFree(pool, station, key);
+    await pool.request()
+      .input('device_ip', sql.VarChar(50), key)
+      .input('station', sql.VarChar(20), station)
+      .input('label', sql.VarChar(100), label || null)
+      .query(`INSERT INTO ${DEVICE_MAP_TABLE_NAME} (device_ip, station, label) VALUES (@device_ip, @station, @label)`)
+      .catch(rethrowDuplicate);
+  });
+  cache.delete(key);
+  logger.info('device mapped', { deviceIp: key, station });
+  return get(key);
+}
+
+// Changes station and/or label; `label: null` clears the label
+async function update(deviceIp, { station, label }) {
+  const key = keyOf(deviceIp);
+  await withPool(async (pool) => {
+    if (station) await assertStationFree(pool, station, key);
+    const r = await pool.request()
+      .input('device_ip', sql.VarChar(50), key)
+      .input('station', sql.VarChar(20), station || null)
+      .input('label', sql.VarChar(100), label ?? null)
+      .input('set_label', sql.Bit, label !== undefined ? 1 : 0)
+      .query(`
+        UPDATE ${DEVICE_MAP_TABLE_NAME}
+        SET station    = COALESCE(@station, station),
+            label      = CASE WHEN @set_label = 1 THEN @label ELSE label END,
+            updated_at = SYSUTCDATETIME()
+        WHERE device_ip = @device_ip
+      `)
+      .catch(rethrowDuplicate);
+    if (!r.rowsAffected[0]) throw mapError(404, `Device ${key} is not mapped`);
+  });
+  cache.delete(key);
+  logger.info('device mapping updated', { deviceIp: key, station: station || undefined });
+  return get(key);
+}
+
+async function remove(deviceIp) {
+  const key = keyOf(deviceIp);
+  const removed = await withPool(async (pool) => {
+    const r = await pool.request()
+      .input('device_ip', sql.VarChar(50), key)
+      .query(`DELETE FROM ${DEVICE_MAP_TABLE_NAME} WHERE device_ip = @device_ip`);
+    return r.rowsAffected[0] > 0;
+  });
+  cache.delete(key);
+  if (removed) logger.info('device unmapped', { deviceIp: key });
+  return removed;
+}
+
+module.exports = {
+  stationFor,
+  list,
+  get,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,173 @@
+// lib/dial-guard.js
+// Pre-dial compliance check for outbound calls: do-not-call list, calling hours
+// (site timezone) and a per-number daily attempt cap. Blocked attempts go to OnexDialBlocks.
+const sql = require('mssql');
+const logger = require('../logger'); // daily-rotate logger
+const db = require('./db');
+const dnc = require('./dnc');
+
+const CALL_TABLE_NAME       = process.env.CALL_TABLE_NAME;
+const DIAL_BLOCK_TABLE_NAME = process.env.DIAL_BLOCK_TABLE_NAME || 'OnexDialBlocks';
+const ANI_MATCH_DIGITS      = parseInt(process.env.ANI_MATCH_DIGITS || '9', 10);
+
+// ===== Policy config =====
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SITE_TIMEZONE = process.env.SITE_TIMEZONE || 'Asia/Riyadh';
+// "sun-thu=09:00-21:00;fri=16:00-21:00;sat=10:00-13:00,16:00-21:00" (unlisted days: no calls), or "off"
+const DIAL_WINDOWS = parseWindows(process.env.DIAL_WINDOWS || 'sun-sat=09:00-21:00');
+const MAX_ATTEMPTS_PER_DAY = parseInt(process.env.DIAL_MAX_ATTEMPTS_PER_DAY || '3', 10); // 0 = no cap
+// When the DNC / attempt lookup fails: block (default) or let the call through
+const FAIL_OPEN = /^(1|true|yes)$/i.test(process.env.DIAL_GUARD_FAIL_OPEN || '');
+
+// Reason codes returned to the CRM and stored in OnexDialBlocks
+const REASONS = {
+  DNC:           'Number is on the do-not-call list',
+  OUTSIDE_HOURS: 'Outside the allowed calling hours',
+  ATTEMPT_CAP:   'Daily attempt limit reached for this number',
+  CHECK_FAILED:  'Compliance check unavailable'
+};
+
+// DIAL_WINDOWS spec → ranges (minutes since midnight) per weekday index, Sunday first; null for "off".
+// Day spans may wrap (fri-sun); a range must not cross midnight. Throws on a malformed spec.
+function parseWindows(spec) {
+  if (/^off$/i.test(String(spec).trim())) return null;
+  const days = DAYS.map(() => []);
+  for (const part of String(spec).split(';').map(s => s.trim()).filter(Boolean)) {
+    const m = /^([a-z]{3})(?:-([a-z]{3}))?=(.+)$/i.exec(part);
+    if (!m) throw new Error(`DIAL_WINDOWS: cannot parse "${part}"`);
+    const from = DAYS.indexOf(m[1].toLowerCase());
+    const to = DAYS.indexOf((m[2] || m[1]).toLowerCase());
+    if (from < 0 || to < 0) throw new Error(`DIAL_WINDOWS: unknown day in "${part}"`);
+    const ranges = m[3].split(',').map((r) => {
+      const t = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(r.trim());
+      if (!t) throw new Error(`DIAL_WINDOWS: bad time range "${r}"`);
+      if (+t[3] * 60 + +t[4] <= +t[1] * 60 + +t[2]) throw new Error(`DIAL_WINDOWS: "${r}" must end after it starts (split ranges at midnight)`);
+      return { start: +t[1] * 60 + +t[2], end: +t[3] * 60 + +t[4], text: r.trim() };
+    });
+    for (let d = from; ; d = (d + 1) % 7) {
+      days[d].push(...ranges);
+      if (d === to) break;
+    }
+  }
+  return days;
+}
+
+// Weekday index and minutes since midnight in the site timezone
+const siteClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: SITE_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+function siteNow(date = new Date()) {
+  const parts = Object.fromEntries(siteClock.formatToParts(date).map(p => [p.type, p.value]));
+  return { day: DAYS.indexOf(parts.weekday.toLowerCase()), minutes: +parts.hour * 60 + +parts.minute, time: `${parts.hour}:${parts.minute}` };
+}
+
+// [start, end) of the site-timezone day containing `date`, as instants (23 or 25 h long on DST changes)
+const siteDate = new Intl.DateTimeFormat('en-US', {
+  timeZone: SITE_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+function siteFields(ms) {
+  const p = Object.fromEntries(siteDate.formatToParts(new Date(ms)).map(x => [x.type, +x.value || 0]));
+  return { ...p, wallMs: Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) };
+}
+function siteDay(date = new Date()) {
+  const { year, month, day } = siteFields(date.getTime());
+  const midnight = (d) => {
+    const wall = Date.UTC(year, month - 1, d);
+    const offset = (ms) => siteFields(ms).wallMs - Math.floor(ms / 1000) * 1000;
+    return new Date(wall - offset(wall - offset(wall))); // second pass: the offset at midnight itself
+  };
+  return { start: midnight(day), end: midnight(day + 1) };
+}
+
+// null inside today's calling hours, else an OUTSIDE_HOURS block reason
+function checkHours(date = new Date()) {
+  if (!DIAL_WINDOWS) return null;
+  const now = siteNow(date);
+  const today = DIAL_WINDOWS[now.day];
+  if (today.some(w => now.minutes >= w.start && now.minutes < w.end)) return null;
+  const allowed = today.map(w => w.text).join(', ') || 'none';
+  return { reasonCode: 'OUTSIDE_HOURS', detail: `${DAYS[now.day]} ${now.time} ${SITE_TIMEZONE}; today: ${allowed}` };
+}
+
+// Outbound attempts for this number during the current site-timezone day (the day checkHours uses).
+// The bounds go in as UTC and are moved onto the DB server clock of log_date with its current offset.
+// Attempts that never left our side (registration, makecall, busy device) do not count.
+async function attemptsToday(e164, date = new Date()) {
+  const tail = e164.replace(/\D/g, '').slice(-ANI_MATCH_DIGITS);
+  const { start, end } = siteDay(date);
+  const pool = await db.getPool();
+  const r = await pool.request()
+    .input('n',         sql.Int,         ANI_MATCH_DIGITS)
+    .input('tail',      sql.VarChar(50), tail)
+    .input('day_start', sql.DateTime2,   start)
+    .input('day_end',   sql.DateTime2,   end)
+    .query(`
+      DECLARE @db_offset INT = DATEPART(TZOFFSET, SYSDATETIMEOFFSET());
+      SELECT COUNT(*) AS attempts
+      FROM ${CALL_TABLE_NAME}
+      WHERE direction = 'out'
+        AND outcome NOT IN ('register_failed', 'makecall_failed', 'device_busy')
+        AND log_date >= DATEADD(MINUTE, @db_offset, @day_start)
+        AND log_date <  DATEADD(MINUTE, @db_offset, @day_end)
+        AND RIGHT(client_phone, @n) = @tail
+    `);
+  return r.recordset[0].attempts;
+}
+
+// Resolves { allowed: true } or { allowed: false, reasonCode, message, detail? }.
+// `dialed` is a dial-plan result; short codes (no E.164) are only checked against calling hours.
+async function check(dialed, ctx = {}) {
+  const hours = checkHours();
+  if (hours) return block(hours);
+  if (!dialed.e164) return { allowed: true };
+
+  try {
+    if (await dnc.isListed(dialed.e164)) return block({ reasonCode: 'DNC' });
+    if (MAX_ATTEMPTS_PER_DAY > 0) {
+      const attempts = await attemptsToday(dialed.e164);
+      if (attempts >= MAX_ATTEMPTS_PER_DAY) {
+        return block({ reasonCode: 'ATTEMPT_CAP', detail: `${attempts} of ${MAX_ATTEMPTS_PER_DAY} attempts used today` });
+      }
+    }
+  } catch (e) {
+    logger.error('dial guard lookup failed', { ...ctx, error: e.message, failOpen: FAIL_OPEN });
+    if (!FAIL_OPEN) return block({ reasonCode: 'CHECK_FAILED' });
+  }
+  return { allowed: true };
+}
+
+function block({ reasonCode, detail }) {
+  return { allowed: false, reasonCode, message: REASONS[reasonCode], detail: detail || null };
+}
+
+// Insert into OnexDialBlocks (never throws)
+async function recordBlock({ reasonCode, detail, e164, clientPhone, ticketNumber, agentUser, deviceIp, station }) {
+  try {
+    const pool = await db.getPool();
+    await pool.request()
+      .input('reason_code',   sql.VarChar(20),  reasonCode)
+      .input('client_phone',  sql.VarChar(50),  e164 || clientPhone || '')
+      .input('ticket_number', sql.VarChar(100), ticketNumber || null)
+      .input('agent_user',    sql.VarChar(100), agentUser || null)
+      .input('device_ip',     sql.VarChar(50),  deviceIp || null)
+      .input('station',       sql.VarChar(20),  station || null)
+      .input('detail',        sql.VarChar(200), detail ? String(detail).slice(0, 200) : null)
+      .query(`
+        INSERT INTO ${DIAL_BLOCK_TABLE_NAME}
+          (reason_code, client_phone, ticket_number, agent_user, device_ip, station, detail)
+        VALUES
+          (@reason_code, @client_phone, @ticket_number, @agent_user, @device_ip, @station, @detail)
+      `);
+  } catch (e) {
+    logger.error('[DB] OnexDialBlocks insert failed', { error: e.message, reasonCode });
+  }
+}
+
+module.exports = {
+  parseWindows,
+  checkHours,
+  siteDay,
+  check,
+  recordBlock
+};
@@ -0,0 +1,95 @@
+// lib/dial-plan.js
+// Turns a CRM-entered phone number into E.164 plus the digit string the PBX expects.
+// Number classes follow the Saudi numbering plan; prefixes and formats are env-configurable.
+
+// ===== Dial-plan config =====
+const COUNTRY_CODE  = process.env.DIAL_COUNTRY_CODE || '966';
+const TRUNK_PREFIX  = process.env.DIAL_TRUNK_PREFIX ?? '0';    // national trunk prefix (0XX...)
+const INTL_ACCESS   = process.env.DIAL_INTL_ACCESS ?? '00';    // international access code
+// How domestic numbers are sent to the PBX: national (05x...), e164 (+9665x...), international (009665x...)
+const DOMESTIC_FORMAT = (process.env.DIAL_DOMESTIC_FORMAT || 'national').toLowerCase();
+
+// Domestic classes by national significant number (digits after the country code)
+const DOMESTIC_CLASSES = [
+  { name: 'mobile',   pattern: /^5\d{8}$/ },
+  { name: 'landline', pattern: /^1[1-7]\d{7}$/ },
+  { name: 'tollfree', pattern: /^800\d{7}$/, noTrunk: true },
+  { name: 'unified',  pattern: /^9200\d{5}$/, noTrunk: true } // 9200 xxxxx shared-cost numbers
+];
+const SHORTCODE_RE = /^\d{3,6}$/; // 911, 937, 19xxx ...
+
+const CLASSES = ['mobile', 'landline', 'tollfree', 'unified', 'shortcode', 'international'];
+
+// Outbound access prefix per class (DIAL_PREFIX_MOBILE=9 ...); CALL_PREFIX is the old catch-all.
+// Short codes also cover internal extensions (transfer targets), so they get no prefix by default.
+const PREFIXES = Object.fromEntries(CLASSES.map(c => [
+  c, process.env[`DIAL_PREFIX_${c.toUpperCase()}`] ?? (c === 'shortcode' ? '' : process.env.CALL_PREFIX ?? '')
+]));
+const ALLOWED_CLASSES = new Set(
+  String(process.env.DIAL_ALLOWED_CLASSES || CLASSES.join(',')).split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+);
+
+function reject(reason, message) {
+  return { ok: false, reason, message };
+}
+
+// Strips formatting and unifies the international marker to a leading '+'
+function clean(input) {
+  let s = String(input ?? '').trim().replace(/[\s()\-.\/]/g, '');
+  if (INTL_ACCESS && s.startsWith(INTL_ACCESS)) s = `+${s.slice(INTL_ACCESS.length)}`;
+  return s;
+}
+
+// National significant number when `digits` is a domestic number written any common way
+// (5xxxxxxxx, 05xxxxxxxx, 9665xxxxxxxx, +9665xxxxxxxx), else null
+function nationalPart(s) {
+  if (s.startsWith(`+${COUNTRY_CODE}`)) return s.slice(COUNTRY_CODE.length + 1);
+  if (s.startsWith('+')) return null;
+  if (TRUNK_PREFIX && s.startsWith(TRUNK_PREFIX)) return s.slice(TRUNK_PREFIX.length);
+  if (s.startsWith(COUNTRY_CODE) && DOMESTIC_CLASSES.some(c => c.pattern.test(s.slice(COUNTRY_CODE.length)))) {
+    return s.slice(COUNTRY_CODE.length);
+  }
+  return s;
+}
+
+function domesticDigits(nsn, cls) {
+  if (DOMESTIC_FORMAT === 'e164') return `+${COUNTRY_CODE}${nsn}`;
+  if (DOMESTIC_FORMAT === 'international') return `${INTL_ACCESS}${COUNTRY_CODE}${nsn}`;
+  return cls.noTrunk ? nsn : `${TRUNK_PREFIX}${nsn}`;
+}
+
+function allow(result) {
+  if (!ALLOWED_CLASSES.has(result.numberClass)) {
+    return reject('not_allowed', `${result.numberClass} numbers may not be dialed from this middleware`);
+  }
+  return { ok: true, ...result, dial: `${PREFIXES[result.numberClass]}${result.dial}` };
+}
+
+// resolve('055 123-4567') →
+//   { ok: true, e164: '+966551234567', numberClass: 'mobile', dial: '0551234567' }
+// or { ok: false, reason: 'empty'|'format'|'invalid'|'not_allowed', message }
+function resolve(input) {
+  const s = clean(input);
+  if (!s) return reject('empty', 'Phone number is empty');
+  if (!/^\+?\d+$/.test(s)) return reject('format', 'Phone number may only contain digits, spaces, dashes, brackets and a leading +');
+
+  if (!s.startsWith('+') && SHORTCODE_RE.test(s) && !(TRUNK_PREFIX && s.startsWith(TRUNK_PREFIX))) {
+    return allow({ e164: null, numberClass: 'shortcode', dial: s });
+  }
+
+  const nsn = nationalPart(s);
+  if (nsn !== null) {
+    const cls = DOMESTIC_CLASSES.find(c => c.pattern.test(nsn));
+    if (!cls) return reject('invalid', `Not a valid +${COUNTRY_CODE} number (mobile 5XXXXXXXX, landline 1XXXXXXXX, 800XXXXXXX, 9200XXXXX)`);
+    return allow({ e164: `+${COUNTRY_CODE}${nsn}`, numberClass: cls.name, dial: domesticDigits(nsn, cls) });
+  }
+
+  // '+' and a foreign country code: E.164 allows at most 15 digits
+  const digits = s.slice(1);
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+    return reject('invalid', 'International numbers need a country code and 8-15 digits in total');
+  }
+  return allow({ e164: `+${digits}`, numberClass: 'international', dial: `${INTL_ACCESS}${digits}` });
+}
+
+module.exports = { resolve };
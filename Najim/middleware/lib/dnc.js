@@ -0,0 +1,120 @@
+// lib/dnc.js
+// Do-not-call list (OnexDoNotCall), keyed by E.164 number.
+const sql = require('mssql');
+const logger = require('../logger'); // daily-rotate logger
+const db = require('./db');
+const dialPlan = require('./dial-plan');
+
+const DNC_TABLE_NAME = process.env.DNC_TABLE_NAME || 'OnexDoNotCall';
+const IMPORT_BATCH = 500;      // rows per INSERT (keeps under the 2100 parameter limit)
+const IMPORT_MAX   = 20000;    // numbers per import request
+
+async function withPool(fn) {
+  return fn(await db.getPool());
+}
+
+const toItem = (r) => ({
+  number: r.phone_e164,
+  reason: r.reason,
+  source: r.source,
+  addedBy: r.added_by,
+  createdAt: r.created_at
+});
+
+// E.164 form of a CRM-entered number, or null when the dial plan rejects it
+function keyOf(number) {
+  const d = dialPlan.resolve(number);
+  return d.ok ? d.e164 : null;
+}
+
+// True when e164 is listed. DB errors propagate (the dial guard decides what to do).
+async function isListed(e164) {
+  return withPool(async (pool) => {
+    const r = await pool.request()
+      .input('phone', sql.VarChar(20), e164)
+      .query(`SELECT 1 AS x FROM ${DNC_TABLE_NAME} WHERE phone_e164 = @phone`);
+    return r.recordset.length > 0;
+  });
+}
+
+// Page of entries, newest first; `search` matches any part of the number
+async function list({ search, limit = 100, offset = 0 } = {}) {
+  return withPool(async (pool) => {
+    const where = search ? 'WHERE phone_e164 LIKE @search' : '';
+    const request = () => {
+      const q = pool.request();
+      if (search) q.input('search', sql.VarChar(22), `%${String(search).replace(/[^\d+]/g, '')}%`);
+      return q;
+    };
+    const total = await request().query(`SELECT COUNT(*) AS n FROM ${DNC_TABLE_NAME} ${where}`);
+    const r = await request()
+      .input('offset', sql.Int, offset)
+      .input('limit', sql.Int, limit)
+      .query(`
+        SELECT phone_e164, reason, source, added_by, created_at
+        FROM ${DNC_TABLE_NAME} ${where}
+        ORDER BY created_at DESC, phone_e164
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+      `);
+    return { total: total.recordset[0].n, items: r.recordset.map(toItem) };
+  });
+}
+
+// Adds numbers (any format the dial plan accepts); already-listed numbers are skipped.
+// Returns { added, duplicates, invalid: [{ number, message }] }
+async function importNumbers(numbers, { reason, source, addedBy } = {}) {
+  if (numbers.length > IMPORT_MAX) {
+    const err = new Error(`At most ${IMPORT_MAX} numbers per import`);
+    err.status = 413;
+    throw err;
+  }
+  const invalid = [];
+  const keys = new Set();
+  for (const n of numbers) {
+    const d = dialPlan.resolve(n);
+    if (d.ok && d.e164) keys.add(d.e164);
+    else invalid.push({ number: String(n), message: d.ok ? 'Short codes cannot be listed' : d.message });
+  }
+  const all = [...keys];
+  let added = 0;
+  await withPool(async (pool) => {
+    for (let i = 0; i < all.length; i += IMPORT_BATCH) {
+      const batch = all.slice(i, i + IMPORT_BATCH);
+      const q = pool.request()
+        .input('reason', sql.VarChar(200), reason || null)
+        .input('source', sql.VarChar(50), source || null)
+        .input('added_by', sql.VarChar(100), addedBy || null);
+      batch.forEach((p, j) => q.input(`p${j}`, sql.VarChar(20), p));
+      const r = await q.query(`
+        INSERT INTO ${DNC_TABLE_NAME} (phone_e164, reason, source, added_by)
+        SELECT v.phone, @reason, @source, @added_by
+        FROM (VALUES ${batch.map((_, j) => `(@p${j})`).join(',')}) AS v(phone)
+        WHERE NOT EXISTS (SELECT 1 FROM ${DNC_TABLE_NAME} d WHERE d.phone_e164 = v.phone)
+      `);
+      added += r.rowsAffected[0] || 0;
+    }
+  });
+  logger.info('DNC import', { received: numbers.length, added, duplicates: all.length - added, invalid: invalid.length, source });
+  return { added, duplicates: all.length - added, invalid };
+}
+
+// Removes a number (any accepted format); false when it was not listed
+async function remove(number) {
+  const e164 = keyOf(number);
+  if (!e164) return false;
+  const removed = await withPool(async (pool) => {
+    const r = await pool.request()
+      .input('phone', sql.VarChar(20), e164)
+      .query(`DELETE FROM ${DNC_TABLE_NAME} WHERE phone_e164 = @phone`);
+    return r.rowsAffected[0] > 0;
+  });
+  if (removed) logger.info('DNC number removed', { number: e164.replace(/.(?=.{4})/g, '*') });
+  return removed;
+}
+
+module.exports = {
+  isListed,
+  list,
+  importNumbers,
+  remove
+};
@@ -0,0 +1,74 @@
+// lib/idempotency.js
+// Express middleware: requests repeating an Idempotency-Key (header, or requestId in the
+// query/body) within IDEMPOTENCY_TTL_MS get the first request's response replayed.
+// A duplicate that arrives while the first is still running waits for it. The same key with a
+// different request (body, or query string on GET) is a client bug and gets 422.
+const crypto = require('crypto');
+const logger = require('../logger'); // daily-rotate logger
+
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || '600000', 10); // 10 min
+
+const store = new Map(); // "METHOD path key" -> { promise, expires, fingerprint }
+
+// Key order and the requestId itself do not count
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).filter(k => k !== 'requestId').sort().map(k => [k, canonical(value[k])]));
+}
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify(canonical(req.method === 'GET' ? req.query : req.body ?? {})) ?? '')
+  .digest('hex');
+
+function sweep() {
+  const now = Date.now();
+  for (const [scope, entry] of store) {
+    if (entry.expires < now) store.delete(scope);
+  }
+}
+setInterval(sweep, 60 * 1000).unref();
+
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key') || req.query.requestId || req.body?.requestId;
+  if (!key) return next();
+
+  const scope = `${req.method} ${req.baseUrl}${req.path} ${String(key).slice(0, 200)}`;
+  const hit = store.get(scope);
+  const print = fingerprint(req);
+  if (hit && hit.expires > Date.now()) {
+    if (hit.fingerprint !== print) {
+      logger.warn('idempotency key reused with a different request', { scope });
+      return res.status(422).json({ success: false, message: 'Idempotency-Key was already used with a different request' });
+    }
+    logger.info('idempotent replay', { scope });
+    return hit.promise.then(({ status, body }) => {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(status).json(body);
+    });
+  }
+
+  let settle;
+  let settled = false;
+  const entry = { promise: new Promise((r) => { settle = r; }), expires: Date.now() + IDEMPOTENCY_TTL_MS, fingerprint: print };
+  store.set(scope, entry);
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    settle(result);
+    // Server errors are not remembered: a retry with the same key runs again
+    if (result.status >= 500 && store.get(scope) === entry) store.delete(scope);
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    finish({ status: res.statusCode, body });
+    return json(body);
+  };
+  res.on('close', () => finish({
+    status: 500,
+    body: { success: false, message: 'Original request with this Idempotency-Key did not complete' }
+  }));
+  next();
+}
+
+module.exports = { idempotent };
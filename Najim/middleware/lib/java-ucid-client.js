@@ -0,0 +1,56 @@
+// lib/java-ucid-client.js
+// Client for the Java UCID monitor (UCID.jar: JTAPI/TSAPI on AES) that reports the UCID
+// of the next call on a station.
+//
+// Contract (pinned by test/java-ucid.contract.test.js):
+//   GET {JAVA_UCID_BASEURL}/monitor?station=<extension>&timeout=<ms>
+//     200 { ok: true, station, ucid }       a call appeared on the station within `timeout`
+//     202 { ok: false, error: 'timeout' }   nothing seen in time
+//   The HTTP request gets `timeout` + 2 s before it is abandoned.
+// Optional (JAVA_UCID_HISTORY_PATH, not in the stock UCID.jar):
+//   GET {JAVA_UCID_BASEURL}{path}?station&from&to   (local wall clock, YYYY-MM-DDTHH:MM:SS)
+//     200 { ok: true, items: [{ ucid, station, at }] }
+const logger = require('../logger'); // daily-rotate logger
+const outbound = require('./outbound');
+
+// ===== Java monitor config =====
+const JAVA_UCID_BASEURL       = process.env.JAVA_UCID_BASEURL; // REQUIRED (validated by api/onex.js)
+const UCID_MONITOR_TIMEOUT_MS = parseInt(process.env.UCID_MONITOR_TIMEOUT_MS || '5000', 10); // UCID.jar wait.ms.default
+const JAVA_UCID_HISTORY_PATH  = process.env.JAVA_UCID_HISTORY_PATH || '';
+const HTTP_GRACE_MS = 2000;
+
+const baseUrl = () => JAVA_UCID_BASEURL.replace(/\/+$/, '');
+
+// UCID seen on `station` within timeoutMs, or null. Transport errors and non-2xx answers throw.
+async function getUcid(station, timeoutMs = UCID_MONITOR_TIMEOUT_MS, ctx = {}) {
+  // Long-poll: Java holds the request up to timeoutMs; read-only, so the policy may retry it
+  const r = await outbound.get('java', `${baseUrl()}/monitor`, { params: { station, timeout: timeoutMs } }, {
+    idempotent: true,
+    timeoutMs: timeoutMs + HTTP_GRACE_MS,
+    ctx
+  });
+  const data = r.data || {};
+  if (data.ok && data.ucid) {
+    logger.info('Java UCID monitor returned', { ...ctx, station, ucid: data.ucid });
+    return String(data.ucid);
+  }
+  logger.warn('Java UCID monitor no-ucid', { ...ctx, station, status: r.status, data });
+  return null;
+}
+
+// UCIDs the monitor saw on `station` between from and to (wall-clock strings); [] when disabled
+async function history(station, from, to, ctx = {}) {
+  if (!JAVA_UCID_HISTORY_PATH) return [];
+  const r = await outbound.get('java', `${baseUrl()}${JAVA_UCID_HISTORY_PATH}`, { params: { station, from, to } }, {
+    idempotent: true,
+    ctx
+  });
+  return (r.data?.items || []).filter(i => i && i.ucid);
+}
+
+module.exports = {
+  UCID_MONITOR_TIMEOUT_MS,
+  historyEnabled: !!JAVA_UCID_HISTORY_PATH,
+  getUcid,
+  history
+};
@@ -0,0 +1,85 @@
+// lib/onex-client.js
+const xml2js = require('xml2js');
+const logger = require('../logger'); // daily-rotate logger
+const outbound = require('./outbound');
+
+// ===== One-X config (strict: env only, validated by api/onex.js) =====
+const ONEX_SCHEME   = process.env.ONEX_SCHEME;   // http or https
+const ONEX_PORT     = process.env.ONEX_PORT;     // e.g. 60000
+const ONEX_API_PATH = process.env.ONEX_API_PATH; // e.g. /onexagent/api
+
+// ===== Utils =====
+const parseXml = async (xml) => await xml2js.parseStringPromise(xml);
+
+function buildBaseUrl(deviceIp) {
+  if (typeof deviceIp === 'string' && /^https?:\/\//i.test(deviceIp)) {
+    const url = new URL(deviceIp);
+    if (ONEX_API_PATH && !url.pathname.endsWith(ONEX_API_PATH)) {
+      url.pathname = (url.pathname.replace(/\/+$/, '') || '') + ONEX_API_PATH;
+    }
+    return url.toString();
+  }
+  const host = (deviceIp || '').trim();
+  if (!host) throw new Error('Missing required deviceIp');
+  if (!/^[a-zA-Z0-9.\-:]+$/.test(host)) throw new Error('Invalid device IP/host');
+  const needsPort = !host.includes(':');
+  const portPart = needsPort ? `:${ONEX_PORT}` : '';
+  return `${ONEX_SCHEME}://${host}${portPart}${ONEX_API_PATH}`;
+}
+
+// One circuit breaker per agent PC: a dead device must not slow down the others
+function breakerKey(baseUrl) {
+  try { return new URL(baseUrl).host; } catch { return baseUrl; }
+}
+// Read-only One-X actions that are safe to retry
+const IDEMPOTENT_ACTIONS = new Set(['getstate']);
+
+// ===== One-X helpers =====
+async function registerClient(name, baseUrl, ctx) {
+  logger.info('Registering One-X client', { ...ctx, clientName: name });
+  const r = await outbound.get('onex', `${baseUrl}/registerclient`, { params: { name } }, { key: breakerKey(baseUrl), ctx });
+  const parsed = await parseXml(String(r.data || ''));
+  const attrs = parsed?.RegisterClientResponse?.$ || {};
+  logger.info('registerclient parsed', { ...ctx, attrs });
+  return attrs; // { ResponseCode, ClientId? }
+}
+async function unregisterClient(clientid, baseUrl, ctx) {
+  try {
+    logger.info('Unregistering One-X client', { ...ctx, clientId: clientid });
+    await outbound.get('onex', `${baseUrl}/unregisterclient`, { params: { clientid } }, { key: breakerKey(baseUrl), idempotent: true, ctx });
+    logger.info('Unregistered One-X client', { ...ctx, clientId: clientid });
+  } catch (err) {
+    logger.warn('unregisterClient error', { ...ctx, error: err.message });
+  }
+}
+// GET {baseUrl}/{area}/{action} → { status, attrs } of the response root element
+async function oneXAction(baseUrl, area, action, params, ctx) {
+  const r = await outbound.get('onex', `${baseUrl}/${area}/${action}`, { params }, {
+    key: breakerKey(baseUrl),
+    idempotent: IDEMPOTENT_ACTIONS.has(action),
+    ctx
+  });
+  const parsed = await parseXml(String(r.data || ''));
+  const rootKey = Object.keys(parsed)[0] || '';
+  const attrs = parsed?.[rootKey]?.$ || {};
+  logger.info(`One-X ${action} response`, { ...ctx, status: r.status, attrs });
+  return { status: r.status, attrs };
+}
+const oneXVoiceAction = (baseUrl, action, params, ctx) => oneXAction(baseUrl, 'voice', action, params, ctx);
+const oneXAgentAction = (baseUrl, action, params, ctx) => oneXAction(baseUrl, 'agent', action, params, ctx);
+// Returns the parsed NextNotificationResponse element ({} when One-X sent nothing)
+async function nextNotification(baseUrl, clientid) {
+  const r = await outbound.get('onex', `${baseUrl}/nextnotification`, { params: { clientid } }, { key: breakerKey(baseUrl) });
+  const parsed = await parseXml(String(r.data || ''));
+  return parsed?.NextNotificationResponse || {};
+}
+
+module.exports = {
+  parseXml,
+  buildBaseUrl,
+  registerClient,
+  unregisterClient,
+  oneXVoiceAction,
+  oneXAgentAction,
+  nextNotification
+};
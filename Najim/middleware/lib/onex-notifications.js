@@ -0,0 +1,133 @@
+// lib/onex-notifications.js
+// Background /nextnotification consumer per registered device session.
+// Every One-X notification is normalized to a JSON event and published on `bus`.
+const { EventEmitter } = require('events');
+const logger = require('../logger'); // daily-rotate logger
+const { nextNotification } = require('./onex-client');
+const sessions = require('./onex-sessions');
+
+// ===== Pump config =====
+const PUMP_INTERVAL_MS = parseInt(process.env.ONEX_PUMP_INTERVAL_MS || '250', 10);   // pause after an empty poll
+const PUMP_BACKOFF_MS  = parseInt(process.env.ONEX_PUMP_BACKOFF_MS || '5000', 10);   // pause after a failed poll
+const EVENT_BUFFER_SIZE = parseInt(process.env.ONEX_EVENT_BUFFER || '500', 10);       // kept for SSE Last-Event-ID replay
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per SSE subscriber / waiting request
+
+const recent = []; // ring buffer of the last EVENT_BUFFER_SIZE events
+let seq = 0;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// One-X notification element → normalized event type
+const EVENT_TYPES = {
+  VoiceInteractionCreated:    'voice.created',
+  VoiceInteractionUpdated:    'voice.updated',
+  VoiceInteractionTerminated: 'voice.terminated',
+  VoiceInteractionMissed:     'voice.missed',
+  AgentStateChanged:          'agent.state'
+};
+function eventTypeOf(name) {
+  if (EVENT_TYPES[name]) return EVENT_TYPES[name];
+  const voice = /^VoiceInteraction(\w+)$/.exec(name);
+  if (voice) return `voice.${voice[1].toLowerCase()}`;
+  return `onex.${name}`;
+}
+
+// Flattens a parsed NextNotificationResponse into zero or more events
+function parseNotification(el, s) {
+  const out = [];
+  for (const [name, items] of Object.entries(el || {})) {
+    if (name === '$' || name === '_') continue;
+    for (const item of [].concat(items)) {
+      const attrs = (item && item.$) || {};
+      out.push({
+        type: eventTypeOf(name),
+        notification: name,
+        deviceIp: s.deviceIp,
+        agentUser: s.agentUser || null,
+        station: s.station || null,
+        clientId: s.clientId,
+        interactionId: attrs.ObjectId || attrs.InteractionId || null,
+        ucid: attrs.UCID || null,
+        state: attrs.State || null,
+        at: new Date().toISOString(),
+        attrs
+      });
+    }
+  }
+  return out;
+}
+
+function publish(evt) {
+  evt.id = ++seq;
+  recent.push(evt);
+  if (recent.length > EVENT_BUFFER_SIZE) recent.shift();
+  logger.info('One-X event', {
+    id: evt.id, type: evt.type, deviceIp: evt.deviceIp, interactionId: evt.interactionId, state: evt.state
+  });
+  bus.emit('event', evt);
+}
+
+// Events published after `lastId` (for SSE reconnects)
+function since(lastId) {
+  const n = parseInt(lastId, 10);
+  if (!Number.isFinite(n)) return [];
+  return recent.filter(e => e.id > n);
+}
+
+// Resolves with the first matching event, or null after timeoutMs
+function waitFor(predicate, timeoutMs) {
+  let listener, timer;
+  const promise = new Promise((resolve) => {
+    listener = (evt) => { if (predicate(evt)) { cleanup(); resolve(evt); } };
+    timer = setTimeout(() => { cleanup(); resolve(null); }, timeoutMs);
+    bus.on('event', listener);
+  });
+  function cleanup() {
+    clearTimeout(timer);
+    bus.removeListener('event', listener);
+  }
+  return { promise, cancel: cleanup };
+}
+
+async function pump(s) {
+  logger.info('One-X notification pump started', { deviceIp: s.deviceIp });
+  while (sessions.isActive(s)) {
+    const clientId = s.clientId;
+    try {
+      if (!clientId) {
+        await sessions.acquire(s.deviceIp, { op: 'pump' });
+        continue;
+      }
+      const el = await nextNotification(s.baseUrl, clientId);
+      if (sessions.isInvalidClientCode(el?.$?.ResponseCode)) {
+        sessions.invalidate(s, clientId);
+        continue;
+      }
+      if (!sessions.isActive(s)) break;
+      const events = parseNotification(el, s);
+      events.forEach(publish);
+      if (!events.length) await sleep(PUMP_INTERVAL_MS);
+    } catch (e) {
+      logger.warn('One-X notification pump error', { deviceIp: s.deviceIp, clientId, error: e.message });
+      await sleep(PUMP_BACKOFF_MS);
+    }
+  }
+  s.pumping = false;
+  logger.info('One-X notification pump stopped', { deviceIp: s.deviceIp });
+}
+
+sessions.events.on('registered', (s) => {
+  if (s.pumping) return;
+  s.pumping = true;
+  pump(s);
+});
+
+module.exports = {
+  bus,
+  parseNotification,
+  publish,
+  since,
+  waitFor
+};
@@ -0,0 +1,174 @@
+// lib/onex-sessions.js
+// One long-lived One-X client registration per agent device (keyed by base URL).
+const { EventEmitter } = require('events');
+const logger = require('../logger'); // daily-rotate logger
+const { buildBaseUrl, registerClient, unregisterClient } = require('./onex-client');
+
+// ===== Session config =====
+const SESSION_IDLE_MS      = parseInt(process.env.ONEX_SESSION_IDLE_MS || '1800000', 10);   // unregister after 30 min unused
+const SESSION_SWEEP_MS     = parseInt(process.env.ONEX_SESSION_SWEEP_MS || '60000', 10);    // idle sweep interval
+// ResponseCodes meaning One-X no longer knows our ClientId (comma separated)
+const INVALID_CLIENT_CODES = new Set(
+  String(process.env.ONEX_INVALID_CLIENT_CODES || '3').split(',').map(s => s.trim()).filter(Boolean)
+);
+
+const sessions = new Map(); // baseUrl -> session
+// 'registered' (session) fires on every successful registerclient; lib/onex-notifications.js
+// starts its per-device notification pump from it, which also keeps the client alive.
+const events = new EventEmitter();
+
+const isInvalidClientCode = (code) => code != null && INVALID_CLIENT_CODES.has(String(code));
+
+function describe(s) {
+  return {
+    deviceIp: s.deviceIp,
+    baseUrl: s.baseUrl,
+    agentUser: s.agentUser,
+    station: s.station,
+    clientId: s.clientId,
+    clientName: s.clientName,
+    registeredAt: s.registeredAt ? new Date(s.registeredAt).toISOString() : null,
+    lastUsedAt: new Date(s.lastUsedAt).toISOString(),
+    registrations: s.registrations,
+    busy: s.busy
+  };
+}
+
+async function register(s, ctx) {
+  const name = `CRM_${ctx.agentUser || 'anon'}_SESSION_${Date.now()}`;
+  try {
+    const reg = await registerClient(name, s.baseUrl, { ...ctx, deviceIp: s.deviceIp });
+    const clientId = reg.ClientId || reg.clientId;
+    if (!clientId) throw new Error('Failed to register One-X client');
+    s.clientId = clientId;
+    s.clientName = name;
+    s.registeredAt = Date.now();
+    s.registrations++;
+    logger.info('One-X session registered', { ...ctx, ...describe(s) });
+    events.emit('registered', s);
+  } catch (e) {
+    // Never keep a session around that has no client behind it
+    if (!s.clientId && sessions.get(s.baseUrl) === s) sessions.delete(s.baseUrl);
+    throw e;
+  }
+}
+
+// Returns the device's session, registering a client first if needed.
+// Concurrent callers for the same device share one registerclient round-trip.
+async function acquire(deviceIp, ctx = {}) {
+  const baseUrl = buildBaseUrl(deviceIp);
+  let s = sessions.get(baseUrl);
+  if (!s) {
+    s = {
+      deviceIp: String(deviceIp).trim(),
+      baseUrl,
+      agentUser: null,
+      station: null,
+      clientId: null,
+      clientName: null,
+      registeredAt: null,
+      lastUsedAt: Date.now(),
+      registrations: 0,
+      busy: 0,
+      pending: null
+    };
+    sessions.set(baseUrl, s);
+  }
+  s.lastUsedAt = Date.now();
+  if (ctx.agentUser) s.agentUser = ctx.agentUser;
+  if (ctx.station) s.station = ctx.station;
+  if (s.clientId) return s;
+  if (!s.pending) {
+    s.pending = register(s, ctx).finally(() => { s.pending = null; });
+  }
+  await s.pending;
+  return s;
+}
+
+// Drops a stale ClientId so the next acquire() registers a fresh one
+function invalidate(s, staleClientId) {
+  if (s.clientId && s.clientId === staleClientId) {
+    logger.warn('One-X session invalidated', { deviceIp: s.deviceIp, clientId: staleClientId });
+    s.clientId = null;
+  }
+}
+
+async function runBusy(s, fn) {
+  s.busy++;
+  try {
+    return await fn(s.clientId, s.baseUrl);
+  } finally {
+    s.busy--;
+    s.lastUsedAt = Date.now();
+  }
+}
+
+// Runs fn(clientId, baseUrl) on the device session. fn should resolve to a
+// oneXVoiceAction()-style result; if its ResponseCode says the client is
+// invalid, the session is re-registered and fn is retried once.
+async function withClient(deviceIp, ctx, fn) {
+  let s = await acquire(deviceIp, ctx);
+  let result = await runBusy(s, fn);
+  const code = result?.attrs?.ResponseCode;
+  if (isInvalidClientCode(code)) {
+    logger.warn('One-X client rejected, re-registering', { ...ctx, deviceIp: s.deviceIp, clientId: s.clientId, code });
+    invalidate(s, s.clientId);
+    s = await acquire(deviceIp, ctx);
+    result = await runBusy(s, fn);
+  }
+  return result;
+}
+
+// False once the session was evicted or closed (its pump should stop)
+function isActive(s) {
+  return sessions.get(s.baseUrl) === s;
+}
+
+function list() {
+  return [...sessions.values()].filter(s => s.clientId).map(describe);
+}
+
+async function evict(deviceIp, ctx = {}) {
+  const baseUrl = buildBaseUrl(deviceIp);
+  const s = sessions.get(baseUrl);
+  if (!s) return false;
+  sessions.delete(baseUrl);
+  if (s.clientId) await unregisterClient(s.clientId, s.baseUrl, { ...ctx, deviceIp: s.deviceIp });
+  logger.info('One-X session evicted', { ...ctx, deviceIp: s.deviceIp, clientId: s.clientId });
+  return true;
+}
+
+// Periodic sweep: unregister sessions nobody used for SESSION_IDLE_MS
+function sweep() {
+  for (const s of [...sessions.values()]) {
+    if (!s.clientId || s.busy > 0 || s.pending) continue;
+    if (Date.now() - s.lastUsedAt > SESSION_IDLE_MS) {
+      evict(s.deviceIp, { op: 'session-idle' }).catch(() => {});
+    }
+  }
+}
+const sweepTimer = setInterval(sweep, SESSION_SWEEP_MS);
+sweepTimer.unref();
+
+// Unregisters every session (called on shutdown)
+async function closeAll() {
+  clearInterval(sweepTimer);
+  const all = [...sessions.values()];
+  sessions.clear();
+  await Promise.allSettled(
+    all.filter(s => s.clientId).map(s => unregisterClient(s.clientId, s.baseUrl, { op: 'shutdown', deviceIp: s.deviceIp }))
+  );
+  logger.info('One-X sessions closed', { count: all.length });
+}
+
+module.exports = {
+  acquire,
+  withClient,
+  invalidate,
+  isInvalidClientCode,
+  isActive,
+  list,
+  evict,
+  closeAll,
+  events
+};
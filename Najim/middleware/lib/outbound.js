@@ -0,0 +1,183 @@
+// lib/outbound.js
+// Outbound call policy shared by the One-X, Java UCID monitor and ACR clients:
+// per-target timeout, bounded retries with jittered backoff (idempotent calls only)
+// and a circuit breaker per target/key that fails fast while the far end is down.
+const axios = require('axios');
+const logger = require('../logger'); // daily-rotate logger
+
+// ===== Policy config =====
+// OUTBOUND_<TARGET>_TIMEOUT_MS / _RETRIES / _BREAKER_FAILURES / _BREAKER_RESET_MS
+const DEFAULTS = {
+  onex: { timeoutMs: 15000, retries: 1, failures: 3, resetMs: 30000 },
+  java: { timeoutMs: 10000, retries: 0, failures: 5, resetMs: 15000 }, // long-poll: caller passes its own timeout
+  acr:  { timeoutMs: 30000, retries: 2, failures: 5, resetMs: 30000 }
+};
+const RETRY_BASE_MS = parseInt(process.env.OUTBOUND_RETRY_BASE_MS || '250', 10);
+const RETRY_MAX_MS  = parseInt(process.env.OUTBOUND_RETRY_MAX_MS || '4000', 10);
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+const POLICIES = Object.fromEntries(Object.entries(DEFAULTS).map(([target, d]) => {
+  const p = `OUTBOUND_${target.toUpperCase()}_`;
+  return [target, {
+    timeoutMs: envInt(`${p}TIMEOUT_MS`, d.timeoutMs),
+    retries:   envInt(`${p}RETRIES`, d.retries),
+    failures:  Math.max(1, envInt(`${p}BREAKER_FAILURES`, d.failures)),
+    resetMs:   envInt(`${p}BREAKER_RESET_MS`, d.resetMs)
+  }];
+}));
+
+// Network-level failures worth another attempt (the target may simply have blipped)
+const RETRYABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH']);
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ===== Circuit breakers =====
+// closed → (N consecutive failures) → open → (resetMs) → half_open: one trial call
+// → closed on success, open again on failure
+const breakers = new Map(); // `${target} ${key}` -> breaker
+
+function breakerFor(target, key) {
+  const id = `${target} ${key}`;
+  let b = breakers.get(id);
+  if (!b) {
+    b = { target, key, state: 'closed', failures: 0, openedAt: null, retryAt: null, trial: false, lastError: null };
+    breakers.set(id, b);
+  }
+  return b;
+}
+
+function circuitOpenError(b) {
+  const err = new Error(`${b.target} circuit open for ${b.key} (last error: ${b.lastError || 'n/a'})`);
+  err.code = 'CIRCUIT_OPEN';
+  err.status = 503;
+  err.retryAfterMs = Math.max(0, b.retryAt - Date.now());
+  return err;
+}
+
+// Throws CIRCUIT_OPEN while open; lets exactly one trial through once resetMs has passed
+function admit(b) {
+  if (b.state === 'closed') return;
+  if (b.state === 'open' && Date.now() >= b.retryAt) {
+    b.state = 'half_open';
+    b.trial = false;
+  }
+  if (b.state === 'half_open' && !b.trial) {
+    b.trial = true;
+    return;
+  }
+  throw circuitOpenError(b);
+}
+
+function onSuccess(b) {
+  if (b.state !== 'closed') logger.info('outbound circuit closed', { target: b.target, key: b.key });
+  b.state = 'closed';
+  b.failures = 0;
+  b.openedAt = b.retryAt = null;
+  b.trial = false;
+}
+
+function onFailure(b, policy, reason) {
+  b.failures++;
+  b.lastError = reason;
+  b.trial = false;
+  if (b.state === 'half_open' || b.failures >= policy.failures) {
+    if (b.state !== 'open') {
+      logger.warn('outbound circuit opened', { target: b.target, key: b.key, failures: b.failures, error: reason, resetMs: policy.resetMs });
+    }
+    b.state = 'open';
+    b.openedAt = new Date().toISOString();
+    b.retryAt = Date.now() + policy.resetMs;
+  }
+}
+
+// A thrown error with no response, or a 5xx, means the target is unhealthy. 4xx means it is up.
+function failureOf(err, res) {
+  if (err) {
+    if (err.response) return err.response.status >= 500 ? `HTTP ${err.response.status}` : null;
+    return err.code || err.message;
+  }
+  return res && res.status >= 500 ? `HTTP ${res.status}` : null;
+}
+
+function retryable(err, res) {
+  if (err) return err.response ? RETRYABLE_STATUS.has(err.response.status) : RETRYABLE_CODES.has(err.code);
+  return !!res && RETRYABLE_STATUS.has(res.status);
+}
+
+// Full jitter: random delay in [0, min(max, base * 2^attempt)]
+const backoff = (attempt) => Math.floor(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+
+// axios(config) under the target's policy.
+//   target:     'onex' | 'java' | 'acr'
+//   key:        breaker key within the target (One-X: the device base URL; default: the target)
+//   idempotent: safe to send twice (retries are only done when true)
+//   timeoutMs:  overrides the target timeout for long calls (downloads, long-polls)
+// Resolves the axios response; rejects with the axios error or a CIRCUIT_OPEN error (status 503).
+async function request(target, config, { key, idempotent = false, timeoutMs, ctx = {} } = {}) {
+  const policy = POLICIES[target];
+  if (!policy) throw new Error(`Unknown outbound target: ${target}`);
+  const b = breakerFor(target, key || target);
+  const attempts = 1 + (idempotent ? policy.retries : 0);
+
+  for (let attempt = 0; ; attempt++) {
+    admit(b);
+    let res = null;
+    let err = null;
+    try {
+      res = await axios({ ...config, timeout: timeoutMs ?? policy.timeoutMs });
+    } catch (e) {
+      err = e;
+    }
+    const failure = failureOf(err, res);
+    if (failure) onFailure(b, policy, failure);
+    else onSuccess(b);
+
+    const last = attempt + 1 >= attempts || b.state === 'open' || !retryable(err, res);
+    if (last) {
+      if (err) throw err;
+      return res;
+    }
+    if (res && res.data && typeof res.data.destroy === 'function') res.data.destroy(); // discard streamed body
+    const delay = backoff(attempt);
+    logger.warn('outbound retry', { ...ctx, target, key: b.key, attempt: attempt + 1, delayMs: delay, error: failure });
+    await sleep(delay);
+  }
+}
+
+const get = (target, url, config = {}, opts) => request(target, { ...config, method: 'GET', url }, opts);
+
+// Breaker state for /health: every breaker that is not closed, plus per-target counts
+function snapshot() {
+  const all = [...breakers.values()];
+  const targets = Object.fromEntries(Object.entries(POLICIES).map(([target, policy]) => {
+    const mine = all.filter(b => b.target === target);
+    return [target, {
+      policy,
+      breakers: mine.length,
+      open: mine.filter(b => b.state === 'open').length,
+      halfOpen: mine.filter(b => b.state === 'half_open').length
+    }];
+  }));
+  const tripped = all
+    .filter(b => b.state !== 'closed')
+    .map(b => ({
+      target: b.target,
+      key: b.key,
+      state: b.state,
+      failures: b.failures,
+      lastError: b.lastError,
+      openedAt: b.openedAt,
+      retryAt: b.retryAt ? new Date(b.retryAt).toISOString() : null
+    }));
+  return { healthy: tripped.length === 0, targets, tripped };
+}
+
+module.exports = {
+  request,
+  get,
+  snapshot
+};
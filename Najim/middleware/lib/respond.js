@@ -0,0 +1,21 @@
+// lib/respond.js
+// JSON response shape shared by the One-X and admin routes: { success, message?, ...data, date, time }
+
+// ===== Server time helpers (no TZ conversion) =====
+function nowServerDateTime() {
+  const now = new Date(); // server clock
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+  return { date, time };
+}
+
+function sendJson(res, status, body) {
+  const { date, time } = nowServerDateTime();
+  return res.status(status).json({ ...body, date, time });
+}
+
+module.exports = {
+  nowServerDateTime,
+  sendJson
+};
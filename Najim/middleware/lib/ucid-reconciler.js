@@ -0,0 +1,245 @@
+// lib/ucid-reconciler.js
+// Background backfill of OnexCallLogs rows that were stored without a UCID (neither the
+// Java monitor nor One-X delivered one). Each row is matched against ACR recordings of the
+// same number around log_date, or against the Java monitor's history when that is enabled.
+// Matches are written back with ucid_source / ucid_confidence.
+const sql = require('mssql');
+const logger = require('../logger'); // daily-rotate logger
+const db = require('./db');
+const acrClient = require('./acr-client');
+const javaUcid = require('./java-ucid-client');
+const { wallClockMs } = require('./wall-clock');
+
+const CALL_TABLE_NAME = process.env.CALL_TABLE_NAME;
+
+// ===== Reconciler config =====
+const INTERVAL_MS    = parseInt(process.env.UCID_RECONCILE_INTERVAL_MS || '600000', 10); // 10 min, 0 = off
+const LOOKBACK_HOURS = parseInt(process.env.UCID_RECONCILE_LOOKBACK_HOURS || '48', 10);
+const MIN_AGE_MIN    = parseInt(process.env.UCID_RECONCILE_MIN_AGE_MIN || '5', 10);    // let ACR finish the recording
+const WINDOW_MIN     = parseInt(process.env.UCID_RECONCILE_WINDOW_MIN || '3', 10);     // ± around log_date
+const BATCH          = parseInt(process.env.UCID_RECONCILE_BATCH || '50', 10);
+const MAX_ATTEMPTS   = parseInt(process.env.UCID_RECONCILE_MAX_ATTEMPTS || '6', 10);   // then the row is left alone
+const ANI_MATCH_DIGITS = parseInt(process.env.ANI_MATCH_DIGITS || '9', 10);
+
+// exact: live UCID (Java/One-X); high: one candidate on the agent's station;
+// medium: one candidate, or the only one on the station; low: closest of several
+const CONFIDENCE = ['low', 'medium', 'high', 'exact'];
+const MIN_CONFIDENCE = CONFIDENCE.includes(process.env.UCID_RECONCILE_MIN_CONFIDENCE)
+  ? process.env.UCID_RECONCILE_MIN_CONFIDENCE
+  : 'medium';
+
+const status = {
+  running: false,
+  lastRun: null,          // summary of the last finished run
+  totals: { runs: 0, scanned: 0, resolved: 0, ambiguous: 0, unmatched: 0, errors: 0 },
+  recent: []              // last resolutions, newest first
+};
+const RECENT_MAX = 50;
+
+async function withPool(fn) {
+  return fn(await db.getPool());
+}
+
+// ===== Time helpers =====
+// DATETIME2 values come back from mssql with the DB wall clock in the UTC fields, so all
+// comparisons here are done on that wall clock (ACR reports local times too).
+const pad = (n) => String(n).padStart(2, '0');
+const acrDate = (d) => `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${String(d.getUTCFullYear()).slice(-2)}`;
+const acrTime = (d) => `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+
+// ===== Candidate sources =====
+async function acrCandidates(row, ctx) {
+  const from = new Date(row.log_date.getTime() - WINDOW_MIN * 60000);
+  const to = new Date(row.log_date.getTime() + WINDOW_MIN * 60000);
+  const results = await acrClient.search({
+    layout: 'AvayaSegment',
+    operator_startedat: 9,
+    param1_startedat: acrDate(from),
+    param2_startedat: acrTime(from),
+    param3_startedat: acrDate(to),
+    param4_startedat: acrTime(to),
+    operator_otherparties: 8,
+    param1_otherparties: String(row.client_phone).replace(/\D/g, '').slice(-ANI_MATCH_DIGITS)
+  }, ctx);
+  return results
+    .filter(r => r.switchcallid)
+    .map(r => ({
+      ucid: r.switchcallid,
+      at: wallClockMs(r.fields.startedat),
+      onStation: !!row.station && String(r.fields.agents || '').split(/[,;\s]+/).includes(row.station),
+      inum: r.inum
+    }));
+}
+
+// Java monitor history (JAVA_UCID_HISTORY_PATH); the station is known, so every item is on it
+async function javaHistoryCandidates(row, ctx) {
+  const from = new Date(row.log_date.getTime() - WINDOW_MIN * 60000);
+  const to = new Date(row.log_date.getTime() + WINDOW_MIN * 60000);
+  const items = await javaUcid.history(row.station, from.toISOString().slice(0, 19), to.toISOString().slice(0, 19), ctx);
+  return items.map(i => ({ ucid: String(i.ucid), at: wallClockMs(i.at), onStation: true }));
+}
+
+// Picks one candidate and grades it; null when there is nothing usable
+function pick(candidates, row) {
+  if (!candidates.length) return null;
+  const target = row.log_date.getTime();
+  const distance = (c) => (c.at === null ? Number.MAX_SAFE_INTEGER : Math.abs(c.at - target));
+  const onStation = candidates.filter(c => c.onStation);
+  if (candidates.length === 1) return { ...candidates[0], confidence: candidates[0].onStation ? 'high' : 'medium' };
+  if (onStation.length === 1) return { ...onStation[0], confidence: 'medium' };
+  return { ...[...(onStation.length ? onStation : candidates)].sort((a, b) => distance(a) - distance(b))[0], confidence: 'low' };
+}
+
+// ===== DB =====
+async function pendingRows(pool) {
+  const r = await pool.request()
+    .input('batch',    sql.Int, BATCH)
+    .input('lookback', sql.Int, LOOKBACK_HOURS)
+    .input('min_age',  sql.Int, MIN_AGE_MIN)
+    .input('max_att',  sql.Int, MAX_ATTEMPTS)
+    .query(`
+      SELECT TOP (@batch) id, log_date, client_phone, station
+      FROM ${CALL_TABLE_NAME}
+      WHERE ucid IS NULL
+        AND interaction_id IS NOT NULL
+        AND log_date >= DATEADD(HOUR, -@lookback, SYSDATETIME())
+        AND log_date <= DATEADD(MINUTE, -@min_age, SYSDATETIME())
+        AND reconcile_attempts < @max_att
+      ORDER BY log_date DESC
+    `);
+  return r.recordset;
+}
+
+// True when another call row already carries this UCID (one recording, one call)
+async function ucidTaken(pool, ucid, id) {
+  const r = await pool.request()
+    .input('ucid', sql.VarChar(100), ucid)
+    .input('id', sql.Int, id)
+    .input('lookback', sql.Int, LOOKBACK_HOURS * 2)
+    .query(`
+      SELECT TOP 1 id FROM ${CALL_TABLE_NAME}
+      WHERE ucid = @ucid AND id <> @id AND log_date >= DATEADD(HOUR, -@lookback, SYSDATETIME())
+    `);
+  return r.recordset.length > 0;
+}
+
+async function writeMatch(pool, id, match) {
+  const r = await pool.request()
+    .input('id',         sql.Int,             id)
+    .input('ucid',       sql.VarChar(sql.MAX), match.ucid)
+    .input('source',     sql.VarChar(20),     match.source)
+    .input('confidence', sql.VarChar(10),     match.confidence)
+    .query(`
+      UPDATE ${CALL_TABLE_NAME}
+      SET ucid = @ucid, ucid_source = @source, ucid_confidence = @confidence,
+          reconciled_at = SYSDATETIME(), reconcile_attempts = reconcile_attempts + 1
+      WHERE id = @id AND ucid IS NULL
+    `);
+  return r.rowsAffected[0] > 0;
+}
+
+async function countAttempt(pool, id) {
+  await pool.request()
+    .input('id', sql.Int, id)
+    .query(`UPDATE ${CALL_TABLE_NAME} SET reconcile_attempts = reconcile_attempts + 1 WHERE id = @id`);
+}
+
+// ===== Run =====
+async function reconcileRow(pool, row, summary) {
+  const ctx = { op: 'UCID_RECONCILE', callLogId: row.id };
+  const sources = [['acr_search', acrCandidates]];
+  if (javaUcid.historyEnabled && row.station) sources.push(['java_history', javaHistoryCandidates]);
+
+  let best = null;
+  for (const [source, find] of sources) {
+    const candidates = [];
+    for (const c of await find(row, ctx)) {
+      if (!(await ucidTaken(pool, c.ucid, row.id))) candidates.push(c);
+    }
+    const match = pick(candidates, row);
+    if (match && (!best || CONFIDENCE.indexOf(match.confidence) > CONFIDENCE.indexOf(best.confidence))) {
+      best = { ...match, source };
+    }
+    if (best && best.confidence === 'high') break;
+  }
+
+  if (best && CONFIDENCE.indexOf(best.confidence) >= CONFIDENCE.indexOf(MIN_CONFIDENCE)) {
+    if (await writeMatch(pool, row.id, best)) {
+      summary.resolved++;
+      summary.bySource[best.source] = (summary.bySource[best.source] || 0) + 1;
+      const item = { callLogId: row.id, ucid: best.ucid, source: best.source, confidence: best.confidence, at: new Date().toISOString() };
+      status.recent.unshift(item);
+      status.recent.length = Math.min(status.recent.length, RECENT_MAX);
+      logger.info('UCID reconciled', { ...ctx, source: best.source, confidence: best.confidence, inum: best.inum });
+    }
+    return;
+  }
+  if (best) summary.ambiguous++;
+  else summary.unmatched++;
+  await countAttempt(pool, row.id);
+}
+
+async function runOnce() {
+  if (status.running) return status.lastRun;
+  status.running = true;
+  const started = Date.now();
+  const summary = {
+    startedAt: new Date(started).toISOString(), finishedAt: null, ms: null,
+    scanned: 0, resolved: 0, ambiguous: 0, unmatched: 0, errors: 0, bySource: {}, error: null
+  };
+  try {
+    await withPool(async (pool) => {
+      const rows = await pendingRows(pool);
+      summary.scanned = rows.length;
+      for (const row of rows) {
+        try {
+          await reconcileRow(pool, row, summary);
+        } catch (e) {
+          summary.errors++;
+          logger.warn('UCID reconcile row failed', { callLogId: row.id, error: e.message });
+          if (e.code === 'CIRCUIT_OPEN') break; // ACR / Java down: try again next run
+        }
+      }
+    });
+  } catch (e) {
+    summary.error = e.message;
+    logger.error('UCID reconcile run failed', { error: e.message });
+  } finally {
+    summary.finishedAt = new Date().toISOString();
+    summary.ms = Date.now() - started;
+    status.running = false;
+    status.lastRun = summary;
+    status.totals.runs++;
+    for (const k of ['scanned', 'resolved', 'ambiguous', 'unmatched', 'errors']) status.totals[k] += summary[k];
+  }
+  logger.info('UCID reconcile run done', summary);
+  return summary;
+}
+
+function getStatus() {
+  return {
+    enabled: INTERVAL_MS > 0,
+    intervalMs: INTERVAL_MS,
+    config: {
+      lookbackHours: LOOKBACK_HOURS,
+      minAgeMin: MIN_AGE_MIN,
+      windowMin: WINDOW_MIN,
+      batch: BATCH,
+      maxAttempts: MAX_ATTEMPTS,
+      minConfidence: MIN_CONFIDENCE,
+      sources: ['acr_search', ...(javaUcid.historyEnabled ? ['java_history'] : [])]
+    },
+    ...status
+  };
+}
+
+if (INTERVAL_MS > 0) {
+  setTimeout(runOnce, 60 * 1000).unref(); // first run a minute after start-up
+  setInterval(runOnce, INTERVAL_MS).unref();
+}
+
+module.exports = {
+  pick,
+  runOnce,
+  getStatus
+};
@@ -0,0 +1,77 @@
+// lib/validation.js
+// Minimal declarative validation for JSON request bodies.
+// A schema maps field name -> { type, required?, min?, max?, pattern?, hint? }.
+// Types: string, phone, host, integer. Unknown fields are dropped, not rejected.
+
+const HOST_RE = /^[a-zA-Z0-9.\-:]+$/; // same rule buildBaseUrl() applies to deviceIp
+
+function isBlank(v) {
+  return v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+}
+
+// Returns [value, error]; error = { code, message }
+function checkField(spec, raw) {
+  const type = spec.type || 'string';
+
+  if (type === 'integer') {
+    const n = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    if (!Number.isInteger(n)) return [null, { code: 'type', message: 'must be an integer' }];
+    if (spec.min !== undefined && n < spec.min) return [null, { code: 'range', message: `must be >= ${spec.min}` }];
+    if (spec.max !== undefined && n > spec.max) return [null, { code: 'range', message: `must be <= ${spec.max}` }];
+    return [n, null];
+  }
+
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    return [null, { code: 'type', message: 'must be a string' }];
+  }
+  let v = String(raw).trim();
+
+  if (type === 'phone') {
+    v = v.replace(/[\s()\-.]/g, '');
+    if (!/^\+?\d{3,20}$/.test(v)) {
+      return [null, { code: 'format', message: 'must be a phone number: 3-20 digits, optional leading +' }];
+    }
+    return [v, null];
+  }
+
+  if (type === 'host') {
+    const ok = /^https?:\/\//i.test(v) ? (() => { try { return !!new URL(v); } catch { return false; } })() : HOST_RE.test(v);
+    if (!ok || v.length > 255) {
+      return [null, { code: 'format', message: 'must be an IP address, host name or http(s) URL' }];
+    }
+    return [v, null];
+  }
+
+  const min = spec.min || 1;
+  if (v.length < min || (spec.max && v.length > spec.max)) {
+    const range = spec.max ? `${min}-${spec.max}` : `at least ${min}`;
+    return [null, { code: 'length', message: `must be ${range} characters` }];
+  }
+  if (spec.pattern && !spec.pattern.test(v)) {
+    return [null, { code: 'format', message: spec.hint || `must match ${spec.pattern}` }];
+  }
+  return [v, null];
+}
+
+// Validates `body` against `schema`.
+// Returns { value, errors } where errors = [{ field, code, message }] (empty when valid).
+function validate(schema, body) {
+  const value = {};
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: [{ field: null, code: 'type', message: 'request body must be a JSON object' }] };
+  }
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = body[field];
+    if (isBlank(raw)) {
+      if (spec.required) errors.push({ field, code: 'required', message: `${field} is required` });
+      continue;
+    }
+    const [v, err] = checkField(spec, raw);
+    if (err) errors.push({ field, ...err, message: `${field} ${err.message}` });
+    else value[field] = v;
+  }
+  return { value, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,44 @@
+// lib/wall-clock.js
+// SQL Server stamps log_date & co. with SYSDATETIME() (server local time, no zone), and mssql
+// hands DATETIME2 values back and forth with that wall clock in the UTC fields of a Date.
+// Everything compared against those columns is therefore built with Date.UTC, never local time.
+
+// "2025-10-16 00:06:02", "2025-10-16T00:06:02", "16/10/2025 00:06:02", "16/10/25 00:06" → wall-clock ms, or null
+function wallClockMs(value) {
+  const s = String(value || '').trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/.exec(s);
+  if (m) return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  m = /^(\d{2})\/(\d{2})\/(\d{2,4})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(s);
+  if (m) {
+    const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return Date.UTC(y, +m[2] - 1, +m[1], +m[4], +m[5], +(m[6] || 0));
+  }
+  return null;
+}
+
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// YYYY-MM-DD naming a real calendar day: 2026-02-31 would roll over to March, so it is refused
+function isDay(s) {
+  const m = DAY_RE.exec(String(s ?? ''));
+  if (!m) return false;
+  return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])).toISOString().slice(0, 10) === m[0];
+}
+
+// [from, to) for YYYY-MM-DD report parameters, as DATETIME2 inputs: midnight of `from` up to
+// midnight of `to` (or the day after `from` when `to` is empty)
+function dayRange(from, to) {
+  const midnight = (s) => {
+    const [, y, m, d] = DAY_RE.exec(s);
+    return new Date(Date.UTC(+y, +m - 1, +d));
+  };
+  const fromDate = midnight(from);
+  const toDate = to ? midnight(to) : new Date(fromDate.getTime() + 24 * 3600 * 1000);
+  return { from: fromDate, to: toDate };
+}
+
+module.exports = {
+  wallClockMs,
+  isDay,
+  dayRange
+};
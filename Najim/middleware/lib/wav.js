@@ -0,0 +1,175 @@
+// lib/wav.js
+// Minimal RIFF/WAVE PCM helpers for the cached recordings written by api/acr.js (ffmpeg pcm_s16le).
+const fs = require('fs');
+
+// 'fmt ' chunk body at `off` → { audioFormat, channels, sampleRate, bitsPerSample }
+const parseFmt = (buf, off) => ({
+  audioFormat: buf.readUInt16LE(off),
+  channels: buf.readUInt16LE(off + 2),
+  sampleRate: buf.readUInt32LE(off + 4),
+  bitsPerSample: buf.readUInt16LE(off + 14)
+});
+const isRiffWave = (buf) => buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE';
+function checkPcm(format, file) {
+  if (!format) throw new Error(`WAV data before fmt chunk: ${file}`);
+  if (format.audioFormat !== 1) throw new Error(`WAV is not PCM (format ${format.audioFormat}): ${file}`);
+}
+// ffmpeg leaves size 0/0xFFFFFFFF when it could not seek back; take the rest of the file then
+const dataEnd = (dataStart, size, fileSize) => (size && dataStart + size <= fileSize ? dataStart + size : fileSize);
+
+// { format: { channels, sampleRate, bitsPerSample }, data: Buffer } — data is the PCM payload
+function readWav(file) {
+  const buf = fs.readFileSync(file);
+  if (!isRiffWave(buf)) throw new Error(`Not a WAV file: ${file}`);
+  let format = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (id === 'fmt ') {
+      format = parseFmt(buf, off + 8);
+    } else if (id === 'data') {
+      checkPcm(format, file);
+      return { format, data: buf.subarray(off + 8, dataEnd(off + 8, size, buf.length)) };
+    }
+    off += 8 + size + (size % 2);
+  }
+  throw new Error(`WAV has no data chunk: ${file}`);
+}
+
+// Like readWav() without loading the audio: { format, dataOffset, dataBytes } from the chunk headers
+async function readWavInfo(file) {
+  const fh = await fs.promises.open(file, 'r');
+  try {
+    const { size: fileSize } = await fh.stat();
+    const read = async (position, length) => {
+      const { buffer, bytesRead } = await fh.read(Buffer.alloc(length), 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    };
+    if (!isRiffWave(await read(0, 12))) throw new Error(`Not a WAV file: ${file}`);
+    let format = null;
+    for (let off = 12; off + 8 <= fileSize;) {
+      const header = await read(off, 8);
+      const id = header.toString('ascii', 0, 4);
+      const size = header.readUInt32LE(4);
+      if (id === 'fmt ') {
+        format = parseFmt(await read(off + 8, 16), 0);
+      } else if (id === 'data') {
+        checkPcm(format, file);
+        return { format, dataOffset: off + 8, dataBytes: dataEnd(off + 8, size, fileSize) - (off + 8) };
+      }
+      off += 8 + size + (size % 2);
+    }
+    throw new Error(`WAV has no data chunk: ${file}`);
+  } finally {
+    await fh.close();
+  }
+}
+
+const bytesPerSecond = (f) => f.sampleRate * f.channels * (f.bitsPerSample / 8);
+
+// 44-byte canonical PCM header
+function wavHeader(format, dataBytes) {
+  const h = Buffer.alloc(44);
+  const blockAlign = format.channels * (format.bitsPerSample / 8);
+  h.write('RIFF', 0);
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write('WAVE', 8);
+  h.write('fmt ', 12);
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20);
+  h.writeUInt16LE(format.channels, 22);
+  h.writeUInt32LE(format.sampleRate, 24);
+  h.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  h.writeUInt16LE(blockAlign, 32);
+  h.writeUInt16LE(format.bitsPerSample, 34);
+  h.write('data', 36);
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+// Writes files back to back into outPath (same PCM format required), streaming each data chunk
+// (64 KiB at a time) so long multi-leg calls neither sit in memory nor block the event loop.
+// Resolves { format, durationSec, parts: [{ offsetSec, durationSec }] } in input order.
+async function concatWavs(files, outPath) {
+  // Headers first: a format mismatch fails before anything is written
+  const inputs = [];
+  for (const file of files) {
+    const info = await readWavInfo(file);
+    const format = inputs.length ? inputs[0].format : info.format;
+    if (['channels', 'sampleRate', 'bitsPerSample'].some(k => info.format[k] !== format[k])) {
+      throw new Error(`WAV format differs from the first input: ${file}`);
+    }
+    inputs.push({ file, ...info });
+  }
+  if (!inputs.length) throw new Error('No WAV inputs to concatenate');
+  const { format } = inputs[0];
+
+  const parts = [];
+  let dataBytes = 0;
+  const fh = await fs.promises.open(outPath, 'w');
+  try {
+    await fh.write(Buffer.alloc(44), 0, 44, 0);
+    for (const { file, dataOffset, dataBytes: bytes } of inputs) {
+      parts.push({ offsetSec: dataBytes / bytesPerSecond(format), durationSec: bytes / bytesPerSecond(format) });
+      if (!bytes) continue;
+      const stream = fs.createReadStream(file, { start: dataOffset, end: dataOffset + bytes - 1, highWaterMark: 64 * 1024 });
+      for await (const chunk of stream) {
+        await fh.write(chunk, 0, chunk.length, 44 + dataBytes);
+        dataBytes += chunk.length;
+      }
+    }
+    await fh.write(wavHeader(format, dataBytes), 0, 44, 0);
+  } finally {
+    await fh.close();
+  }
+  return { format, durationSec: dataBytes / bytesPerSecond(format), parts };
+}
+
+// Peak amplitude (0..1, all channels) of `points` equal slices of a 16-bit PCM WAV, for waveform displays.
+// Streams the data chunk (64 KiB at a time), so long recordings neither sit in memory nor block the event loop.
+// Resolves { format, durationSec, peaks }; fewer points than requested when the file has fewer frames.
+async function peaks(file, points) {
+  const { format, dataOffset, dataBytes } = await readWavInfo(file);
+  if (format.bitsPerSample !== 16) throw new Error(`Peaks need 16-bit PCM, got ${format.bitsPerSample}-bit: ${file}`);
+  const frameBytes = 2 * format.channels;
+  const frames = Math.floor(dataBytes / frameBytes);
+  const n = Math.max(1, Math.min(points, frames));
+  const out = new Array(n).fill(0);
+  const level = (max) => Math.round((max / 32768) * 10000) / 10000;
+  if (!frames) return { format, durationSec: 0, peaks: out };
+
+  // slice i covers frames [floor(i * frames / n), floor((i + 1) * frames / n))
+  let slice = 0;
+  let sliceEnd = Math.floor(frames / n);
+  let frame = 0;
+  let max = 0;
+  let carry = null; // partial frame left at the end of a chunk
+  const stream = fs.createReadStream(file, { start: dataOffset, end: dataOffset + frames * frameBytes - 1, highWaterMark: 64 * 1024 });
+  for await (const data of stream) {
+    const chunk = carry ? Buffer.concat([carry, data]) : data;
+    const whole = chunk.length - (chunk.length % frameBytes);
+    for (let off = 0; off < whole; off += frameBytes, frame++) {
+      while (frame >= sliceEnd) {
+        out[slice++] = level(max);
+        max = 0;
+        sliceEnd = Math.floor(((slice + 1) * frames) / n);
+      }
+      for (let c = 0; c < frameBytes; c += 2) {
+        const v = Math.abs(chunk.readInt16LE(off + c));
+        if (v > max) max = v;
+      }
+    }
+    carry = whole < chunk.length ? chunk.subarray(whole) : null;
+  }
+  out[slice] = level(max);
+  return { format, durationSec: frames / format.sampleRate, peaks: out };
+}
+
+module.exports = {
+  readWav,
+  readWavInfo,
+  wavHeader,
+  bytesPerSecond,
+  concatWavs,
+  peaks
+};
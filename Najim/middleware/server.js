@@ -10,6 +10,10 @@ const cors = require('cors');
 const onexRoutes = require('./api/onex');
 const acrRoutes  = require('./api/acr');
 const lookupRoutes = require('./api/lookup');  
+const adminRoutes = require('./api/admin');
+const onexSessions = require('./lib/onex-sessions');
+const outbound = require('./lib/outbound');
+const db = require('./lib/db');
 
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -50,12 +54,14 @@ app.get('/docs.json', (_req, res) => res.json(swaggerSpec));
 
 // ---------- Health ----------
 app.get('/', (_req, res) => res.send('Middleware API is running. See /docs'));
-app.get('/health', (_req, res) => res.json({ ok: true }));
+// ok stays true while breakers are open: one dead agent PC or ACR must not take the service out of rotation
+app.get('/health', (_req, res) => res.json({ ok: true, outbound: outbound.snapshot() }));
 
 // ---------- Routes ----------
 app.use('/api/onex', onexRoutes);
 app.use('/api/acr', acrRoutes);
 app.use('/api/lookup', lookupRoutes);          
+app.use('/api/admin', adminRoutes);
 
 // ---------- HTTPS server ----------
 const httpsOptions = {
@@ -63,7 +69,23 @@ const httpsOptions = {
   cert: fs.readFileSync(rpath(SSL_CERT_PATH)),
 };
 
-https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
+const server = https.createServer(httpsOptions, app).listen(PORT, HOST, () => {
   console.log(`🔐 HTTPS server running at: https://${HOST}:${PORT}`);
   console.log(`📖 Swagger UI available at: https://${HOST}:${PORT}/docs`);
 });
+
+// ---------- Graceful shutdown ----------
+// nssm stops the service with Ctrl+C (SIGINT); unregister One-X clients and close the SQL pool before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`⏹  ${signal} received, shutting down`);
+  setTimeout(() => process.exit(1), 10000).unref();
+  server.close();
+  try { await onexSessions.closeAll(); } catch {}
+  await db.close(); // the shared SQL pool is only ever closed here
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,284 @@
+// simulators/acr-sim.js
+// Local stand-in for the Avaya Contact Recorder search/replay API used by api/acr.js.
+//
+//   npm run sim:acr [-- <scenario>]           (scenario name from simulators/scenarios/acr, or a .json path)
+//   const sim = await createAcrSim({ port: 0, scenario: 'default' })   (tests; sim.url, sim.close())
+//
+// Point the middleware at it with ACR_SCHEME=http, ACR_HOST=localhost, ACR_PORT=<ACR_SIM_PORT>,
+// ACR_PATH=<ACR_SIM_PATH>, ACR_USER/ACR_PASS = ACR_SIM_USER/ACR_SIM_PASS.
+//
+//   GET {path}?command=search&operator_<field>=N&param1_<field>=...   → <results><result inum=..><field name=..>
+//       operators: 1 equals, 8 contains, 9 between (startedat: param1/param3 DD/MM/YY dates,
+//       param2/param4 HH:MM:SS times; duration: param1/param3 seconds)
+//   GET|HEAD {path}?command=replay&id=<inum>                          → audio/wav, Range supported
+//
+// Recordings come from simulators/fixtures/acr-recordings.json; `startedat` may be absolute
+// ("2025-10-16 00:06:02") or relative to start-up ("today 10:15:00", "-1d 09:00:00").
+// Audio is synthesized: a tone of the recording's duration (8 kHz, 16-bit mono PCM).
+//
+// Control API (JSON):
+//   GET  /_sim/state        recordings and active scenario
+//   POST /_sim/scenario     { name } or { scenario: {...} }
+//   POST /_sim/recordings   { inum, startedat, duration, switchcallid, otherparties, agents, ... } — add one
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { scenarioLoader, simLogger, sleep } = require('./sim-utils');
+
+// ===== Config =====
+const PORT      = parseInt(process.env.ACR_SIM_PORT || '8089', 10);
+const API_PATH  = process.env.ACR_SIM_PATH || '/searchapi';
+const AUTH_USER = process.env.ACR_SIM_USER ?? 'acr';
+const AUTH_PASS = process.env.ACR_SIM_PASS ?? 'acr';   // both empty = no auth
+const FIXTURES  = process.env.ACR_SIM_FIXTURES || path.join(__dirname, 'fixtures', 'acr-recordings.json');
+const SCENARIO_DIR = path.join(__dirname, 'scenarios', 'acr');
+
+const BASE_SCENARIO = {
+  description: '',
+  searchDelayMs: 50,
+  unauthorized: false,      // every request answers 401
+  malformedXml: false,      // search answers truncated XML
+  searchStatus: null,       // search answers this HTTP status
+  replayStatus: null,       // replay answers this HTTP status
+  streamBytesPerSec: null,  // throttle replay bodies (slow stream)
+  stallAfterBytes: null     // stop sending after N bytes and keep the connection open
+};
+const scenarios = scenarioLoader(SCENARIO_DIR, BASE_SCENARIO);
+
+// ===== Catalogue =====
+const pad = (n) => String(n).padStart(2, '0');
+const fmt = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+// "today 10:15:00" / "-2d 09:00:00" → local "YYYY-MM-DD HH:MM:SS"
+function resolveStartedAt(v) {
+  const m = /^(today|([+-]\d+)d)\s+(\d{2}):(\d{2}):(\d{2})$/.exec(String(v).trim());
+  if (!m) return String(v);
+  const d = new Date();
+  d.setDate(d.getDate() + (m[2] ? parseInt(m[2], 10) : 0));
+  d.setHours(+m[3], +m[4], +m[5], 0);
+  return fmt(d);
+}
+const toRecording = (r) => ({ ...r, startedat: resolveStartedAt(r.startedat), duration: String(r.duration ?? 30) });
+
+// ===== Search =====
+// DD/MM/YY + HH:MM:SS → comparable "YYYY-MM-DD HH:MM:SS"
+function acrDateTime(date, time, fallbackTime) {
+  const m = /^(\d{2})\/(\d{2})\/(\d{2,4})$/.exec(String(date || ''));
+  if (!m) return null;
+  const y = m[3].length === 2 ? `20${m[3]}` : m[3];
+  return `${y}-${m[2]}-${m[1]} ${time || fallbackTime}`;
+}
+
+// Filters from operator_<field>/param<N>_<field>; throws on unsupported operators
+function buildFilters(q) {
+  const filters = [];
+  for (const [key, op] of Object.entries(q)) {
+    const m = /^operator_(\w+)$/.exec(key);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const p = (n) => q[`param${n}_${m[1]}`];
+    switch (String(op)) {
+      case '1': filters.push((r) => String(r[field] ?? '') === String(p(1) ?? '')); break;
+      case '8': filters.push((r) => String(r[field] ?? '').includes(String(p(1) ?? ''))); break;
+      case '9': {
+        if (field === 'duration') { // numeric range in seconds: param1..param3
+          const lo = Number(p(1) ?? 0);
+          const hi = Number(p(3) ?? Infinity);
+          filters.push((r) => Number(r[field]) >= lo && Number(r[field]) <= hi);
+          break;
+        }
+        const from = acrDateTime(p(1), p(2), '00:00:00');
+        const to = acrDateTime(p(3), p(4), '23:59:59');
+        if (!from || !to) throw new Error(`operator 9 on ${field} needs param1/param3 as DD/MM/YY`);
+        filters.push((r) => String(r[field]) >= from && String(r[field]) <= to);
+        break;
+      }
+      default:
+        throw new Error(`Unsupported operator ${op} for ${field} (simulator knows 1, 8, 9)`);
+    }
+  }
+  return filters;
+}
+
+const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+function resultsXml(items) {
+  const body = items.map(({ inum, ...fields }) =>
+    `  <result inum="${esc(inum)}">\n${Object.entries(fields).map(([k, v]) => `    <field name="${esc(k)}">${esc(v)}</field>`).join('\n')}\n  </result>`
+  ).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<results total="${items.length}">\n${body}\n</results>`;
+}
+
+// ===== Replay =====
+// 8 kHz 16-bit mono PCM WAV: a tone whose pitch is derived from the INUM
+function wavFor(rec) {
+  const rate = 8000;
+  const samples = rate * Math.max(1, parseInt(rec.duration, 10) || 1);
+  const buf = Buffer.alloc(44 + samples * 2);
+  buf.write('RIFF', 0); buf.writeUInt32LE(36 + samples * 2, 4); buf.write('WAVE', 8);
+  buf.write('fmt ', 12); buf.writeUInt32LE(16, 16); buf.writeUInt16LE(1, 20); buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(rate, 24); buf.writeUInt32LE(rate * 2, 28); buf.writeUInt16LE(2, 32); buf.writeUInt16LE(16, 34);
+  buf.write('data', 36); buf.writeUInt32LE(samples * 2, 40);
+  const hz = 300 + ([...String(rec.inum)].reduce((a, c) => a + c.charCodeAt(0), 0) % 500);
+  for (let i = 0; i < samples; i++) {
+    const envelope = (i % rate) < rate * 0.8 ? 1 : 0.1; // 0.8 s on, 0.2 s quiet: visible on a waveform
+    buf.writeInt16LE(Math.round(Math.sin((2 * Math.PI * hz * i) / rate) * 8000 * envelope), 44 + i * 2);
+  }
+  return buf;
+}
+
+// Builds an isolated simulator and starts listening (port 0 = ephemeral, for tests).
+// Resolves { url, apiPath, port, app, recordings, setScenario, close }; url is the server root.
+async function createAcrSim({
+  port = 0,
+  scenario: initial = 'default',
+  apiPath = API_PATH,
+  user = AUTH_USER,
+  pass = AUTH_PASS,
+  fixtures = FIXTURES,
+  quiet = false
+} = {}) {
+  const log = quiet ? () => {} : simLogger('acr-sim');
+  let scenario = typeof initial === 'string' ? scenarios.load(initial) : scenarios.merge(initial);
+  const recordings = JSON.parse(fs.readFileSync(fixtures, 'utf8')).map(toRecording);
+
+  const wavCache = new Map(); // inum -> Buffer
+
+  // Writes `body` honouring the scenario's throttle / stall faults
+  async function send(res, body) {
+    const limit = scenario.stallAfterBytes ?? Infinity;
+    const rate = scenario.streamBytesPerSec;
+    if (!rate && limit >= body.length) return res.end(body);
+    const chunk = rate ? Math.max(1, Math.floor(rate / 10)) : 16384;
+    for (let off = 0; off < Math.min(body.length, limit); off += chunk) {
+      if (res.destroyed) return;
+      res.write(body.subarray(off, Math.min(off + chunk, body.length, limit)));
+      if (rate) await sleep(100);
+    }
+    if (limit < body.length) {
+      log('replay stalled', { sent: limit });
+      return; // connection left open: the client's timeout has to deal with it
+    }
+    res.end();
+  }
+
+  function replay(req, res) {
+    const rec = recordings.find(r => r.inum === req.query.id);
+    if (!rec) return res.status(404).send('Unknown recording');
+    if (scenario.replayStatus) return res.status(scenario.replayStatus).send(`simulated HTTP ${scenario.replayStatus}`);
+
+    if (!wavCache.has(rec.inum)) wavCache.set(rec.inum, wavFor(rec));
+    const wav = wavCache.get(rec.inum);
+    const total = wav.length;
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', 'audio/wav');
+
+    let start = 0;
+    let end = total - 1;
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    if (range && (range[1] || range[2])) {
+      if (range[1]) {
+        start = parseInt(range[1], 10);
+        end = range[2] ? Math.min(parseInt(range[2], 10), total - 1) : total - 1;
+      } else {
+        start = Math.max(0, total - parseInt(range[2], 10)); // suffix range: last N bytes
+      }
+      if (start >= total || start > end) {
+        res.setHeader('Content-Range', `bytes */${total}`);
+        return res.status(416).end();
+      }
+      res.status(206).setHeader('Content-Range', `bytes ${start}-${end}/${total}`);
+    } else {
+      res.status(200);
+    }
+    res.setHeader('Content-Length', end - start + 1);
+    log('replay', { inum: rec.inum, range: req.headers.range || null, status: res.statusCode });
+    if (req.method === 'HEAD') return res.end();
+    return send(res, wav.subarray(start, end + 1));
+  }
+
+  // ===== ACR API =====
+  const app = express();
+  app.use(express.json());
+
+  function authorized(req) {
+    if (scenario.unauthorized) return false;
+    if (!user && !pass) return true;
+    const m = /^Basic (.+)$/i.exec(req.headers.authorization || '');
+    return !!m && Buffer.from(m[1], 'base64').toString() === `${user}:${pass}`;
+  }
+
+  app.all(apiPath, async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return res.status(405).end();
+    if (!authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Basic realm="ACR"');
+      return res.status(401).send('Unauthorized');
+    }
+    const command = String(req.query.command || '');
+    if (command === 'replay') return replay(req, res);
+    if (command !== 'search') return res.status(400).send(`Unknown command "${command}"`);
+
+    await sleep(scenario.searchDelayMs || 0);
+    if (scenario.searchStatus) return res.status(scenario.searchStatus).send(`simulated HTTP ${scenario.searchStatus}`);
+    let filters;
+    try {
+      filters = buildFilters(req.query);
+    } catch (e) {
+      return res.status(400).type('xml').send(`<error>${esc(e.message)}</error>`);
+    }
+    const items = recordings.filter(r => filters.every(f => f(r)));
+    log('search', { filters: filters.length, found: items.length });
+    const xml = resultsXml(items);
+    res.type('xml').send(scenario.malformedXml ? xml.slice(0, Math.floor(xml.length / 2)) : xml);
+  });
+
+  // ===== Control API =====
+  app.get('/_sim/state', (_req, res) => res.json({ scenario, available: scenarios.list(), recordings }));
+
+  app.post('/_sim/scenario', (req, res) => {
+    try {
+      scenario = req.body?.scenario ? scenarios.merge(req.body.scenario) : scenarios.load(String(req.body?.name || 'default'));
+      log('scenario switched', { name: scenario.name });
+      res.json({ ok: true, scenario });
+    } catch (e) {
+      res.status(400).json({ ok: false, message: e.message, available: scenarios.list() });
+    }
+  });
+
+  app.post('/_sim/recordings', (req, res) => {
+    const r = req.body || {};
+    if (!r.inum || !r.startedat) return res.status(400).json({ ok: false, message: 'inum and startedat are required' });
+    if (recordings.some(x => x.inum === String(r.inum))) return res.status(409).json({ ok: false, message: 'inum already exists' });
+    const rec = toRecording({ ...r, inum: String(r.inum) });
+    recordings.push(rec);
+    res.json({ ok: true, recording: rec });
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const srv = app.listen(port, () => resolve(srv)).on('error', reject);
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  log(`listening on ${url}${apiPath}`, { scenario: scenario.name, recordings: recordings.length, auth: !!(user || pass) });
+
+  return {
+    url,
+    apiPath,
+    port: server.address().port,
+    app,
+    recordings,
+    setScenario: (s) => { scenario = typeof s === 'string' ? scenarios.load(s) : scenarios.merge(s); },
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections(); // stalled replays keep theirs open
+    })
+  };
+}
+
+if (require.main === module) {
+  createAcrSim({ port: PORT, scenario: process.argv[2] || process.env.ACR_SIM_SCENARIO || 'default' })
+    .catch((e) => {
+      console.error(`[acr-sim] ${e.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { createAcrSim };
@@ -0,0 +1,118 @@
+// simulators/java-ucid-sim.js
+// Local stand-in for the Java UCID monitor (UCID.jar), which needs AES/TSAPI and cannot run
+// on a dev box. Speaks the contract in lib/java-ucid-client.js:
+//
+//   GET /monitor?station=<ext>&timeout=<ms>  → 200 { ok: true, station, ucid } once a "call" shows up,
+//                                              202 { ok: false, error: 'timeout' } after `timeout` ms
+//   GET /health                              → { ok: true }
+//   GET /history?station&from&to             → { ok: true, items: [{ ucid, station, at }] } (stand-in only;
+//                                              set JAVA_UCID_HISTORY_PATH=/history to use it)
+//
+//   npm run sim:java [-- <scenario>]          (scenario name from simulators/scenarios/java, or a .json path)
+//
+// Point the middleware at it with JAVA_UCID_BASEURL=http://localhost:<JAVA_SIM_PORT>.
+//
+// Control API (JSON):
+//   GET  /_sim/state      scenario, recent requests, served UCIDs
+//   POST /_sim/scenario   { name } or { scenario: {...} }
+//   POST /_sim/ucid       { station, ucid } — the next /monitor for that station returns this UCID
+const path = require('path');
+const express = require('express');
+const { scenarioLoader, simLogger, sleep } = require('./sim-utils');
+
+// ===== Config =====
+const PORT = parseInt(process.env.JAVA_SIM_PORT || '8082', 10); // ucid-service.properties http.port
+const DEFAULT_WAIT_MS = 5000;                                   // ucid-service.properties wait.ms.default
+const SCENARIO_DIR = path.join(__dirname, 'scenarios', 'java');
+
+const BASE_SCENARIO = {
+  description: '',
+  mode: 'ucid',        // 'ucid' | 'timeout' (always 202) | 'error' (HTTP 500) | 'hang' (never answers)
+  latencyMs: 300,      // time until the call appears on the station; >= timeout → 202
+  flakyEvery: null     // every Nth /monitor answers 202 regardless of mode
+};
+const scenarios = scenarioLoader(SCENARIO_DIR, BASE_SCENARIO);
+
+// Builds an isolated stand-in (tests create one per suite on an ephemeral port)
+function createJavaUcidSim({ scenario: initial = 'default', quiet = false } = {}) {
+  const log = quiet ? () => {} : simLogger('java-ucid-sim');
+  let scenario = typeof initial === 'string' ? scenarios.load(initial) : scenarios.merge(initial);
+  const requests = [];                 // last 100 /monitor requests
+  const served = [];                   // last 1000 UCIDs handed out
+  const preset = new Map();            // station -> next UCID
+  let seq = 0;
+  let monitorCalls = 0;
+
+  // 20-digit UCIDs like 00001006671760598306 (00001 + 10-digit time + 5-digit sequence)
+  const newUcid = () => `00001${String(Date.now()).slice(-10)}${String(++seq % 100000).padStart(5, '0')}`;
+  const wallClock = (d = new Date()) => new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/health', (_req, res) => res.json({ ok: true }));
+
+  app.get('/monitor', async (req, res) => {
+    const station = String(req.query.station || '').trim();
+    const timeout = parseInt(req.query.timeout, 10);
+    const waitMs = Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_WAIT_MS;
+    requests.push({ at: new Date().toISOString(), path: req.path, query: { ...req.query } });
+    if (requests.length > 100) requests.shift();
+    if (!station) return res.status(400).json({ ok: false, error: 'station is required' });
+
+    monitorCalls++;
+    const mode = scenario.flakyEvery && monitorCalls % scenario.flakyEvery === 0 ? 'timeout' : scenario.mode;
+    log('monitor', { station, waitMs, mode });
+    if (mode === 'hang') return; // connection stays open until the client gives up
+    if (mode === 'error') return res.status(500).json({ ok: false, error: 'TSAPI provider out of service' });
+    if (mode === 'timeout' || scenario.latencyMs >= waitMs) {
+      await sleep(waitMs);
+      return res.status(202).json({ ok: false, error: 'timeout' });
+    }
+    await sleep(scenario.latencyMs);
+    const ucid = preset.get(station) || newUcid();
+    preset.delete(station);
+    served.push({ ucid, station, at: wallClock() });
+    if (served.length > 1000) served.shift();
+    return res.status(200).json({ ok: true, station, ucid });
+  });
+
+  app.get('/history', (req, res) => {
+    const { station, from = '', to = '9999' } = req.query;
+    const items = served.filter(s => (!station || s.station === station) && s.at >= from && s.at <= to);
+    res.json({ ok: true, items });
+  });
+
+  app.get('/_sim/state', (_req, res) => res.json({ scenario, available: scenarios.list(), requests, served: served.slice(-50) }));
+
+  app.post('/_sim/scenario', (req, res) => {
+    try {
+      scenario = req.body?.scenario ? scenarios.merge(req.body.scenario) : scenarios.load(String(req.body?.name || 'default'));
+      log('scenario switched', { name: scenario.name });
+      res.json({ ok: true, scenario });
+    } catch (e) {
+      res.status(400).json({ ok: false, message: e.message, available: scenarios.list() });
+    }
+  });
+
+  app.post('/_sim/ucid', (req, res) => {
+    const { station, ucid } = req.body || {};
+    if (!station || !ucid) return res.status(400).json({ ok: false, message: 'station and ucid are required' });
+    preset.set(String(station), String(ucid));
+    res.json({ ok: true });
+  });
+
+  return {
+    app,
+    requests,
+    setScenario: (s) => { scenario = typeof s === 'string' ? scenarios.load(s) : scenarios.merge(s); },
+    presetUcid: (station, ucid) => preset.set(String(station), String(ucid))
+  };
+}
+
+if (require.main === module) {
+  const sim = createJavaUcidSim({ scenario: process.argv[2] || process.env.JAVA_SIM_SCENARIO || 'default' });
+  sim.app.listen(PORT, () => simLogger('java-ucid-sim')(`listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createJavaUcidSim };
@@ -0,0 +1,304 @@
+// simulators/onex-sim.js
+// Local stand-in for the Avaya one-X Agent HTTP XML API, for development and automated tests.
+//
+//   npm run sim:onex [-- <scenario>]          (scenario name from simulators/scenarios/onex, or a .json path)
+//   const sim = await createOnexSim({ port: 0, scenario: 'default' })   (tests; sim.url, sim.close())
+//
+// Point the middleware at it with ONEX_SCHEME=http, ONEX_PORT=<ONEX_SIM_PORT> and
+// ONEX_API_PATH=<ONEX_SIM_PATH>; any deviceIp host that resolves here works (127.0.0.1, localhost).
+//
+// Control API (JSON):
+//   GET  /_sim/state               clients, interactions, active scenario
+//   POST /_sim/scenario            { name } or { scenario: {...} } — switch scenario at runtime
+//   POST /_sim/inbound             { callingNumber, clientId? } — ring an inbound call
+//   POST /_sim/release             { interactionId } — far end hangs up
+//   POST /_sim/reset               drop all clients and interactions
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { scenarioLoader, simLogger, sleep } = require('./sim-utils');
+
+// ===== Config =====
+const PORT     = parseInt(process.env.ONEX_SIM_PORT || '60000', 10);
+const API_PATH = process.env.ONEX_SIM_PATH || '/onexagent/api';
+const SCENARIO_DIR = path.join(__dirname, 'scenarios', 'onex');
+
+// Scenario defaults; every scenario file is merged over these
+const BASE_SCENARIO = {
+  description: '',
+  latencyMs: { '*': 20 },       // per action ('makecall', 'registerclient', ...) or '*'
+  responseCodes: {},            // per action: One-X ResponseCode to answer with ('0' = OK)
+  httpStatus: {},               // per action: answer with this HTTP status and no XML
+  ucid: 'generate',             // 'generate' | 'missing' | 'late' (only on the Answered update) | fixed UCID
+  direction: true,              // false = older releases: voice events carry no Direction attribute
+  call: {                       // outbound call progress after makecall, ms after the command (null = never)
+    createdState: 'Initiated',  // State on VoiceInteractionCreated ('Alerting': first reported already ringing)
+    createdAfterMs: 100,
+    ringingAfterMs: 400,
+    answeredAfterMs: 2000,
+    farEndReleaseAfterMs: null
+  },
+  agentState: 'Ready',
+  invalidateClientsAfter: null  // commands per client before it is forgotten (ResponseCode 3 → re-register)
+};
+
+const scenarios = scenarioLoader(SCENARIO_DIR, BASE_SCENARIO);
+
+const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+const xmlEl = (name, attrs = {}, inner = '') => {
+  const a = Object.entries(attrs).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => ` ${k}="${esc(v)}"`).join('');
+  return inner ? `<${name}${a}>${inner}</${name}>` : `<${name}${a}/>`;
+};
+const pascal = (action) => action.charAt(0).toUpperCase() + action.slice(1);
+
+// Builds an isolated simulator and starts listening (port 0 = ephemeral, for tests).
+// Resolves { url, apiPath, port, app, setScenario, close }; url is the server root.
+async function createOnexSim({ port = 0, scenario: initial = 'default', apiPath = API_PATH, quiet = false } = {}) {
+  const log = quiet ? () => {} : simLogger('onex-sim');
+
+  // ===== State =====
+  let scenario = typeof initial === 'string' ? scenarios.load(initial) : scenarios.merge(initial);
+  const clients = new Map();      // clientId -> { name, queue: [xml], commands, registeredAt }
+  const interactions = new Map(); // ObjectId -> { clientId, ucid, state, number, direction, timers }
+  let clientSeq = 0;
+  let interactionSeq = 0;
+  let ucidSeq = 0;
+
+  // 20-digit UCIDs like the ones AES hands out (00001 + 10-digit time + 5-digit sequence)
+  const newUcid = () => `00001${String(Date.now()).slice(-10)}${String(++ucidSeq % 100000).padStart(5, '0')}`;
+  const newObjectId = () => `VI${++interactionSeq}:${crypto.randomUUID().toUpperCase()}`;
+
+  function notify(clientId, xml) {
+    const c = clients.get(clientId);
+    if (c) c.queue.push(xml);
+  }
+  function notifyAll(xml) {
+    for (const c of clients.values()) c.queue.push(xml);
+  }
+
+  function later(ix, ms, fn) {
+    if (ms === null || ms === undefined) return;
+    ix.timers.push(setTimeout(() => { if (interactions.has(ix.id)) fn(); }, ms));
+  }
+
+  function voiceEvent(type, ix, extra = {}) {
+    const ucidShown = scenario.ucid !== 'missing' && (scenario.ucid !== 'late' || ix.answered);
+    return xmlEl(`VoiceInteraction${type}`, {
+      ObjectId: ix.id,
+      UCID: ucidShown ? ix.ucid : undefined,
+      State: ix.state,
+      Direction: scenario.direction === false ? undefined : ix.direction,
+      PhoneNumber: ix.number,
+      ...extra
+    });
+  }
+
+  function setState(ix, state) {
+    ix.state = state;
+    if (state === 'Active') ix.answered = true;
+    notify(ix.clientId, voiceEvent('Updated', ix));
+  }
+
+  function terminate(ix, reason) {
+    ix.state = 'Idle';
+    ix.timers.forEach(clearTimeout);
+    notify(ix.clientId, voiceEvent('Terminated', ix, { Reason: reason }));
+    interactions.delete(ix.id);
+    log('interaction terminated', { id: ix.id, reason });
+  }
+
+  function createInteraction(clientId, { number, direction, state }) {
+    const fixedUcid = !['generate', 'missing', 'late'].includes(scenario.ucid) ? scenario.ucid : null;
+    const ix = { id: newObjectId(), clientId, ucid: fixedUcid || newUcid(), number, direction, state, answered: false, timers: [] };
+    interactions.set(ix.id, ix);
+    return ix;
+  }
+
+  // Outbound call progress as scripted by scenario.call
+  function startOutbound(clientId, number) {
+    const t = scenario.call;
+    const ix = createInteraction(clientId, { number, direction: 'Outbound', state: t.createdState || 'Initiated' });
+    if (t.createdAfterMs === null || t.createdAfterMs === undefined) {
+      interactions.delete(ix.id); // makecall accepted but One-X never reports the interaction
+      return null;
+    }
+    later(ix, t.createdAfterMs, () => notify(clientId, voiceEvent('Created', ix)));
+    later(ix, t.ringingAfterMs, () => setState(ix, 'Alerting'));
+    later(ix, t.answeredAfterMs, () => setState(ix, 'Active'));
+    later(ix, t.farEndReleaseAfterMs, () => terminate(ix, 'far_end'));
+    return ix;
+  }
+
+  // ===== One-X API =====
+  const app = express();
+  app.use(express.json());
+  const api = express.Router();
+
+  // Latency, HTTP faults and client validity shared by every command
+  async function prelude(action, req, res) {
+    await sleep(scenario.latencyMs[action] ?? scenario.latencyMs['*'] ?? 0);
+    if (scenario.httpStatus[action]) {
+      res.status(scenario.httpStatus[action]).send(`simulated HTTP ${scenario.httpStatus[action]}`);
+      return false;
+    }
+    if (action === 'registerclient') return true;
+    const c = clients.get(req.query.clientid);
+    if (!c) {
+      res.type('xml').send(xmlEl(`${pascal(action)}Response`, { ResponseCode: '3' }));
+      return false;
+    }
+    c.commands++;
+    if (scenario.invalidateClientsAfter && c.commands >= scenario.invalidateClientsAfter) {
+      clients.delete(req.query.clientid); // served this one, forgotten afterwards
+      log('client invalidated', { clientId: req.query.clientid });
+    }
+    return true;
+  }
+  const codeFor = (action) => scenario.responseCodes[action] ?? '0';
+
+  api.get('/registerclient', async (req, res) => {
+    if (!(await prelude('registerclient', req, res))) return;
+    const code = codeFor('registerclient');
+    if (code !== '0') return res.type('xml').send(xmlEl('RegisterClientResponse', { ResponseCode: code }));
+    const id = String(++clientSeq);
+    clients.set(id, { name: req.query.name || '', queue: [], commands: 0, registeredAt: new Date().toISOString() });
+    log('client registered', { clientId: id, name: req.query.name });
+    res.type('xml').send(xmlEl('RegisterClientResponse', { ResponseCode: '0', ClientId: id }));
+  });
+
+  api.get('/unregisterclient', async (req, res) => {
+    await sleep(scenario.latencyMs.unregisterclient ?? scenario.latencyMs['*'] ?? 0);
+    const known = clients.delete(req.query.clientid);
+    res.type('xml').send(xmlEl('UnregisterClientResponse', { ResponseCode: known ? '0' : '3' }));
+  });
+
+  api.get('/nextnotification', async (req, res) => {
+    if (!(await prelude('nextnotification', req, res))) return;
+    const c = clients.get(req.query.clientid);
+    const next = c ? c.queue.shift() : '';
+    res.type('xml').send(xmlEl('NextNotificationResponse', { ResponseCode: '0' }, next || ''));
+  });
+
+  api.get('/voice/:action', async (req, res) => {
+    const { action } = req.params;
+    if (!(await prelude(action, req, res))) return;
+    const code = codeFor(action);
+    const reply = (attrs = {}) => res.type('xml').send(xmlEl(`${pascal(action)}Response`, { ResponseCode: code, ...attrs }));
+    if (code !== '0') {
+      log('voice command failed (scenario)', { action, code });
+      return reply();
+    }
+    const ix = interactions.get(req.query.interactionid);
+    switch (action) {
+      case 'makecall':
+      case 'consult': {
+        const created = startOutbound(req.query.clientid, req.query.number || req.query.destination || '');
+        log(`${action} accepted`, { number: req.query.number, interactionId: created?.id || null });
+        return reply();
+      }
+      case 'release':
+        if (!ix) return res.type('xml').send(xmlEl('ReleaseResponse', { ResponseCode: '4' })); // unknown interaction
+        reply();
+        return terminate(ix, 'agent');
+      case 'hold':
+      case 'unhold':
+        if (!ix) return res.type('xml').send(xmlEl(`${pascal(action)}Response`, { ResponseCode: '4' }));
+        reply();
+        return setState(ix, action === 'hold' ? 'Held' : 'Active');
+      case 'answer':
+        if (!ix) return res.type('xml').send(xmlEl('AnswerResponse', { ResponseCode: '4' }));
+        reply();
+        return setState(ix, 'Active');
+      default: // mute, unmute, senddtmf, transfer ...
+        reply();
+        if (action === 'transfer' && ix) terminate(ix, 'transferred');
+    }
+  });
+
+  api.get('/agent/:action', async (req, res) => {
+    const { action } = req.params;
+    if (!(await prelude(action, req, res))) return;
+    const code = codeFor(action);
+    if (action === 'getstate') {
+      return res.type('xml').send(xmlEl('GetStateResponse', { ResponseCode: code, State: scenario.agentState }));
+    }
+    if (code === '0' && req.query.state) scenario.agentState = req.query.state;
+    res.type('xml').send(xmlEl(`${pascal(action)}Response`, { ResponseCode: code }));
+  });
+
+  app.use(apiPath, api);
+
+  // ===== Control API =====
+  app.get('/_sim/state', (_req, res) => res.json({
+    scenario,
+    available: scenarios.list(),
+    clients: [...clients.entries()].map(([id, c]) => ({ clientId: id, name: c.name, pending: c.queue.length, commands: c.commands })),
+    interactions: [...interactions.values()].map(({ timers, ...ix }) => ix)
+  }));
+
+  app.post('/_sim/scenario', (req, res) => {
+    try {
+      scenario = req.body?.scenario ? scenarios.merge(req.body.scenario) : scenarios.load(String(req.body?.name || 'default'));
+      log('scenario switched', { name: scenario.name });
+      res.json({ ok: true, scenario });
+    } catch (e) {
+      res.status(400).json({ ok: false, message: e.message, available: scenarios.list() });
+    }
+  });
+
+  app.post('/_sim/inbound', (req, res) => {
+    const { callingNumber = '966551234567', clientId } = req.body || {};
+    const target = clientId || [...clients.keys()].pop();
+    if (!target || !clients.has(target)) return res.status(409).json({ ok: false, message: 'No registered client to ring' });
+    const ix = createInteraction(target, { number: callingNumber, direction: 'Inbound', state: 'Alerting' });
+    const xml = voiceEvent('Created', ix, { CallingNumber: callingNumber });
+    if (clientId) notify(target, xml);
+    else notifyAll(xml);
+    log('inbound call', { interactionId: ix.id, callingNumber });
+    res.json({ ok: true, interactionId: ix.id, ucid: ix.ucid });
+  });
+
+  app.post('/_sim/release', (req, res) => {
+    const ix = interactions.get(req.body?.interactionId);
+    if (!ix) return res.status(404).json({ ok: false, message: 'Unknown interaction' });
+    terminate(ix, 'far_end');
+    res.json({ ok: true });
+  });
+
+  app.post('/_sim/reset', (_req, res) => {
+    for (const ix of interactions.values()) ix.timers.forEach(clearTimeout);
+    interactions.clear();
+    clients.clear();
+    res.json({ ok: true });
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const srv = app.listen(port, () => resolve(srv)).on('error', reject);
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  log(`listening on ${url}${apiPath}`, { scenario: scenario.name });
+
+  return {
+    url,
+    apiPath,
+    port: server.address().port,
+    app,
+    setScenario: (s) => { scenario = typeof s === 'string' ? scenarios.load(s) : scenarios.merge(s); },
+    close: () => new Promise(resolve => {
+      for (const ix of interactions.values()) ix.timers.forEach(clearTimeout);
+      interactions.clear();
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+if (require.main === module) {
+  createOnexSim({ port: PORT, scenario: process.argv[2] || process.env.ONEX_SIM_SCENARIO || 'default' })
+    .catch((e) => {
+      console.error(`[onex-sim] ${e.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { createOnexSim };
@@ -0,0 +1,37 @@
+// simulators/sim-utils.js
+// Scenario loading and console logging shared by the local simulators.
+const fs = require('fs');
+const path = require('path');
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Scenario files are JSON merged over `base` (object values one level deep).
+// load('name') reads <dir>/name.json; a path ending in .json is read as-is.
+function scenarioLoader(dir, base) {
+  const merge = (s, name = 'inline') => {
+    const out = { ...base, ...s, name };
+    for (const [k, v] of Object.entries(base)) {
+      if (isPlainObject(v) && isPlainObject(s[k])) out[k] = { ...v, ...s[k] };
+    }
+    return out;
+  };
+  const load = (nameOrPath) => {
+    const file = /\.json$/i.test(nameOrPath) ? path.resolve(nameOrPath) : path.join(dir, `${nameOrPath}.json`);
+    if (!fs.existsSync(file)) throw new Error(`Unknown scenario "${nameOrPath}"`);
+    return merge(JSON.parse(fs.readFileSync(file, 'utf8')), nameOrPath);
+  };
+  const list = () => fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+  return { load, merge, list };
+}
+
+function simLogger(name) {
+  return (msg, data) => console.log(`[${name}] ${new Date().toISOString()} ${msg}${data ? ' ' + JSON.stringify(data) : ''}`);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+module.exports = {
+  scenarioLoader,
+  simLogger,
+  sleep
+};
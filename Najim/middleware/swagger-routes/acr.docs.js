@@ -40,6 +40,78 @@
  */
 
 
+/**
+ * @openapi
+ * /api/acr/search:
+ *   get:
+ *     tags: [ACR]
+ *     summary: Search ACR recordings by any combination of fields
+ *     description: |
+ *       Filters on ACR fields within the startdate window. Each field takes `<field>=value`, an optional
+ *       `<field>_op` (operator) and, for ranges, `<field>_to`:
+ *       switchcallid, agents, services, skills (equals | contains, default equals), otherparties (contains | equals,
+ *       default contains), duration in seconds (between | equals, default between).
+ *       `ucid` and `number` are shorthands for switchcallid and otherparties.
+ *       All matches are fetched, then filtered by `timeofday`, sorted and paged here.
+ *     parameters:
+ *       - { in: query, name: startdate, required: true, schema: { type: string, format: date } }
+ *       - { in: query, name: enddate, schema: { type: string, format: date } }
+ *       - { in: query, name: windowDays, schema: { type: integer, minimum: 1 } }
+ *       - { in: query, name: starttime, schema: { type: string, example: '08:00:00' } }
+ *       - { in: query, name: endtime, schema: { type: string, example: '17:00:00' } }
+ *       - { in: query, name: ucid, schema: { type: string } }
+ *       - { in: query, name: number, schema: { type: string } }
+ *       - { in: query, name: agents, schema: { type: string } }
+ *       - { in: query, name: agents_op, schema: { type: string, enum: [equals, contains] } }
+ *       - { in: query, name: services, schema: { type: string } }
+ *       - { in: query, name: skills, schema: { type: string } }
+ *       - { in: query, name: duration, description: Minimum seconds (or exact with duration_op=equals), schema: { type: integer } }
+ *       - { in: query, name: duration_to, description: Maximum seconds, schema: { type: integer } }
+ *       - in: query
+ *         name: timeofday
+ *         description: Daily time window HH:MM-HH:MM on each day of the range; may wrap midnight (22:00-06:00)
+ *         schema: { type: string, example: '09:00-12:30' }
+ *       - in: query
+ *         name: sort
+ *         description: "<field>[:asc|desc] with field one of startedat, duration, agents, otherparties, services, skills, switchcallid, inum"
+ *         schema: { type: string, default: 'startedat:desc' }
+ *       - { in: query, name: page, schema: { type: integer, minimum: 1, default: 1 } }
+ *       - { in: query, name: pageSize, description: Capped by ACR_SEARCH_MAX_PAGE_SIZE (500), schema: { type: integer, minimum: 1, default: 50 } }
+ *       - { in: query, name: layout, description: ACR result layout (e.g. AvayaSegment), schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: One page of matching recordings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok: { type: boolean }
+ *                 found: { type: integer, description: Total matches across all pages }
+ *                 page: { type: integer }
+ *                 pageSize: { type: integer }
+ *                 pages: { type: integer }
+ *                 sort: { type: object, properties: { field: { type: string }, order: { type: string } } }
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ucid: { type: string, nullable: true }
+ *                       inum: { type: string }
+ *                       started_at: { type: string, nullable: true }
+ *                       duration_sec: { type: integer, nullable: true }
+ *                       agents: { type: string, nullable: true }
+ *                       other_parties: { type: string, nullable: true }
+ *                       services: { type: string, nullable: true }
+ *                       skills: { type: string, nullable: true }
+ *                       playback_url: { type: string }
+ *                       raw_playback_url: { type: string }
+ *       400: { description: Missing or invalid parameters (lists them in `invalid`) }
+ *       502: { description: ACR error }
+ *       503: { description: ACR circuit open }
+ */
+
 /**
  * @openapi
  * /api/acr/replayByUcid:
@@ -61,6 +133,120 @@
  *       - in: query
  *         name: local
  *         schema: { type: boolean }
+ *       - in: query
+ *         name: format
+ *         description: |
+ *           Local output format; implies local. Without it the format is negotiated from the Accept header
+ *           (audio/mpeg → mp3, audio/ogg or audio/opus → opus; highest q wins, ties and anything else → wav).
+ *           Variants are cached per INUM next to the WAV (<inum>.mp3, <inum>.ogg).
+ *         schema: { type: string, enum: [wav, mp3, opus, ogg], default: wav }
+ *       - in: query
+ *         name: from
+ *         description: Clip start, seconds or mm:ss (e.g. 12.5, 04:10); implies local. Clips are cached as <name>.clip-<from>-<to>-x<speed>.wav with a meta JSON naming the source and range
+ *         schema: { type: string }
+ *       - in: query
+ *         name: to
+ *         description: Clip end, seconds or mm:ss; must be after from
+ *         schema: { type: string }
+ *       - in: query
+ *         name: speed
+ *         description: Playback speed, pitch-preserving (ffmpeg atempo); implies local
+ *         schema: { type: number, minimum: 0.5, maximum: 2.0, default: 1 }
+ *       - in: query
+ *         name: segment
+ *         description: Which segment of a transferred/conferenced call to play (1 = oldest)
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: merge
+ *         description: Stitch every segment into one local WAV (cached as <ucid>.merged.wav)
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: index
+ *         description: With merge=1, return the segment index (offset_sec/duration_sec per INUM) as JSON instead of audio
+ *         schema: { type: boolean }
  *     responses:
- *       200: { description: Audio stream (wav/proxy) }
+ *       200:
+ *         description: Audio stream (wav/proxy); X-Acr-Segments holds the number of segments found
+ *         headers:
+ *           X-Acr-Segments: { schema: { type: integer } }
+ *       404: { description: No recording, or segment beyond the number of segments }
+ */
+
+/**
+ * @openapi
+ * /api/acr/replay/{inum}:
+ *   get:
+ *     tags: [ACR]
+ *     summary: Replay one recording by INUM (ACR proxy, or local copy with local=1)
+ *     parameters:
+ *       - in: path
+ *         name: inum
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: local
+ *         description: Serve the locally cached copy (downloaded and transcoded on first use) instead of proxying ACR
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: format
+ *         description: With local=1, output format; otherwise negotiated from Accept (WAV by default)
+ *         schema: { type: string, enum: [wav, mp3, opus, ogg], default: wav }
+ *       - in: query
+ *         name: from
+ *         description: Clip start, seconds or mm:ss (e.g. 12.5, 04:10), with local=1. Clips are cached as <name>.clip-<from>-<to>-x<speed>.wav with a meta JSON naming the source and range
+ *         schema: { type: string }
+ *       - in: query
+ *         name: to
+ *         description: Clip end, seconds or mm:ss; must be after from
+ *         schema: { type: string }
+ *       - in: query
+ *         name: speed
+ *         description: Playback speed, pitch-preserving (ffmpeg atempo)
+ *         schema: { type: number, minimum: 0.5, maximum: 2.0, default: 1 }
+ *       - in: header
+ *         name: Range
+ *         schema: { type: string, example: 'bytes=0-' }
+ *     responses:
+ *       200:
+ *         description: Audio (audio/wav, audio/mpeg or audio/ogg; codecs=opus when local)
+ *       206: { description: Partial content }
+ *       400: { description: Unknown format or invalid from/to/speed }
+ */
+
+/**
+ * @openapi
+ * /api/acr/waveform/{inum}:
+ *   get:
+ *     tags: [ACR]
+ *     summary: Waveform peaks for a recording (for the CRM player's scrub bar)
+ *     description: |
+ *       Peak amplitude (0..1) of `points` equal slices of the locally cached WAV (downloaded on first use).
+ *       Cached next to the audio as <inum>.peaks-<points>.json and removed by the same CACHE_TTL_HOURS cleanup.
+ *     parameters:
+ *       - in: path
+ *         name: inum
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: points
+ *         description: Number of peaks (ACR_WAVEFORM_POINTS by default, at most ACR_WAVEFORM_MAX_POINTS, itself capped at 20000)
+ *         schema: { type: integer, minimum: 1, maximum: 10000, default: 800 }
+ *     responses:
+ *       200:
+ *         description: Peaks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok: { type: boolean }
+ *                 inum: { type: string }
+ *                 duration_sec: { type: number }
+ *                 sample_rate: { type: integer }
+ *                 points: { type: integer, description: Fewer than requested for very short recordings }
+ *                 peaks: { type: array, items: { type: number, minimum: 0, maximum: 1 } }
+ *                 createdAt: { type: string, format: date-time }
+ *       400: { description: Invalid points }
+ *       502: { description: Recording could not be fetched from ACR }
+ *       503: { description: ACR circuit open }
  */
@@ -0,0 +1,214 @@
+/**
+ * @openapi
+ * tags:
+ *   - name: Admin
+ *     description: Middleware administration (One-X sessions, device map, do-not-call list, UCID reconciler). Responses use the One-X routes' shape, `{ success, message?, ..., date, time }`.
+ */
+
+/**
+ * @openapi
+ * /api/admin/sessions:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List the long-lived One-X client sessions (one per device)
+ *     responses:
+ *       200: { description: Sessions with deviceIp, clientId, registeredAt, lastUsedAt and registration count }
+ */
+
+/**
+ * @openapi
+ * /api/admin/sessions/{deviceIp}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Evict a device session (unregisters its One-X client)
+ *     description: The next command for that device registers a fresh client.
+ *     parameters:
+ *       - in: path
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Session evicted }
+ *       400: { description: Invalid device IP/host }
+ *       404: { description: No session for that device }
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DeviceMapEntry:
+ *       type: object
+ *       properties:
+ *         deviceIp: { type: string, example: 10.1.20.31 }
+ *         station: { type: string, example: '5001' }
+ *         label: { type: string, nullable: true, example: Riyadh floor 2 / desk 14 }
+ *         createdAt: { type: string, format: date-time }
+ *         updatedAt: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @openapi
+ * /api/admin/devices:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List agent workstations (OnexDeviceMap)
+ *     responses:
+ *       200: { description: "{ success, count, items: DeviceMapEntry[] }" }
+ *   post:
+ *     tags: [Admin]
+ *     summary: Register a workstation (device IP -> station)
+ *     description: Each device IP and each station can be mapped only once. `/api/onex/startcall` uses the mapping when `station` is omitted.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [deviceIp, station]
+ *             properties:
+ *               deviceIp: { type: string, maxLength: 50 }
+ *               station: { type: string, maxLength: 20 }
+ *               label: { type: string, maxLength: 100 }
+ *     responses:
+ *       201: { description: Created; returns the DeviceMapEntry }
+ *       400: { description: Field-level validation errors }
+ *       409: { description: Device IP or station already mapped (`field` names which) }
+ */
+
+/**
+ * @openapi
+ * /api/admin/devices/{deviceIp}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get one workstation mapping
+ *     parameters:
+ *       - in: path
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "{ success, item: DeviceMapEntry }" }
+ *       404: { description: Device is not mapped }
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Move a workstation to another station and/or relabel it
+ *     parameters:
+ *       - in: path
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               station: { type: string, maxLength: 20 }
+ *               label: { type: string, maxLength: 100, nullable: true, description: null clears the label }
+ *     responses:
+ *       200: { description: Updated DeviceMapEntry }
+ *       400: { description: Field-level validation errors }
+ *       404: { description: Device is not mapped }
+ *       409: { description: Station already mapped to another device }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove a workstation mapping
+ *     parameters:
+ *       - in: path
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Removed }
+ *       404: { description: Device is not mapped }
+ */
+
+/**
+ * @openapi
+ * /api/admin/dnc:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List the do-not-call list (newest first)
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         schema: { type: string }
+ *         description: Digits contained in the E.164 number
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema: { type: integer, default: 100, maximum: 1000 }
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200: { description: "{ success, total, count, limit, offset, items: [{ number, reason, source, addedBy, createdAt }] }" }
+ *   post:
+ *     tags: [Admin]
+ *     summary: Import numbers into the do-not-call list
+ *     description: Numbers are normalized to E.164 with the dial plan; already-listed numbers are counted as duplicates, rejected ones are returned in `invalid`. `/api/onex/startcall` refuses listed numbers with reasonCode DNC.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [numbers]
+ *             properties:
+ *               numbers: { type: array, maxItems: 20000, items: { type: string }, example: ['0551234567', '+966 11 234 5678'] }
+ *               reason: { type: string, maxLength: 200 }
+ *               source: { type: string, maxLength: 50, example: customer request }
+ *               addedBy: { type: string, maxLength: 100 }
+ *     responses:
+ *       200: { description: "{ success, received, added, duplicates, invalid: [{ number, message }] }" }
+ *       400: { description: Field-level validation errors }
+ *       413: { description: Too many numbers in one import }
+ */
+
+/**
+ * @openapi
+ * /api/admin/dnc/{number}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove a number from the do-not-call list
+ *     parameters:
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema: { type: string }
+ *         description: Any format the dial plan accepts
+ *     responses:
+ *       200: { description: Removed }
+ *       404: { description: Number is not on the do-not-call list }
+ */
+
+/**
+ * @openapi
+ * /api/admin/ucid-reconciler:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Status of the late-UCID reconciler
+ *     description: |
+ *       The reconciler runs every UCID_RECONCILE_INTERVAL_MS (default 10 min) over recent OnexCallLogs calls
+ *       stored without a UCID. It searches ACR by client_phone around log_date (and the Java monitor history
+ *       when JAVA_UCID_HISTORY_PATH is set) and writes matches back with ucid_source and ucid_confidence.
+ *       Matches below UCID_RECONCILE_MIN_CONFIDENCE (default medium) are counted as ambiguous and not written.
+ *     responses:
+ *       200: { description: "{ success, enabled, intervalMs, config, running, lastRun, totals, recent }" }
+ */
+
+/**
+ * @openapi
+ * /api/admin/ucid-reconciler/run:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Run the UCID reconciler now
+ *     description: Waits for the run to finish. When a run is already in progress the previous summary is returned.
+ *     responses:
+ *       200: { description: "{ success, lastRun: { startedAt, finishedAt, ms, scanned, resolved, ambiguous, unmatched, errors, bySource, error } }" }
+ *       500: { description: "{ success: false, message, lastRun } — the run failed (e.g. DB unreachable)" }
+ */
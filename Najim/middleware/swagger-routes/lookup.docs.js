@@ -11,7 +11,7 @@
  *   get:
  *     tags: [Lookup]
  *     summary: Get UCID by exact ticket number
- *     description: Returns UCID, ticket_number, and agent_user for the provided ticket.
+ *     description: Returns UCID (with ucid_source java/onex/acr_search/java_history and ucid_confidence exact/high/medium/low), ticket_number, agent_user and the call's disposition (disposition_code, disposition_label, disposition_notes, disposed_at; null when none was submitted) for the provided ticket.
  *     parameters:
  *       - in: query
  *         name: ticket
@@ -19,7 +19,7 @@
  *         schema: { type: string }
  *         description: Exact ticket number to match.
  *     responses:
- *       200: { description: Returns UCID(s) with ticket_number and agent_user }
+ *       200: { description: Returns UCID(s) with ticket_number, agent_user and disposition }
  *       400: { description: Missing required query parameter (ticket) }
  *       500: { description: Database connection or query error }
  */
@@ -2,16 +2,144 @@
  * @openapi
  * tags:
  *   - name: OneX
- *     description: Avaya one-X Agent control 
+ *     description: Avaya one-X Agent control. Control routes take POST with a JSON body; the GET query-string forms are deprecated and kept for existing clients.
+ * components:
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema: { type: string, maxLength: 200 }
+ *       description: Repeating a key within 10 minutes (IDEMPOTENCY_TTL_MS) replays the first response (header `Idempotent-Replayed` is set) instead of running the command again. 5xx responses are not remembered. Reusing a key with a different body (or query string) answers 422.
+ *     RequestId:
+ *       in: query
+ *       name: requestId
+ *       required: false
+ *       schema: { type: string, maxLength: 200 }
+ *       description: Same as the Idempotency-Key header, for clients that cannot set headers.
+ *   schemas:
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean, example: false }
+ *         message: { type: string, example: Invalid request body }
+ *         missing: { type: array, items: { type: string }, example: [deviceIp] }
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field: { type: string, example: clientPhone }
+ *               code: { type: string, enum: [required, type, format, length, range] }
+ *               message: { type: string, example: 'clientPhone must be a phone number: 3-20 digits, optional leading +' }
+ *     DialBlocked:
+ *       type: object
+ *       description: Returned instead of dialing when the number is on the do-not-call list, the site is outside its calling hours (DIAL_WINDOWS, SITE_TIMEZONE) or the number reached DIAL_MAX_ATTEMPTS_PER_DAY.
+ *       properties:
+ *         success: { type: boolean, example: false }
+ *         blocked: { type: boolean, example: true }
+ *         reasonCode: { type: string, enum: [DNC, OUTSIDE_HOURS, ATTEMPT_CAP, CHECK_FAILED] }
+ *         message: { type: string, example: Daily attempt limit reached for this number }
+ *         detail: { type: string, nullable: true, example: 3 of 3 attempts used today }
+ *     DeviceRequest:
+ *       type: object
+ *       required: [deviceIp]
+ *       properties:
+ *         deviceIp: { type: string, maxLength: 255, description: 'IP, host name or http(s) URL of the One-X Agent device' }
+ *         interactionid: { type: string, maxLength: 100 }
+ *         clientid: { type: string, maxLength: 100, description: Use this One-X client instead of the device session }
+ *         agentUser: { type: string, maxLength: 100 }
+ *         requestId: { type: string, maxLength: 200, description: Same as the Idempotency-Key header }
+ *     InteractionRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [interactionid]
+ *           properties:
+ *             station: { type: string, maxLength: 20 }
+ *     StartCallRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [ticketNumber, clientPhone]
+ *           properties:
+ *             ticketNumber: { type: string, maxLength: 100 }
+ *             clientPhone: { type: string, pattern: '^\+?[0-9]{3,20}$', description: 'Spaces, dashes, dots and brackets are stripped; then normalized to E.164 by the dial plan (400 if invalid)' }
+ *             station: { type: string, maxLength: 20, description: Defaults to the device's entry in /api/admin/devices }
+ *     TransferRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [interactionid, number]
+ *           properties:
+ *             number: { type: string, pattern: '^\+?[0-9]{3,20}$' }
+ *     ConsultRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [interactionid, consultinteractionid]
+ *           properties:
+ *             consultinteractionid: { type: string, maxLength: 100 }
+ *     DtmfRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [interactionid, digits]
+ *           properties:
+ *             digits: { type: string, maxLength: 64, pattern: '^[0-9A-Da-d*#,]+$', example: '1,2#', description: 'At least one tone; `,` pauses.' }
+ *             interDigitMs: { type: integer, minimum: 0, maximum: 5000 }
+ *     AgentStateRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           properties:
+ *             station: { type: string, maxLength: 20 }
+ *             reasonCode: { type: string, maxLength: 10, description: 'AUX reason (required for notready, see /api/onex/agent/reasons)' }
+ *     AgentLoginRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DeviceRequest'
+ *         - type: object
+ *           required: [agentId]
+ *           properties:
+ *             agentId: { type: string, maxLength: 50 }
+ *             password: { type: string, maxLength: 50, description: "Agent password, if the ACD requires one (never logged)." }
+ *             station: { type: string, maxLength: 20 }
  */
 
 /**
  * @openapi
- * /api/onex/startcall:
+  * /api/onex/startcall:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Place an outbound call via One-X Agent; polls for UCID & Interaction
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/StartCallRequest' }
+ *     responses:
+ *       200: { description: "Result includes Call Info, interaction id, dialed number, its E.164 form, number class (mobile, landline, tollfree, unified, shortcode, international) and outcome (success, makecall_failed, no_interaction, java_ucid_timeout). Every attempt is written to OnexCallLogs with its outcome." }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       403:
+ *         description: Blocked by the compliance guard before dialing (logged to OnexDialBlocks)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DialBlocked' }
+ *       500: { description: "Registration or makecall error; outcome is register_failed, makecall_failed or device_busy" }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: Place an outbound call via One-X Agent; polls for UCID & Interaction
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: ticketNumber
  *         required: true
@@ -20,33 +148,58 @@
  *         name: clientPhone
  *         required: true
  *         schema: { type: string }
+ *         description: Any common format (05x..., 9665x..., +966 5x..., 00...); normalized to E.164 and prefixed per number class. Invalid numbers get a 400.
  *       - in: query
  *         name: deviceIp
  *         required: true
  *         schema: { type: string }
  *       - in: query
  *         name: station
- *         required: true
+ *         required: false
  *         schema: { type: string }
+ *         description: Defaults to the device's entry in /api/admin/devices
  *       - in: query
  *         name: agentUser
  *         required: false
  *         schema: { type: string }
  *         
  *     responses:
- *       200: { description: Result includes Call Info, interaction id, and dialed number }
+ *       200: { description: "Result includes Call Info, interaction id, dialed number, its E.164 form, number class (mobile, landline, tollfree, unified, shortcode, international) and outcome (success, makecall_failed, no_interaction, java_ucid_timeout). Every attempt is written to OnexCallLogs with its outcome." }
  *       400: { description: Missing params }
+ *       403: { description: Blocked by the compliance guard (see DialBlocked) }
  *       500: { description: One-X error or registration failure }
  */
 
 /**
  * @openapi
- * /api/onex/release:
+  * /api/onex/release:
+ *   post:
+ *     tags: [OneX]
+ *     summary: End a call (release a voice interaction)
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/InteractionRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: End a call (release a voice interaction)
  *     description: Calls One-X `/voice/release` for the given interaction.
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: deviceIp
  *         required: true
@@ -70,11 +223,33 @@
 
 /**
  * @openapi
- * /api/onex/hold:
+  * /api/onex/hold:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Hold an active voice interaction
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/InteractionRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: Hold an active voice interaction
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: deviceIp
  *         required: true
@@ -96,11 +271,33 @@
 
 /**
  * @openapi
- * /api/onex/unhold:
+  * /api/onex/unhold:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Unhold a voice interaction
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/InteractionRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: Unhold a voice interaction
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: deviceIp
  *         required: true
@@ -121,11 +318,33 @@
 
 /**
  * @openapi
- * /api/onex/mute:
+  * /api/onex/mute:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Mute the phone
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DeviceRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: Mute the phone
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: deviceIp
  *         required: true
@@ -147,11 +366,33 @@
 
 /**
  * @openapi
- * /api/onex/unmute:
+  * /api/onex/unmute:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Unmute the phone
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DeviceRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
  *   get:
  *     tags: [OneX]
+ *     deprecated: true
  *     summary: Unmute the phone
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
  *       - in: query
  *         name: deviceIp
  *         required: true
@@ -170,3 +411,933 @@
  *       400: { description: Missing params }
  *       500: { description: Error invoking One-X API }
  */
+
+/**
+ * @openapi
+  * /api/onex/answer:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Answer a ringing inbound call
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/InteractionRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Answer a ringing inbound call
+ *     description: Calls One-X `/voice/answer`. The interaction id comes from the `voice.inbound` event on /api/onex/events.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; remembered for the device so inbound calls can be written to the call log.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/transfer:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Blind transfer the call to another number
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TransferRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Blind transfer the call to another number
+ *     description: Calls One-X `/voice/transfer`; the agent leaves the call immediately.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's voice interaction ObjectId (e.g., VI24:GUID).
+ *       - in: query
+ *         name: number
+ *         required: true
+ *         schema: { type: string }
+ *         description: Transfer target; extensions (3-6 digits) go as-is, other numbers through the dial plan like clientPhone.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional, only used for logging.
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/consult/start:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Start a consultative transfer
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TransferRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Start a consultative transfer
+ *     description: Holds the customer and dials the target via One-X `/voice/consult`. The response carries `consultInteractionId` (the new leg) for complete / cancel / conference.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's voice interaction ObjectId (e.g., VI24:GUID).
+ *       - in: query
+ *         name: number
+ *         required: true
+ *         schema: { type: string }
+ *         description: Transfer target; extensions (3-6 digits) go as-is, other numbers through the dial plan like clientPhone.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional, only used for logging.
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/consult/complete:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Complete a consultative transfer
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ConsultRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Complete a consultative transfer
+ *     description: Connects the held customer to the consult target (One-X `/voice/completetransfer`).
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's voice interaction ObjectId (e.g., VI24:GUID).
+ *       - in: query
+ *         name: consultinteractionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: consultInteractionId returned by /api/onex/consult/start.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional, only used for logging.
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/consult/cancel:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Cancel a consultative transfer
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ConsultRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Cancel a consultative transfer
+ *     description: Releases the consult leg and unholds the customer. `codes` holds both One-X ResponseCodes.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's voice interaction ObjectId (e.g., VI24:GUID).
+ *       - in: query
+ *         name: consultinteractionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: consultInteractionId returned by /api/onex/consult/start.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional, only used for logging.
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/conference:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Conference the customer with the consult target
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ConsultRequest' }
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Conference the customer with the consult target
+ *     description: Merges the held customer and the consult leg into one call (One-X `/voice/conference`).
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's voice interaction ObjectId (e.g., VI24:GUID).
+ *       - in: query
+ *         name: consultinteractionid
+ *         required: true
+ *         schema: { type: string }
+ *         description: consultInteractionId returned by /api/onex/consult/start.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional, only used for logging.
+ *     responses:
+ *       200: { description: One-X response (ResponseCode 0=Success, others=Error) }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/dtmf:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Send DTMF digits on an active call (IVR navigation)
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DtmfRequest' }
+ *     responses:
+ *       200: { description: All digits sent }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Send DTMF digits on an active call (IVR navigation)
+ *     description: |
+ *       Sends the digits via One-X `/voice/senddtmf`. Without pacing the whole string goes in one request;
+ *       with `interDigitMs` (or a `,` in the digits, which pauses ~1s) each digit is sent separately.
+ *       Digits are masked in logs and the action log. `sent` is the number of digits delivered.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: interactionid
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: digits
+ *         required: true
+ *         schema: { type: string, pattern: '^[0-9A-Da-d*#,]{1,64}$' }
+ *         description: |
+ *           Digits 0-9, A-D, * and #; `,` inserts a pause; at least one tone is required.
+ *           `#` MUST be URL-encoded as `%23` (`digits=1,2%23`): unencoded it starts the URL fragment
+ *           and is silently dropped (Swagger UI encodes it for you). Prefer the POST form for `#` and `*`.
+ *       - in: query
+ *         name: interDigitMs
+ *         required: false
+ *         schema: { type: integer, minimum: 0, maximum: 5000 }
+ *         description: Delay between digits (default DTMF_INTER_DIGIT_MS, 0 = no pacing).
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: All digits sent }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected a digit (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+ * /api/onex/agent/reasons:
+ *   get:
+ *     tags: [OneX]
+ *     summary: AUX (not-ready) reason-code catalogue
+ *     description: Configured through AUX_REASON_CODES ("code=Label,code=Label").
+ *     responses:
+ *       200: { description: "items: [{ code, label }]" }
+ */
+
+/**
+ * @openapi
+ * /api/onex/agent/state:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Read the agent work state
+ *     description: Calls One-X `/agent/getstate`; returns `state` plus `reasonCode`/`reasonLabel` when not ready.
+ *     parameters:
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: Current state }
+ *       400: { description: Missing params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/agent/login:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Log the agent in to the ACD
+ *     description: Preferred form, and the only one that takes a password. A `password` in the query string is rejected with 400 on both forms.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AgentLoginRequest' }
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Log the agent in to the ACD
+ *     description: No password in this form; agents whose ACD needs one must use POST.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: agentId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; stored with the state change.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/agent/logout:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Log the agent out of the ACD
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AgentStateRequest' }
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Log the agent out of the ACD
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: reasonCode
+ *         required: false
+ *         schema: { type: string }
+ *         description: Optional AUX logout reason from /api/onex/agent/reasons.
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; stored with the state change.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/agent/ready:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Set the agent Ready (available)
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AgentStateRequest' }
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Set the agent Ready (available)
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; stored with the state change.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/agent/notready:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Set the agent Not Ready (AUX) with a reason code
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AgentStateRequest' }
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Set the agent Not Ready (AUX) with a reason code
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: reasonCode
+ *         required: true
+ *         schema: { type: string }
+ *         description: AUX reason from /api/onex/agent/reasons.
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; stored with the state change.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+  * /api/onex/agent/acw:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Set the agent to After Call Work
+ *     description: Preferred form; takes the same fields as the GET query string in a JSON body.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AgentStateRequest' }
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400:
+ *         description: Body failed validation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       500: { description: Error invoking One-X API }
+ *   get:
+ *     tags: [OneX]
+ *     deprecated: true
+ *     summary: Set the agent to After Call Work
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/RequestId'
+ *       - in: query
+ *         name: deviceIp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station; stored with the state change.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent user; stored with the state change.
+ *     responses:
+ *       200: { description: State changed (ResponseCode 0) }
+ *       400: { description: Missing or invalid params }
+ *       502: { description: One-X rejected the request (ResponseCode != 0) }
+ *       500: { description: Error invoking One-X API }
+ */
+
+/**
+ * @openapi
+ * /api/onex/agent/summary:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Time spent per agent state
+ *     description: Sums seconds per state / reason from the agent-state history in [from, to). Each state lasts until the next successful change; the state the agent was already in at `from` counts from `from` (times counts only changes inside the range).
+ *     parameters:
+ *       - in: query
+ *         name: agentUser
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: string }
+ *         description: YYYY-MM-DD
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema: { type: string }
+ *         description: YYYY-MM-DD (exclusive, default from + 1 day)
+ *     responses:
+ *       200: { description: "items: [{ state, reason_code, reason_label, times, seconds }]" }
+ *       400: { description: Missing or invalid params }
+ *       500: { description: Database error }
+ */
+
+/**
+ * @openapi
+ * /api/onex/calls/{interactionId}:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Current lifecycle state of a call
+ *     description: |
+ *       Reads the OnexCallLogs record, which follows the interaction through dialing → ringing →
+ *       connected ⇄ held → released (fed by the hold/unhold/release/transfer routes and One-X notifications).
+ *       While the call is up, `holdSeconds` and `talkSeconds` are computed live.
+ *       `endReason` is agent, far_end, transferred or missed.
+ *     parameters:
+ *       - in: path
+ *         name: interactionId
+ *         required: true
+ *         schema: { type: string }
+ *         description: Voice interaction ObjectId (e.g., VI24:GUID).
+ *     responses:
+ *       200: { description: "state, answeredAt, endedAt, holdSeconds, talkSeconds, endReason, ucid, ucidSource, ucidConfidence, ticketNumber, disposition (null until submitted)" }
+ *       404: { description: No call record for that interaction }
+ *       500: { description: Database error }
+ */
+
+/**
+ * @openapi
+ * /api/onex/events:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Live One-X event stream (Server-Sent Events)
+ *     description: |
+ *       Streams every One-X notification as a normalized JSON event (`voice.created`, `voice.updated`,
+ *       `voice.terminated`, `voice.missed`, `agent.state`, others as `onex.<Notification>`).
+ *       Inbound calls additionally produce `voice.inbound` with `callerNumber` and the caller's most
+ *       recent `ticketNumber` (matched on OnexCallLogs.client_phone) for the screen pop.
+ *       Each SSE message has `id`, `event` (the type) and `data` (JSON with deviceIp, agentUser,
+ *       interactionId, ucid, state and the raw One-X attributes). Send `Last-Event-ID` on reconnect
+ *       to replay events missed in between. Filter by deviceIp, agentUser or both.
+ *     parameters:
+ *       - in: query
+ *         name: deviceIp
+ *         required: false
+ *         schema: { type: string }
+ *         description: Subscribe to one agent device (registers its session if needed).
+ *       - in: query
+ *         name: station
+ *         required: false
+ *         schema: { type: string }
+ *         description: Agent station of that device; used when logging inbound calls.
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *         description: Only events from sessions last used by this agent.
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *         content:
+ *           text/event-stream:
+ *             schema: { type: string }
+ *       400: { description: Neither deviceIp nor agentUser given }
+ *       502: { description: Could not register a One-X client on the device }
+ */
+
+/**
+ * @openapi
+ * /api/onex/disposition/codes:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Disposition (wrap-up) code catalogue
+ *     description: Configured with DISPOSITION_CODES ("CODE=Label,...").
+ *     responses:
+ *       200: { description: "{ success, items: [{ code, label }] }" }
+ */
+
+/**
+ * @openapi
+ * /api/onex/disposition:
+ *   post:
+ *     tags: [OneX]
+ *     summary: Record the outcome of a call
+ *     description: Links the disposition to the latest OnexCallLogs row for interactionId (or ucid). Submitting again for the same call replaces the previous disposition.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               interactionId: { type: string, maxLength: 100, description: Either interactionId or ucid is required }
+ *               ucid: { type: string, maxLength: 40 }
+ *               code: { type: string, example: CALLBACK, description: See /api/onex/disposition/codes }
+ *               notes: { type: string, maxLength: 1000 }
+ *               callbackAt: { type: string, format: date-time, description: Stored in UTC }
+ *               agentUser: { type: string, maxLength: 100 }
+ *     responses:
+ *       200: { description: "{ success, callLogId, interactionId, ucid, ticketNumber, code, label }" }
+ *       400:
+ *         description: Body failed validation (unknown code, missing interactionId/ucid, bad callbackAt)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ValidationError' }
+ *       404: { description: No call found for that interactionId/ucid }
+ *       500: { description: Database error }
+ */
+
+/**
+ * @openapi
+ * /api/onex/reports/dial-failures:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Failed dial attempts by agent, device and reason
+ *     description: Outbound OnexCallLogs rows in [from, to) with outcome other than success (register_failed, makecall_failed, no_interaction, java_ucid_timeout, device_busy), plus outcome totals of all outbound attempts.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema: { type: string, format: date }
+ *         description: Exclusive; defaults to from + 1 day
+ *       - in: query
+ *         name: agentUser
+ *         required: false
+ *         schema: { type: string }
+ *       - in: query
+ *         name: deviceIp
+ *         required: false
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "{ success, from, to, totals: { attempts, failed, byOutcome }, items: [{ agentUser, deviceIp, outcome, attempts, lastAt, lastError }] }" }
+ *       400: { description: Missing or malformed from/to }
+ *       500: { description: Database error }
+ */
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DeviceHealth:
+ *       type: object
+ *       properties:
+ *         deviceIp: { type: string }
+ *         station: { type: string, nullable: true }
+ *         label: { type: string, nullable: true }
+ *         healthy: { type: boolean }
+ *         status: { type: string, enum: [ok, connection_refused, timeout, unreachable, http_error, xml_error, bad_response_code] }
+ *         detail: { type: string, nullable: true, example: ECONNREFUSED }
+ *         hint: { type: string, nullable: true, description: What the helpdesk should check }
+ *         latencyMs: { type: integer }
+ *         checkedAt: { type: string, format: date-time }
+ *         lastOkAt: { type: string, format: date-time, nullable: true }
+ *         consecutiveFailures: { type: integer }
+ */
+
+/**
+ * @openapi
+ * /api/onex/devices/health:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Health of every workstation in the device map
+ *     description: Results of the periodic sweep (DEVICE_HEALTH_SWEEP_MS, default 5 min) that probes each OnexDeviceMap device. Failing devices are listed first.
+ *     parameters:
+ *       - in: query
+ *         name: refresh
+ *         required: false
+ *         schema: { type: string, enum: ['1'] }
+ *         description: Run a sweep now and wait for it
+ *     responses:
+ *       200:
+ *         description: "{ success, sweepIntervalMs, lastSweepAt, counts: { total, healthy, failing }, items: DeviceHealth[] }"
+ */
+
+/**
+ * @openapi
+ * /api/onex/devices/{ip}/health:
+ *   get:
+ *     tags: [OneX]
+ *     summary: Probe one agent device now
+ *     description: Registers and unregisters a throw-away One-X client (timeout ONEX_PROBE_TIMEOUT_MS) and classifies any failure. Only devices in OnexDeviceMap are probed.
+ *     parameters:
+ *       - in: path
+ *         name: ip
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Probe result (healthy=false for a failing device)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DeviceHealth' }
+ *       400:
+ *         description: Not a valid device IP/host
+ *       404:
+ *         description: Device is not mapped
+ *       500:
+ *         description: Device map lookup failed
+ */
@@ -0,0 +1,78 @@
+// test/acr-client.contract.test.js
+// lib/acr-client.js search against simulators/acr-sim.js on an ephemeral port:
+// criteria → operator/param query, result XML → { inum, fields, switchcallid }, faults.
+//
+//   npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAcrSim } = require('../simulators/acr-sim');
+
+let sim;
+let acr;
+
+before(async () => {
+  sim = await createAcrSim({ quiet: true, user: 'acr', pass: 'secret' });
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'acr-client-test-')),
+    ACR_SCHEME: 'http', ACR_HOST: '127.0.0.1', ACR_PORT: String(sim.port), ACR_PATH: sim.apiPath,
+    ACR_USER: 'acr', ACR_PASS: 'secret',
+    OUTBOUND_ACR_BREAKER_FAILURES: '100' // faults below must not trip the breaker for later tests
+  });
+  acr = require('../lib/acr-client');
+});
+
+after(() => sim.close());
+
+test('searchBy switchcallid equals: one segment with lower-cased fields', async () => {
+  const items = await acr.searchBy([{ field: 'switchcallid', op: 'equals', params: ['00001006671760598306'] }]);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].inum, '700000001001');
+  assert.equal(items[0].switchcallid, '00001006671760598306');
+  assert.equal(items[0].fields.startedat, '2025-10-16 00:06:02');
+});
+
+test('searchBy startedat between DD/MM/YY dates', async () => {
+  const items = await acr.searchBy([{ field: 'startedat', op: 'between', params: ['16/10/25', '00:00:00', '16/10/25', '00:10:00'] }]);
+  assert.deepEqual(items.map(i => i.inum), ['700000001001']);
+});
+
+test('no match: empty list', async () => {
+  assert.deepEqual(await acr.searchBy([{ field: 'switchcallid', op: 'equals', params: ['0'] }]), []);
+});
+
+test('unsupported field/operator is refused before any request', () => {
+  assert.throws(() => acr.criteriaParams([{ field: 'startedat', op: 'equals', params: ['x'] }]), /Unsupported ACR search/);
+});
+
+test('recordings added through the control API are searchable', async () => {
+  const r = await fetch(`${sim.url}/_sim/recordings`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ inum: '799', startedat: '2025-10-17 09:00:00', switchcallid: '00001000000000000799' })
+  });
+  assert.equal(r.status, 200);
+  const items = await acr.searchBy([{ field: 'switchcallid', op: 'equals', params: ['00001000000000000799'] }]);
+  assert.deepEqual(items.map(i => i.inum), ['799']);
+});
+
+test('401 from the recorder rejects the search', async () => {
+  sim.setScenario('unauthorized');
+  try {
+    await assert.rejects(acr.search({ command: 'search' }), err => err.response?.status === 401);
+  } finally {
+    sim.setScenario('default');
+  }
+});
+
+test('malformed XML rejects the search', async () => {
+  sim.setScenario('malformed-xml');
+  try {
+    await assert.rejects(acr.searchBy([{ field: 'agents', op: 'contains', params: ['1102'] }]));
+  } finally {
+    sim.setScenario('default');
+  }
+});
@@ -0,0 +1,80 @@
+// test/acr-media.test.js
+// lib/acr-media.js: playback format from the `format` query or the Accept header, clip ranges from from/to/speed.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MEDIA_FORMATS, pickFormat, parseOffset, parseClip } = require('../lib/acr-media');
+
+const req = (query = {}, accept) => ({ query, headers: accept === undefined ? {} : { accept } });
+
+test('pickFormat: no format and no Accept header is WAV', () => {
+  assert.equal(pickFormat(req()), 'wav');
+  assert.equal(pickFormat(req({}, '*/*')), 'wav');
+});
+
+test('pickFormat: format query wins over Accept, aliases and case accepted', () => {
+  assert.equal(pickFormat(req({ format: 'mp3' }, 'audio/wav')), 'mp3');
+  assert.equal(pickFormat(req({ format: ' OGG ' })), 'opus');
+  assert.equal(pickFormat(req({ format: 'mpeg' })), 'mp3');
+  assert.equal(pickFormat(req({ format: 'wave' })), 'wav');
+});
+
+test('pickFormat: unknown format query is null (400 in the route)', () => {
+  assert.equal(pickFormat(req({ format: 'flac' }, 'audio/mpeg')), null);
+});
+
+test('pickFormat: highest q in Accept wins', () => {
+  assert.equal(pickFormat(req({}, 'audio/wav;q=0.5, audio/mpeg')), 'mp3');
+  assert.equal(pickFormat(req({}, 'audio/mpeg;q=0.4, audio/ogg; codecs=opus;q=0.9')), 'opus');
+});
+
+test('pickFormat: equal q goes to server order, so browsers listing WAV keep WAV', () => {
+  assert.equal(pickFormat(req({}, 'audio/ogg, audio/mpeg, audio/wav')), 'wav');
+  assert.equal(pickFormat(req({}, 'audio/ogg, audio/mpeg')), 'mp3');
+});
+
+test('pickFormat: q=0 and unknown types are ignored', () => {
+  assert.equal(pickFormat(req({}, 'audio/mpeg;q=0, audio/flac')), 'wav');
+  assert.equal(pickFormat(req({}, 'audio/webm, audio/x-wav;q=0.1')), 'wav');
+});
+
+test('MEDIA_FORMATS: derived formats carry ffmpeg codec and muxer args', () => {
+  assert.equal(MEDIA_FORMATS.wav.codec, undefined);
+  assert.equal(MEDIA_FORMATS.mp3.muxer, 'mp3');
+  assert.ok(MEDIA_FORMATS.opus.codec.includes('libopus'));
+  assert.equal(MEDIA_FORMATS.opus.ext, 'ogg');
+});
+
+test('parseOffset: seconds, mm:ss and h:mm:ss with fractions', () => {
+  assert.equal(parseOffset('75'), 75);
+  assert.equal(parseOffset(' 75.5 '), 75.5);
+  assert.equal(parseOffset('1:15'), 75);
+  assert.equal(parseOffset('01:15.5'), 75.5);
+  assert.equal(parseOffset('1:01:15'), 3675);
+  assert.equal(parseOffset('0:00'), 0);
+});
+
+test('parseOffset: malformed values are NaN', () => {
+  for (const v of ['', '-5', '1:75', '1:5', '1:2:3:4', 'abc', '1e3', '12:']) {
+    assert.ok(Number.isNaN(parseOffset(v)), v);
+  }
+});
+
+test('parseClip: no or blank parameters is the whole recording at normal speed', () => {
+  assert.deepEqual(parseClip({}), { clip: null, invalid: [] });
+  assert.deepEqual(parseClip({ from: '', to: ' ', speed: '' }), { clip: null, invalid: [] });
+  assert.deepEqual(parseClip({ from: '0', speed: '1' }), { clip: null, invalid: [] });
+});
+
+test('parseClip: range and speed', () => {
+  assert.deepEqual(parseClip({ from: '1:00', to: '90' }), { clip: { from: 60, to: 90, speed: 1 }, invalid: [] });
+  assert.deepEqual(parseClip({ from: '30' }), { clip: { from: 30, to: null, speed: 1 }, invalid: [] });
+  assert.deepEqual(parseClip({ speed: '1.5' }), { clip: { from: 0, to: null, speed: 1.5 }, invalid: [] });
+});
+
+test('parseClip: every bad parameter is reported', () => {
+  assert.deepEqual(parseClip({ from: '1:00', to: '0:30' }).invalid, ['to']);
+  assert.deepEqual(parseClip({ from: '10', to: '10' }).invalid, ['to']);
+  assert.deepEqual(parseClip({ from: 'x', speed: '3' }).invalid, ['from', 'speed']);
+  assert.deepEqual(parseClip({ to: 'soon', speed: '0.25' }).invalid, ['to', 'speed']);
+  assert.deepEqual(parseClip({ speed: 'fast' }).invalid, ['speed']);
+});
@@ -0,0 +1,76 @@
+// test/acr-results.test.js
+// lib/acr-results.js ordering: started_at compared as a parsed time in either ACR format.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SORT_KEYS, sortItems } = require('../lib/acr-results');
+
+const inums = (items) => items.map(i => i.inum);
+
+test('started_at in DD/MM/YYYY HH:mm sorts by time, not by text', () => {
+  const items = [
+    { inum: '1', started_at: '02/11/2025 09:00' },
+    { inum: '2', started_at: '15/10/2025 23:30' },
+    { inum: '3', started_at: '01/12/2025 00:30' }
+  ];
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'asc')), ['2', '1', '3']);
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'desc')), ['3', '1', '2']);
+});
+
+test('mixed ISO and DD/MM/YYYY values share one clock', () => {
+  const items = [
+    { inum: '1', started_at: '2025-10-16 00:06:02' },
+    { inum: '2', started_at: '15/10/2025 23:59' },
+    { inum: '3', started_at: '2025-10-16T00:05:00' }
+  ];
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'asc')), ['2', '3', '1']);
+});
+
+test('missing or unparseable started_at goes last in both directions', () => {
+  const items = [
+    { inum: '1', started_at: null },
+    { inum: '2', started_at: '2025-10-16 10:00:00' },
+    { inum: '3', started_at: 'garbage' },
+    { inum: '4', started_at: '2025-10-16 09:00:00' }
+  ];
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'asc')).slice(0, 2), ['4', '2']);
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'desc')).slice(0, 2), ['2', '4']);
+});
+
+test('equal times: INUM breaks the tie numerically', () => {
+  const items = [
+    { inum: '700000001010', started_at: '16/10/2025 10:00' },
+    { inum: '700000001002', started_at: '2025-10-16 10:00:00' },
+    { inum: '99', started_at: '2025-10-16 10:00:00' }
+  ];
+  assert.deepEqual(inums(sortItems(items, 'started_at', 'asc')), ['99', '700000001002', '700000001010']);
+});
+
+test('segments of one call across midnight come out oldest first (merge order)', () => {
+  // "31/10/2025 23:58" > "01/11/2025 00:01" as text, which put the second leg first
+  const segments = [
+    { inum: '700000002002', started_at: '01/11/2025 00:01' },
+    { inum: '700000002001', started_at: '31/10/2025 23:58' },
+    { inum: '700000002003', started_at: '01/11/2025 00:01' }
+  ];
+  assert.deepEqual(inums(sortItems(segments, 'started_at', 'asc')), ['700000002001', '700000002002', '700000002003']);
+});
+
+test('numeric and text properties keep their natural order', () => {
+  const items = [
+    { inum: '1', duration_sec: 100, agents: 'b' },
+    { inum: '2', duration_sec: 9, agents: 'a' },
+    { inum: '3', duration_sec: 30, agents: 'c' }
+  ];
+  assert.deepEqual(inums(sortItems(items, 'duration_sec', 'asc')), ['2', '3', '1']);
+  assert.deepEqual(inums(sortItems(items, 'agents', 'desc')), ['3', '1', '2']);
+});
+
+test('sorts in place and returns the same array', () => {
+  const items = [{ inum: '2', started_at: '2025-10-16 10:00:00' }, { inum: '1', started_at: '2025-10-16 09:00:00' }];
+  assert.equal(sortItems(items, 'started_at', 'asc'), items);
+  assert.deepEqual(inums(items), ['1', '2']);
+});
+
+test('SORT_KEYS maps the ACR startedat field to started_at', () => {
+  assert.equal(SORT_KEYS.startedat, 'started_at');
+});
@@ -0,0 +1,242 @@
+// test/acr.sim.test.js
+// ACR API (api/acr.js) against simulators/acr-sim.js on an ephemeral port, SQL Server pointed at a closed
+// port (AcrResults inserts are best-effort) and a stand-in ffmpeg that copies its input to the output file.
+//
+//   npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createAcrSim } = require('../simulators/acr-sim');
+
+let sim;
+let server;
+let base;
+let dir;
+
+// Stand-in ffmpeg: copies `-i <in>` to the last arg and appends its args to ffmpeg.log;
+// exits 1 when FAKE_FFMPEG_FAIL (a regex) matches the args.
+const FAKE_FFMPEG = `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+fs.appendFileSync(path.join(__dirname, 'ffmpeg.log'), args.join(' ') + '\\n');
+if (process.env.FAKE_FFMPEG_FAIL && new RegExp(process.env.FAKE_FFMPEG_FAIL).test(args.join(' '))) {
+  process.stderr.write('simulated ffmpeg failure');
+  process.exit(1);
+}
+fs.copyFileSync(args[args.indexOf('-i') + 1], args[args.length - 1]);
+`;
+
+before(async () => {
+  sim = await createAcrSim({ quiet: true, user: 'acr', pass: 'secret' });
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acr-sim-test-'));
+  const ffmpeg = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(ffmpeg, FAKE_FFMPEG, { mode: 0o755 });
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: path.join(dir, 'logs'),
+    DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+    ACR_TABLE_NAME: 'AcrResults',
+    ACR_SCHEME: 'http', ACR_HOST: '127.0.0.1', ACR_PORT: String(sim.port), ACR_PATH: sim.apiPath,
+    ACR_USER: 'acr', ACR_PASS: 'secret', ACR_WINDOW_DAYS: '3',
+    MEDIA_ROOT: path.join(dir, 'media'), FFMPEG_BIN: ffmpeg,
+    OUTBOUND_ACR_BREAKER_FAILURES: '100' // faults below must not trip the breaker for later tests
+  });
+  const app = express();
+  app.use('/api/acr', require('../api/acr'));
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}/api/acr`;
+});
+
+after(async () => {
+  await require('../lib/db').close();
+  await new Promise(resolve => server.close(resolve));
+  await sim.close();
+});
+
+// Runs fn with the stand-in ffmpeg failing on args matching `pattern`
+async function ffmpegFailing(pattern, fn) {
+  process.env.FAKE_FFMPEG_FAIL = pattern;
+  try {
+    return await fn();
+  } finally {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  }
+}
+
+// AcrResults inserts attempted for an INUM; the DB is down, so they are counted from the log
+async function rowsLogged(inum) {
+  await new Promise(resolve => setTimeout(resolve, 300)); // file transport flush
+  const logDir = process.env.LOG_DIR;
+  const lines = fs.readdirSync(logDir).flatMap(f => fs.readFileSync(path.join(logDir, f), 'utf8').split('\n'));
+  return lines.filter(l => l.includes('DB insert begin') && l.includes(`"inum":"${inum}"`)).length;
+}
+
+// Local YYYY-MM-DD, `offset` days from today (the simulator's "today"/"-1d" fixtures are local time)
+const day = (offset = 0) => {
+  const d = new Date();
+  d.setDate(d.getDate() + offset);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+const today = () => day(0);
+
+const search = async (query) => {
+  const r = await fetch(`${base}/search?${new URLSearchParams(query)}`);
+  return { status: r.status, body: await r.json() };
+};
+const inums = (body) => body.items.map(i => i.inum);
+
+const ffmpegRuns = () => {
+  try { return fs.readFileSync(path.join(dir, 'ffmpeg.log'), 'utf8').trim().split('\n').filter(Boolean); } catch { return []; }
+};
+
+test('concurrent local requests for one INUM share a single download and transcode', async () => {
+  const before = ffmpegRuns().length;
+  const [a, b, c] = await Promise.all([
+    fetch(`${base}/waveform/700000001004?points=10`),
+    fetch(`${base}/replay/700000001004?local=1`),
+    fetch(`${base}/waveform/700000001004?points=20`)
+  ]);
+  assert.deepEqual([a.status, b.status, c.status], [200, 200, 200]);
+  assert.equal((await a.json()).duration_sec, 30);
+  assert.equal((await c.json()).points, 20);
+  assert.equal(b.headers.get('content-type'), 'audio/wav');
+  assert.equal((await b.arrayBuffer()).byteLength, 44 + 30 * 8000 * 2);
+
+  const runs = ffmpegRuns().slice(before);
+  assert.equal(runs.length, 1);
+  assert.match(runs[0], /700000001004\.raw\.bin .*700000001004\.wav\.part$/);
+  assert.deepEqual(fs.readdirSync(process.env.MEDIA_ROOT).filter(f => f.startsWith('700000001004')).sort(),
+    ['700000001004.json', '700000001004.peaks-10.json', '700000001004.peaks-20.json', '700000001004.wav']);
+});
+
+test('a failed transcode leaves nothing in the cache and the next request retries', async () => {
+  await ffmpegFailing('700000001005', async () => {
+    const r = await fetch(`${base}/waveform/700000001005`);
+    assert.equal(r.status, 502);
+    assert.equal((await r.json()).message, 'ffmpeg exited 1');
+    assert.deepEqual(fs.readdirSync(process.env.MEDIA_ROOT).filter(f => f.startsWith('700000001005')), []);
+  });
+  const r = await fetch(`${base}/waveform/700000001005?points=5`);
+  assert.equal(r.status, 200);
+  assert.equal((await r.json()).points, 5);
+});
+
+test('replay local: an asked-for format that cannot be produced is a 502, not the raw recording', async () => {
+  const r = await ffmpegFailing('libmp3lame', () => fetch(`${base}/replay/700000001001?local=1&format=mp3`));
+  assert.equal(r.status, 502);
+  assert.equal(await r.text(), 'ACR local media error: ffmpeg exited 1');
+  assert.equal(await rowsLogged('700000001001'), 0);
+
+  const ok = await fetch(`${base}/replay/700000001001?local=1`);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('content-type'), 'audio/wav');
+  await ok.arrayBuffer();
+  assert.equal(await rowsLogged('700000001001'), 1);
+});
+
+test('replay local: without a format or clip a failed cache falls back to the ACR proxy, logged once', async () => {
+  const r = await ffmpegFailing('700000001002', () => fetch(`${base}/replay/700000001002?local=1`, { headers: { range: 'bytes=0-43' } }));
+  assert.equal(r.status, 206);
+  assert.equal(r.headers.get('content-range'), `bytes 0-43/${44 + 95 * 8000 * 2}`);
+  assert.equal(Buffer.from(await r.arrayBuffer()).toString('latin1', 0, 4), 'RIFF');
+  assert.equal(fs.existsSync(path.join(process.env.MEDIA_ROOT, '700000001002.wav')), false);
+  assert.equal(await rowsLogged('700000001002'), 1);
+});
+
+test('replayByUcid: explicit format or clip failures are 502; a plain local failure proxies without a second row', async () => {
+  const q = `ucid=00001006671760598399&startdate=${today()}&segment=2`;
+  const opus = await ffmpegFailing('libopus', () => fetch(`${base}/replayByUcid?${q}&format=opus`));
+  assert.equal(opus.status, 502);
+  assert.equal(await opus.text(), 'ACR local media error: ffmpeg exited 1');
+
+  const clip = await ffmpegFailing('atrim', () => fetch(`${base}/replayByUcid?${q}&from=5&to=10`));
+  assert.equal(clip.status, 502);
+
+  const proxied = await ffmpegFailing('700000001003', async () => {
+    fs.rmSync(path.join(process.env.MEDIA_ROOT, '700000001003.wav'));
+    return fetch(`${base}/replayByUcid?${q}&local=1`);
+  });
+  assert.equal(proxied.status, 200);
+  assert.equal(proxied.headers.get('x-acr-segments'), '2');
+  assert.equal((await proxied.arrayBuffer()).byteLength, 44 + 60 * 8000 * 2);
+  assert.equal(await rowsLogged('700000001003'), 3); // one per request, from the search results
+});
+
+test('search: ucid shorthand is a switchcallid equals filter; items carry the mapped fields', async () => {
+  const { status, body } = await search({ startdate: today(), ucid: '00001006671760598399', sort: 'startedat:asc' });
+  assert.equal(status, 200);
+  assert.deepEqual(inums(body), ['700000001002', '700000001003']);
+  assert.deepEqual({ found: body.found, page: body.page, pages: body.pages, sort: body.sort },
+    { found: 2, page: 1, pages: 1, sort: { field: 'startedat', order: 'asc' } });
+  assert.deepEqual(body.items[1], {
+    ucid: '00001006671760598399',
+    inum: '700000001003',
+    started_at: `${today()} 10:17:30`,
+    duration_sec: 60,
+    agents: '1104',
+    other_parties: '0551234567',
+    services: 'Outbound',
+    skills: null,
+    playback_url: '/api/acr/replay/700000001003',
+    raw_playback_url: `http://127.0.0.1:${sim.port}${sim.apiPath}?command=replay&id=700000001003`
+  });
+});
+
+test('search: field operators, a duration range and the number shorthand across a window', async () => {
+  const window = { startdate: day(-1), windowDays: '1' };
+  const range = await search({ ...window, agents: '110', agents_op: 'contains', duration: '60', duration_to: '100', sort: 'duration:desc' });
+  assert.equal(range.status, 200);
+  assert.deepEqual(inums(range.body), ['700000001002', '700000001003']);
+
+  const number = await search({ ...window, number: '0509', sort: 'inum:asc' }); // otherparties, contains by default
+  assert.deepEqual(inums(number.body), ['700000001005']);
+
+  const exact = await search({ ...window, services: 'Inbound', skills: 'Support', skills_op: 'equals' });
+  assert.deepEqual(inums(exact.body), ['700000001004']);
+  assert.equal(exact.body.window.p2, '00:00:00');
+  assert.equal(exact.body.window.p4, '23:59:59');
+});
+
+test('search: time-of-day filter (wrapping midnight) and paging', async () => {
+  const window = { startdate: day(-1), enddate: today() };
+  const all = await search({ ...window, pageSize: '3', page: '2' });
+  assert.deepEqual({ found: all.body.found, pages: all.body.pages, pageSize: all.body.pageSize }, { found: 4, pages: 2, pageSize: 3 });
+  assert.deepEqual(inums(all.body), ['700000001005']); // newest first by default
+
+  const past = await search({ ...window, page: '3', pageSize: '3' });
+  assert.equal(past.status, 200);
+  assert.deepEqual(past.body.items, []);
+
+  const morning = await search({ ...window, timeofday: '10:00-11:00' });
+  assert.deepEqual(inums(morning.body), ['700000001003', '700000001002']);
+  const overnight = await search({ ...window, timeofday: '16:00-10:16' });
+  assert.deepEqual(inums(overnight.body), ['700000001002', '700000001005']);
+});
+
+test('search: invalid parameters are a 400 listing each one, before ACR is asked', async () => {
+  const missing = await search({ agents: '1102' });
+  assert.deepEqual({ status: missing.status, missing: missing.body.missing }, { status: 400, missing: ['startdate'] });
+
+  const { status, body } = await search({
+    startdate: today(),
+    agents: '1102', agents_op: 'between',
+    duration_to: 'long',
+    timeofday: '9-17',
+    sort: 'colour',
+    page: '0',
+    pageSize: '501'
+  });
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Invalid parameters');
+  assert.deepEqual(body.invalid, ['agents_op', 'duration', 'timeofday', 'sort', 'page', 'pageSize']);
+  assert.deepEqual(Object.keys(body.fields), ['switchcallid', 'agents', 'otherparties', 'services', 'skills', 'duration', 'startedat']);
+
+  const badDate = await search({ startdate: '2026-02-31' });
+  assert.deepEqual({ status: badDate.status, invalid: badDate.body.invalid }, { status: 400, invalid: ['startdate'] });
+  const badOrder = await search({ startdate: today(), sort: 'duration:up' });
+  assert.deepEqual(badOrder.body.invalid, ['sort']);
+});
@@ -0,0 +1,90 @@
+// test/admin.test.js
+// Admin API (api/admin.js) with SQL Server pointed at a closed port: sessions, device map and
+// UCID reconciler routes; request validation, DB failures and the { success, message } envelope.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+let server;
+let base;
+
+before(async () => {
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'admin-test-')),
+    DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+    CALL_TABLE_NAME: 'OnexCallLogs',
+    ACR_SCHEME: 'http', ACR_HOST: '127.0.0.1', ACR_PORT: '1', ACR_PATH: '/acr', ACR_USER: 'acr', ACR_PASS: 'secret',
+    UCID_RECONCILE_INTERVAL_MS: '0'
+  });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../api/admin'));
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+after(async () => {
+  await require('../lib/db').close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const call = async (method, route, body) => {
+  const r = await fetch(`${base}${route}`, {
+    method,
+    headers: body === undefined ? {} : { 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const { date, time, ...json } = await r.json(); // server stamps from sendJson
+  assert.ok(date && time, 'date/time stamps');
+  return { status: r.status, body: json };
+};
+
+test('sessions: list and evict of an unknown device', async () => {
+  const list = await call('GET', '/sessions');
+  assert.deepEqual(list, { status: 200, body: { success: true, count: 0, items: [] } });
+  const evict = await call('DELETE', '/sessions/10.9.9.9');
+  assert.deepEqual(evict, { status: 404, body: { success: false, message: 'No session for that device' } });
+});
+
+test('devices: create validates the body before touching the DB', async () => {
+  const r = await call('POST', '/devices', { deviceIp: 'not a host', label: 'x'.repeat(101) });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.success, false);
+  assert.equal(r.body.message, 'Invalid request body');
+  assert.deepEqual(r.body.errors.map(e => e.field), ['deviceIp', 'station', 'label']);
+});
+
+test('devices: patch needs station or label', async () => {
+  const r = await call('PATCH', '/devices/10.0.0.5', {});
+  assert.equal(r.status, 400);
+  assert.deepEqual(r.body.errors, [{ field: null, code: 'required', message: 'station or label is required' }]);
+  assert.equal((await call('PATCH', '/devices/10.0.0.5', { station: '50 01' })).body.errors[0].field, 'station');
+});
+
+test('devices: DB failure is a 500 with a message', async () => {
+  for (const [method, route, body] of [['GET', '/devices'], ['GET', '/devices/10.0.0.5'], ['POST', '/devices', { deviceIp: '10.0.0.5', station: '5001' }]]) {
+    const r = await call(method, route, body);
+    assert.equal(r.status, 500, `${method} ${route}`);
+    assert.equal(r.body.success, false);
+    assert.equal(typeof r.body.message, 'string');
+  }
+});
+
+test('UCID reconciler: status, and a run that cannot reach the DB is a 500 carrying the summary', async () => {
+  const status = await call('GET', '/ucid-reconciler');
+  assert.equal(status.status, 200);
+  assert.equal(status.body.success, true);
+  assert.equal(status.body.enabled, false);
+  assert.equal(status.body.running, false);
+
+  const run = await call('POST', '/ucid-reconciler/run');
+  assert.equal(run.status, 500);
+  assert.equal(run.body.success, false);
+  assert.equal(run.body.message, run.body.lastRun.error);
+  assert.equal(run.body.lastRun.scanned, 0);
+  assert.equal((await call('GET', '/ucid-reconciler')).body.totals.runs, 1);
+});
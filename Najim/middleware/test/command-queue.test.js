@@ -0,0 +1,52 @@
+// test/command-queue.test.js
+// lib/command-queue.js: one job in flight per key, FIFO order, and DEVICE_BUSY after the wait limit.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'command-queue-test-'));
+process.env.ONEX_COMMAND_QUEUE_WAIT_MS = '200';
+const { enqueue } = require('../lib/command-queue');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('jobs on one key run one at a time, in order', async () => {
+  const log = [];
+  let inFlight = 0;
+  const job = (name, ms) => async () => {
+    inFlight++;
+    assert.equal(inFlight, 1, `${name} overlapped another job`);
+    log.push(`start ${name}`);
+    await sleep(ms);
+    log.push(`end ${name}`);
+    inFlight--;
+    return name;
+  };
+  const results = await Promise.all([enqueue('dev-a', job('a1', 30)), enqueue('dev-a', job('a2', 10)), enqueue('dev-a', job('a3', 0))]);
+  assert.deepEqual(results, ['a1', 'a2', 'a3']);
+  assert.deepEqual(log, ['start a1', 'end a1', 'start a2', 'end a2', 'start a3', 'end a3']);
+});
+
+test('different keys run side by side', async () => {
+  const started = Date.now();
+  await Promise.all([enqueue('dev-b', () => sleep(100)), enqueue('dev-c', () => sleep(100))]);
+  assert.ok(Date.now() - started < 180);
+});
+
+test('a failing job rejects its caller and the next job still runs', async () => {
+  const failing = enqueue('dev-d', async () => { throw new Error('boom'); });
+  const next = enqueue('dev-d', async () => 'ok');
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'ok');
+});
+
+test('a job that waits longer than ONEX_COMMAND_QUEUE_WAIT_MS is rejected with DEVICE_BUSY', async () => {
+  const slow = enqueue('dev-e', () => sleep(400));
+  let ran = false;
+  const waiting = enqueue('dev-e', async () => { ran = true; });
+  await assert.rejects(waiting, err => err.code === 'DEVICE_BUSY');
+  await slow;
+  assert.equal(ran, false);
+});
@@ -0,0 +1,128 @@
+// test/dial-guard.test.js
+// lib/dial-guard.js: DIAL_WINDOWS parsing, calling-hours checks and attempt-cap day bounds in the
+// site timezone, and the fail-closed / fail-open behaviour when the DNC lookup cannot reach SQL
+// Server (closed port).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'dial-guard-test-')),
+  DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+  CALL_TABLE_NAME: 'OnexCallLogs'
+});
+const GUARD_ENV = ['SITE_TIMEZONE', 'DIAL_WINDOWS', 'DIAL_MAX_ATTEMPTS_PER_DAY', 'DIAL_GUARD_FAIL_OPEN'];
+
+// Config is read at require time: load a fresh copy with only `env` set among the guard variables
+function load(env = {}) {
+  const saved = Object.fromEntries(GUARD_ENV.filter(k => k in process.env).map(k => [k, process.env[k]]));
+  GUARD_ENV.forEach(k => delete process.env[k]);
+  Object.assign(process.env, env);
+  try {
+    delete require.cache[require.resolve('../lib/dial-guard')];
+    return require('../lib/dial-guard');
+  } finally {
+    GUARD_ENV.forEach(k => delete process.env[k]);
+    Object.assign(process.env, saved);
+  }
+}
+
+const guard = load();
+const h = (hh, mm = 0) => hh * 60 + mm;
+// Riyadh is UTC+3 all year; 2025-10-19 is a Sunday
+const riyadh = (day, time) => new Date(`2025-10-${19 + day}T${time}:00+03:00`);
+
+test('parseWindows: day ranges, single days and split ranges', () => {
+  const days = guard.parseWindows('sun-thu=09:00-21:00;fri=16:00-21:00;sat=10:00-13:00,16:00-21:00');
+  assert.equal(days.length, 7);
+  for (let d = 0; d <= 4; d++) assert.deepEqual(days[d], [{ start: h(9), end: h(21), text: '09:00-21:00' }]);
+  assert.deepEqual(days[5].map(w => [w.start, w.end]), [[h(16), h(21)]]);
+  assert.deepEqual(days[6].map(w => [w.start, w.end]), [[h(10), h(13)], [h(16), h(21)]]);
+});
+
+test('parseWindows: spans wrap past Saturday, unlisted days get no windows, case and spaces ignored', () => {
+  const days = guard.parseWindows(' FRI-Sun=10:00-12:30 ; tue=08:15-09:45 ');
+  assert.deepEqual(days.map(d => d.length), [1, 0, 1, 0, 0, 1, 1]);
+  assert.deepEqual([days[2][0].start, days[2][0].end], [h(8, 15), h(9, 45)]);
+});
+
+test('parseWindows: "off" disables the hours check', () => {
+  assert.equal(guard.parseWindows('off'), null);
+  assert.equal(guard.parseWindows(' OFF '), null);
+});
+
+test('parseWindows: malformed specs throw with the offending part', () => {
+  assert.throws(() => guard.parseWindows('weekdays=09:00-17:00'), /cannot parse "weekdays=09:00-17:00"/);
+  assert.throws(() => guard.parseWindows('mon-xyz=09:00-17:00'), /unknown day/);
+  assert.throws(() => guard.parseWindows('mon=9:00-17:00'), /bad time range "9:00-17:00"/);
+  assert.throws(() => guard.parseWindows('mon=22:00-02:00'), /must end after it starts/);
+  assert.throws(() => guard.parseWindows('mon=09:00-09:00'), /must end after it starts/);
+});
+
+test('checkHours: default window is 09:00-21:00 every day, start inclusive, end exclusive', () => {
+  assert.equal(guard.checkHours(riyadh(0, '09:00')), null);
+  assert.equal(guard.checkHours(riyadh(0, '20:59')), null);
+  assert.deepEqual(guard.checkHours(riyadh(0, '21:00')), {
+    reasonCode: 'OUTSIDE_HOURS', detail: 'sun 21:00 Asia/Riyadh; today: 09:00-21:00'
+  });
+  assert.equal(guard.checkHours(riyadh(0, '08:59')).reasonCode, 'OUTSIDE_HOURS');
+});
+
+test('checkHours: weekday comes from the site timezone, not UTC', () => {
+  const g = load({ DIAL_WINDOWS: 'sun-thu=09:00-21:00' });
+  // Thursday 23:30 UTC is Friday 02:30 in Riyadh; Saturday 22:00 UTC is Sunday 01:00
+  assert.equal(g.checkHours(new Date('2025-10-23T23:30:00Z')).detail, 'fri 02:30 Asia/Riyadh; today: none');
+  assert.equal(g.checkHours(new Date('2025-10-25T22:00:00Z')).detail, 'sun 01:00 Asia/Riyadh; today: 09:00-21:00');
+  assert.equal(g.checkHours(new Date('2025-10-26T06:00:00Z')), null); // Sunday 09:00
+});
+
+test('checkHours: SITE_TIMEZONE and split ranges', () => {
+  const g = load({ SITE_TIMEZONE: 'UTC', DIAL_WINDOWS: 'sat=10:00-13:00,16:00-21:00' });
+  assert.equal(g.checkHours(new Date('2025-10-25T12:59:00Z')), null);
+  assert.equal(g.checkHours(new Date('2025-10-25T14:00:00Z')).detail, 'sat 14:00 UTC; today: 10:00-13:00, 16:00-21:00');
+  assert.equal(g.checkHours(new Date('2025-10-25T16:00:00Z')), null);
+});
+
+test('checkHours: DIAL_WINDOWS=off always allows', () => {
+  assert.equal(load({ DIAL_WINDOWS: 'off' }).checkHours(riyadh(5, '03:00')), null);
+});
+
+test('siteDay: the attempt-cap day is the site-timezone day, whatever the UTC date', () => {
+  // 00:30 and 23:59 on Sunday in Riyadh: Saturday 21:30 UTC and Sunday 20:59 UTC
+  for (const at of [riyadh(0, '00:30'), riyadh(0, '23:59')]) {
+    const { start, end } = guard.siteDay(at);
+    assert.equal(start.toISOString(), '2025-10-18T21:00:00.000Z');
+    assert.equal(end.toISOString(), '2025-10-19T21:00:00.000Z');
+  }
+  assert.equal(guard.siteDay(riyadh(1, '00:00')).start.toISOString(), '2025-10-19T21:00:00.000Z');
+});
+
+test('siteDay: follows checkHours across a time zone west of UTC and DST changes', () => {
+  const ny = load({ SITE_TIMEZONE: 'America/New_York', DIAL_WINDOWS: 'sun-sat=09:00-23:59' });
+  // Sunday 23:30 in New York is Monday 03:30 UTC: still Sunday for both the hours and the cap
+  const lateSunday = new Date('2025-10-20T03:30:00Z');
+  assert.equal(ny.checkHours(lateSunday), null);
+  assert.deepEqual(Object.values(ny.siteDay(lateSunday)).map(d => d.toISOString()),
+    ['2025-10-19T04:00:00.000Z', '2025-10-20T04:00:00.000Z']);
+
+  const berlin = load({ SITE_TIMEZONE: 'Europe/Berlin' });
+  const spring = berlin.siteDay(new Date('2025-03-30T12:00:00Z')); // 23 h day
+  assert.deepEqual([spring.start.toISOString(), spring.end.toISOString()], ['2025-03-29T23:00:00.000Z', '2025-03-30T22:00:00.000Z']);
+  const autumn = berlin.siteDay(new Date('2025-10-26T12:00:00Z')); // 25 h day
+  assert.deepEqual([autumn.start.toISOString(), autumn.end.toISOString()], ['2025-10-25T22:00:00.000Z', '2025-10-26T23:00:00.000Z']);
+});
+
+test('check: short codes skip the DNC and attempt lookups', async () => {
+  const g = load({ DIAL_WINDOWS: 'off' });
+  assert.deepEqual(await g.check({ ok: true, e164: null, numberClass: 'shortcode', dial: '937' }), { allowed: true });
+});
+
+test('check: lookup failure blocks by default and passes with DIAL_GUARD_FAIL_OPEN', async () => {
+  const dialed = { ok: true, e164: '+966551234567', numberClass: 'mobile', dial: '0551234567' };
+  assert.deepEqual(await load({ DIAL_WINDOWS: 'off' }).check(dialed), {
+    allowed: false, reasonCode: 'CHECK_FAILED', message: 'Compliance check unavailable', detail: null
+  });
+  assert.deepEqual(await load({ DIAL_WINDOWS: 'off', DIAL_GUARD_FAIL_OPEN: 'true' }).check(dialed), { allowed: true });
+});
@@ -0,0 +1,75 @@
+// test/dial-plan.test.js
+// lib/dial-plan.js: number classes, E.164 and the PBX dial string under default and env-configured plans.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DIAL_ENV = /^(DIAL_|CALL_PREFIX$)/;
+
+// Config is read at require time: load a fresh copy with only `env` set among the dial-plan variables
+function load(env = {}) {
+  const saved = Object.fromEntries(Object.keys(process.env).filter(k => DIAL_ENV.test(k)).map(k => [k, process.env[k]]));
+  Object.keys(saved).forEach(k => delete process.env[k]);
+  Object.assign(process.env, env);
+  try {
+    delete require.cache[require.resolve('../lib/dial-plan')];
+    return require('../lib/dial-plan');
+  } finally {
+    Object.keys(env).forEach(k => delete process.env[k]);
+    Object.assign(process.env, saved);
+  }
+}
+
+const plan = load();
+
+test('mobile written every common way resolves to one E.164 and national dial string', () => {
+  for (const input of ['0551234567', '551234567', '055 123-4567', '(055) 123.4567', '966551234567', '+966551234567', '00966551234567']) {
+    assert.deepEqual(plan.resolve(input), { ok: true, e164: '+966551234567', numberClass: 'mobile', dial: '0551234567' }, input);
+  }
+});
+
+test('landline, toll-free and unified numbers', () => {
+  assert.deepEqual(plan.resolve('011 234 5678'), { ok: true, e164: '+966112345678', numberClass: 'landline', dial: '0112345678' });
+  assert.deepEqual(plan.resolve('8001234567'), { ok: true, e164: '+9668001234567', numberClass: 'tollfree', dial: '8001234567' });
+  assert.deepEqual(plan.resolve('920012345'), { ok: true, e164: '+966920012345', numberClass: 'unified', dial: '920012345' });
+});
+
+test('short codes and extensions pass through without E.164', () => {
+  assert.deepEqual(plan.resolve('937'), { ok: true, e164: null, numberClass: 'shortcode', dial: '937' });
+  assert.deepEqual(plan.resolve('5001'), { ok: true, e164: null, numberClass: 'shortcode', dial: '5001' });
+});
+
+test('international numbers dial with the access code', () => {
+  assert.deepEqual(plan.resolve('+44 20 7946 0958'), { ok: true, e164: '+442079460958', numberClass: 'international', dial: '00442079460958' });
+  assert.deepEqual(plan.resolve('00971501234567'), { ok: true, e164: '+971501234567', numberClass: 'international', dial: '00971501234567' });
+});
+
+test('rejections carry a reason', () => {
+  assert.equal(plan.resolve('').reason, 'empty');
+  assert.equal(plan.resolve(null).reason, 'empty');
+  assert.equal(plan.resolve('055-ABC-4567').reason, 'format');
+  assert.equal(plan.resolve('+9665512').reason, 'invalid');
+  assert.equal(plan.resolve('0451234567').reason, 'invalid');   // no such domestic class
+  assert.equal(plan.resolve('+1234').reason, 'invalid');        // too short for E.164
+  assert.equal(plan.resolve('+1234567890123456').reason, 'invalid'); // 16 digits
+  assert.equal(plan.resolve('0555').reason, 'invalid');         // trunk prefix is never a short code
+});
+
+test('DIAL_DOMESTIC_FORMAT e164 and international', () => {
+  assert.equal(load({ DIAL_DOMESTIC_FORMAT: 'e164' }).resolve('0551234567').dial, '+966551234567');
+  assert.equal(load({ DIAL_DOMESTIC_FORMAT: 'International' }).resolve('0551234567').dial, '00966551234567');
+});
+
+test('per-class prefixes fall back to CALL_PREFIX, short codes get none', () => {
+  const p = load({ CALL_PREFIX: '9', DIAL_PREFIX_INTERNATIONAL: '8' });
+  assert.equal(p.resolve('0551234567').dial, '90551234567');
+  assert.equal(p.resolve('+442079460958').dial, '800442079460958');
+  assert.equal(p.resolve('5001').dial, '5001');
+});
+
+test('DIAL_ALLOWED_CLASSES refuses other classes', () => {
+  const p = load({ DIAL_ALLOWED_CLASSES: 'mobile, landline' });
+  assert.equal(p.resolve('0551234567').ok, true);
+  assert.deepEqual(p.resolve('+442079460958'), {
+    ok: false, reason: 'not_allowed', message: 'international numbers may not be dialed from this middleware'
+  });
+});
@@ -0,0 +1,98 @@
+// test/idempotency.test.js
+// lib/idempotency.js mounted on a throwaway Express app: replay, concurrent duplicates,
+// 5xx not remembered, and 422 when a key comes back with a different request.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-test-'));
+const express = require('express');
+const { idempotent } = require('../lib/idempotency');
+
+let server;
+let base;
+let runs = 0;
+let failNext = false;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  const handler = async (req, res) => {
+    runs++;
+    await new Promise(r => setTimeout(r, 50));
+    if (failNext) {
+      failNext = false;
+      return res.status(500).json({ success: false, run: runs });
+    }
+    res.json({ success: true, run: runs });
+  };
+  app.post('/cmd', idempotent, handler);
+  app.get('/cmd', idempotent, handler);
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (key, body) => fetch(`${base}/cmd`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+  body: JSON.stringify(body)
+});
+
+test('no key: every request runs', async () => {
+  const before = runs;
+  await post(null, { a: 1 });
+  await post(null, { a: 1 });
+  assert.equal(runs, before + 2);
+});
+
+test('same key and body: the first response is replayed', async () => {
+  const first = await post('k-replay', { a: 1, b: 2 });
+  const again = await post('k-replay', { b: 2, a: 1 }); // key order does not matter
+  assert.equal(again.status, 200);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await again.json(), await first.json());
+});
+
+test('duplicate while the first is running waits for it instead of running again', async () => {
+  const before = runs;
+  const [a, b] = await Promise.all([post('k-concurrent', { a: 1 }), post('k-concurrent', { a: 1 })]);
+  assert.equal(runs, before + 1);
+  assert.deepEqual(await a.json(), await b.json());
+});
+
+test('same key with a different body: 422 and the command does not run', async () => {
+  await post('k-mismatch', { a: 1 });
+  const before = runs;
+  const r = await post('k-mismatch', { a: 2 });
+  assert.equal(r.status, 422);
+  assert.equal((await r.json()).success, false);
+  assert.equal(runs, before);
+});
+
+test('GET: requestId in the query is the key, the rest of the query is the fingerprint', async () => {
+  const first = await fetch(`${base}/cmd?deviceIp=1.2.3.4&requestId=k-get`);
+  const again = await fetch(`${base}/cmd?requestId=k-get&deviceIp=1.2.3.4`);
+  assert.deepEqual(await again.json(), await first.json());
+  const other = await fetch(`${base}/cmd?deviceIp=5.6.7.8&requestId=k-get`);
+  assert.equal(other.status, 422);
+});
+
+test('5xx is not remembered: a retry with the same key runs again', async () => {
+  failNext = true;
+  const first = await post('k-retry', { a: 1 });
+  assert.equal(first.status, 500);
+  const retry = await post('k-retry', { a: 1 });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+});
+
+test('keys are scoped per method and path', async () => {
+  const before = runs;
+  await post('k-scope', {});
+  await fetch(`${base}/cmd`, { headers: { 'Idempotency-Key': 'k-scope' } });
+  assert.equal(runs, before + 2);
+});
@@ -0,0 +1,94 @@
+// test/java-ucid.contract.test.js
+// Pins the /monitor protocol between lib/java-ucid-client.js and the Java UCID monitor,
+// using the stand-in from simulators/java-ucid-sim.js on an ephemeral port.
+//
+//   npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJavaUcidSim } = require('../simulators/java-ucid-sim');
+
+const sim = createJavaUcidSim({ quiet: true });
+let server;
+let client;
+
+before(async () => {
+  server = await new Promise(resolve => { const s = sim.app.listen(0, '127.0.0.1', () => resolve(s)); });
+  // Config is read at require time; trailing slash checks base URL normalisation
+  process.env.JAVA_UCID_BASEURL = `http://127.0.0.1:${server.address().port}/`;
+  process.env.UCID_MONITOR_TIMEOUT_MS = '1500';
+  process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'java-ucid-test-'));
+  client = require('../lib/java-ucid-client');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('requests GET /monitor with station and timeout', async () => {
+  sim.setScenario('default');
+  await client.getUcid('5001', 800);
+  const last = sim.requests[sim.requests.length - 1];
+  assert.equal(last.path, '/monitor');
+  assert.deepEqual(last.query, { station: '5001', timeout: '800' });
+});
+
+test('uses UCID_MONITOR_TIMEOUT_MS when no timeout is given', async () => {
+  sim.setScenario('default');
+  assert.equal(client.UCID_MONITOR_TIMEOUT_MS, 1500);
+  await client.getUcid('5001');
+  assert.equal(sim.requests[sim.requests.length - 1].query.timeout, '1500');
+});
+
+test('200 answer: returns the UCID seen on the station', async () => {
+  sim.setScenario('default');
+  sim.presetUcid('5002', '00001006671760598399');
+  assert.equal(await client.getUcid('5002', 1000), '00001006671760598399');
+});
+
+test('200 answer: body is { ok, station, ucid } with a 20-digit UCID', async () => {
+  sim.setScenario('default');
+  const base = process.env.JAVA_UCID_BASEURL.replace(/\/+$/, '');
+  const r = await fetch(`${base}/monitor?station=5003&timeout=1000`);
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.deepEqual(Object.keys(body).sort(), ['ok', 'station', 'ucid']);
+  assert.equal(body.ok, true);
+  assert.equal(body.station, '5003');
+  assert.match(body.ucid, /^\d{20}$/);
+});
+
+test('202 timeout: returns null after the monitor wait', async () => {
+  sim.setScenario('timeout');
+  const started = Date.now();
+  assert.equal(await client.getUcid('5004', 300), null);
+  assert.ok(Date.now() - started >= 300);
+});
+
+test('call later than the wait: answered 202 and returns null', async () => {
+  sim.setScenario({ latencyMs: 2000 });
+  assert.equal(await client.getUcid('5005', 300), null);
+});
+
+test('missing station: monitor answers 400 and the client throws', async () => {
+  sim.setScenario('default');
+  await assert.rejects(client.getUcid('', 300), err => err.response?.status === 400);
+});
+
+test('HTTP 500: the client throws', async () => {
+  sim.setScenario('error');
+  await assert.rejects(client.getUcid('5006', 300), err => err.response?.status === 500);
+});
+
+test('monitor never answers: abandoned after timeout + 2 s grace', async () => {
+  sim.setScenario('hang');
+  const started = Date.now();
+  await assert.rejects(client.getUcid('5007', 200));
+  const took = Date.now() - started;
+  assert.ok(took >= 2200 && took < 4000, `gave up after ${took} ms`);
+});
+
+test('history is disabled unless JAVA_UCID_HISTORY_PATH is set', async () => {
+  assert.equal(client.historyEnabled, false);
+  assert.deepEqual(await client.history('5001', '2000-01-01T00:00:00', '2100-01-01T00:00:00'), []);
+});
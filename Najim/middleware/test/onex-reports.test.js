@@ -0,0 +1,156 @@
+// test/onex-reports.test.js
+// Report routes of api/onex.js: GET /agent/summary and GET /reports/dial-failures. Validation and
+// the DB-down answer run against SQL Server at a closed port; the result mapping runs against a
+// stand-in pool that records each query's parameters and answers with canned recordsets.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+let server;
+let base;
+let db;
+
+before(async () => {
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'onex-reports-test-')),
+    DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+    CALL_TABLE_NAME: 'OnexCallLogs', ACTION_TABLE_NAME: 'OnexActionLogs',
+    UCID_POLL_INTERVAL_MS: '50', UCID_POLL_MAX: '20',
+    ONEX_SCHEME: 'http', ONEX_PORT: '1', ONEX_API_PATH: '/onexagent/api',
+    JAVA_UCID_BASEURL: 'http://127.0.0.1:1', UCID_MONITOR_TIMEOUT_MS: '1000',
+    DEVICE_HEALTH_SWEEP_MS: '0', UCID_RECONCILE_INTERVAL_MS: '0'
+  });
+  db = require('../lib/db');
+  const app = express();
+  app.use('/api/onex', require('../api/onex'));
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}/api/onex`;
+});
+
+after(async () => {
+  await db.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const get = async (route) => {
+  const r = await fetch(`${base}${route}`);
+  const { date, time, ...json } = await r.json(); // server stamps from sendJson
+  return { status: r.status, body: json };
+};
+
+// Stand-in for the mssql pool for one test: each query() records { inputs, text } and answers
+// with the next of `recordsets`
+function fakePool(t, ...recordsets) {
+  const queries = [];
+  t.mock.method(db, 'getPool', async () => ({
+    request() {
+      const inputs = {};
+      const req = {
+        input(name, _type, value) { inputs[name] = value; return req; },
+        async query(text) {
+          queries.push({ inputs, text });
+          return { recordset: recordsets.shift() || [] };
+        }
+      };
+      return req;
+    }
+  }));
+  return queries;
+}
+
+test('agent summary: required parameters and YYYY-MM-DD days', async () => {
+  assert.deepEqual((await get('/agent/summary?from=2026-10-19')).body.missing, ['agentUser']);
+  assert.deepEqual((await get('/agent/summary?agentUser=a.khan')).body.missing, ['from']);
+  const bad = await get('/agent/summary?agentUser=a.khan&from=2026-10-19&to=2026-02-31');
+  assert.deepEqual(bad, { status: 400, body: { success: false, message: 'from/to must be YYYY-MM-DD' } });
+});
+
+test('agent summary: database unreachable is a 500', async () => {
+  const r = await get('/agent/summary?agentUser=a.khan&from=2026-10-19');
+  assert.equal(r.status, 500);
+  assert.equal(r.body.success, false);
+});
+
+test('agent summary: wall-clock day bounds in, per-state rows out', async (t) => {
+  const items = [
+    { state: 'Ready', reason_code: null, reason_label: null, times: 2, seconds: 5400 },
+    { state: 'NotReady', reason_code: '2', reason_label: 'Lunch', times: 0, seconds: 1800 }
+  ];
+  const queries = fakePool(t, items);
+  const r = await get('/agent/summary?agentUser=a.khan&from=2026-10-18&to=2026-10-20');
+  assert.deepEqual(r, { status: 200, body: { success: true, agentUser: 'a.khan', from: '2026-10-18', to: '2026-10-20', items } });
+
+  const [{ inputs, text }] = queries;
+  assert.equal(inputs.agent_user, 'a.khan');
+  assert.equal(inputs.from.toISOString(), '2026-10-18T00:00:00.000Z');
+  assert.equal(inputs.to.toISOString(), '2026-10-20T00:00:00.000Z');
+  // The state already active at `from` is carried in from the last change before it
+  assert.match(text, /SELECT TOP 1 state, reason_code, reason_label[\s\S]*log_date < @from[\s\S]*ORDER BY log_date DESC/);
+  assert.match(text, /SUM\(1 - carried\) AS times/);
+});
+
+test('dial failures: required and invalid parameters', async () => {
+  assert.deepEqual(await get('/reports/dial-failures'), {
+    status: 400, body: { success: false, missing: ['from'], message: 'Missing required parameters' }
+  });
+  assert.equal((await get('/reports/dial-failures?from=19-10-2026')).status, 400);
+  assert.equal((await get('/reports/dial-failures?from=2026-10-19&to=2026-10-32')).status, 400);
+});
+
+test('dial failures: database unreachable is a 500', async () => {
+  const r = await get('/reports/dial-failures?from=2026-10-19');
+  assert.equal(r.status, 500);
+  assert.equal(r.body.success, false);
+});
+
+test('dial failures: failure groups, outcome totals and the failed count', async (t) => {
+  const lastAt = new Date(Date.UTC(2026, 9, 19, 14, 5));
+  const queries = fakePool(t, [
+    { agent_user: 'a.khan', device_ip: '10.0.0.21', outcome: 'java_ucid_timeout', attempts: 3, last_at: lastAt, last_error: 'No UCID from the Java monitor or One-X' },
+    { agent_user: 'b.saleh', device_ip: '10.0.0.22', outcome: 'register_failed', attempts: 1, last_at: lastAt, last_error: 'connect ECONNREFUSED' }
+  ], [
+    { outcome: 'success', attempts: 16 },
+    { outcome: 'java_ucid_timeout', attempts: 3 },
+    { outcome: 'register_failed', attempts: 1 }
+  ]);
+  const r = await get('/reports/dial-failures?from=2026-10-19');
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.totals, {
+    attempts: 20, failed: 4, byOutcome: { success: 16, java_ucid_timeout: 3, register_failed: 1 }
+  });
+  assert.deepEqual(r.body.items[0], {
+    agentUser: 'a.khan',
+    deviceIp: '10.0.0.21',
+    outcome: 'java_ucid_timeout',
+    attempts: 3,
+    lastAt: lastAt.toISOString(),
+    lastError: 'No UCID from the Java monitor or One-X'
+  });
+  assert.equal(r.body.to, null);
+
+  // Both queries share the one-day window and the (unset) agent/device filters
+  assert.equal(queries.length, 2);
+  for (const { inputs } of queries) {
+    assert.deepEqual(inputs, {
+      from: new Date('2026-10-19T00:00:00.000Z'),
+      to: new Date('2026-10-20T00:00:00.000Z'),
+      agent_user: null,
+      device_ip: null
+    });
+  }
+});
+
+test('dial failures: agent and device filters; no attempts at all', async (t) => {
+  const queries = fakePool(t, [], []);
+  const r = await get('/reports/dial-failures?from=2026-10-18&to=2026-10-20&agentUser=a.khan&deviceIp=10.0.0.21');
+  assert.deepEqual(r.body, {
+    success: true, from: '2026-10-18', to: '2026-10-20', totals: { attempts: 0, failed: 0, byOutcome: {} }, items: []
+  });
+  assert.equal(queries[0].inputs.agent_user, 'a.khan');
+  assert.equal(queries[0].inputs.device_ip, '10.0.0.21');
+  assert.equal(queries[0].inputs.to.toISOString(), '2026-10-20T00:00:00.000Z');
+});
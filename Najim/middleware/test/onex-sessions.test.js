@@ -0,0 +1,107 @@
+// test/onex-sessions.test.js
+// lib/onex-sessions.js against simulators/onex-sim.js: one registration per device shared by
+// concurrent callers, re-registration when One-X forgets the client, and eviction.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOnexSim } = require('../simulators/onex-sim');
+
+const DEVICE_IP = '127.0.0.1';
+
+let onex;
+let sessions;
+let oneXVoiceAction;
+
+before(async () => {
+  onex = await createOnexSim({ quiet: true });
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'onex-sessions-test-')),
+    ONEX_SCHEME: 'http', ONEX_PORT: String(onex.port), ONEX_API_PATH: onex.apiPath,
+    OUTBOUND_ONEX_BREAKER_FAILURES: '100' // the HTTP fault below must not trip the breaker for later tests
+  });
+  sessions = require('../lib/onex-sessions');
+  ({ oneXVoiceAction } = require('../lib/onex-client'));
+});
+
+after(async () => {
+  await sessions.closeAll();
+  await onex.close();
+});
+
+const simClients = async () => (await (await fetch(`${onex.url}/_sim/state`)).json()).clients;
+const mute = (clientid, baseUrl) => oneXVoiceAction(baseUrl, 'mute', { clientid }, { op: 'TEST' });
+
+test('concurrent acquires share one registerclient and one session', async () => {
+  const registered = [];
+  const onRegistered = (s) => registered.push(s.clientId);
+  sessions.events.on('registered', onRegistered);
+  try {
+    const [a, b, c] = await Promise.all([1, 2, 3].map(() => sessions.acquire(DEVICE_IP, { agentUser: 'agent1' })));
+    assert.equal(a, b);
+    assert.equal(b, c);
+    assert.equal(a.registrations, 1);
+    assert.deepEqual(registered, [a.clientId]);
+    assert.equal((await simClients()).length, 1);
+    assert.equal(sessions.list()[0].agentUser, 'agent1');
+  } finally {
+    sessions.events.removeListener('registered', onRegistered);
+  }
+});
+
+test('withClient re-registers once when One-X no longer knows the client', async () => {
+  const s = await sessions.acquire(DEVICE_IP);
+  const stale = s.clientId;
+  await fetch(`${onex.url}/_sim/reset`, { method: 'POST' }); // One-X restarted
+  const seen = [];
+  const result = await sessions.withClient(DEVICE_IP, { op: 'TEST' }, (cid, baseUrl) => {
+    seen.push(cid);
+    return mute(cid, baseUrl);
+  });
+  assert.equal(result.attrs.ResponseCode, '0');
+  assert.equal(seen.length, 2);
+  assert.equal(seen[0], stale);
+  assert.notEqual(seen[1], stale);
+  assert.equal(s.registrations, 2);
+  assert.ok(sessions.isActive(s), 'same session object, new client');
+});
+
+test('withClient does not retry other failure codes', async () => {
+  let calls = 0;
+  const result = await sessions.withClient(DEVICE_IP, { op: 'TEST' }, (cid, baseUrl) => {
+    calls++;
+    return oneXVoiceAction(baseUrl, 'hold', { clientid: cid, interactionid: 'VI0:unknown' }, { op: 'TEST' });
+  });
+  assert.equal(result.attrs.ResponseCode, '4');
+  assert.equal(calls, 1);
+});
+
+test('evict unregisters the client and stops the session', async () => {
+  const s = await sessions.acquire(DEVICE_IP);
+  assert.equal(await sessions.evict(DEVICE_IP), true);
+  assert.equal(sessions.isActive(s), false);
+  assert.deepEqual(sessions.list(), []);
+  assert.deepEqual(await simClients(), []);
+  assert.equal(await sessions.evict(DEVICE_IP), false);
+});
+
+test('a failed registration leaves no session behind', async () => {
+  onex.setScenario({ httpStatus: { registerclient: 503 } });
+  try {
+    await assert.rejects(sessions.acquire(DEVICE_IP));
+    assert.deepEqual(sessions.list(), []);
+  } finally {
+    onex.setScenario('default');
+  }
+  const s = await sessions.acquire(DEVICE_IP);
+  assert.equal(s.registrations, 1);
+});
+
+test('isInvalidClientCode follows ONEX_INVALID_CLIENT_CODES (default 3)', () => {
+  assert.equal(sessions.isInvalidClientCode('3'), true);
+  assert.equal(sessions.isInvalidClientCode(3), true);
+  assert.equal(sessions.isInvalidClientCode('0'), false);
+  assert.equal(sessions.isInvalidClientCode(undefined), false);
+});
@@ -0,0 +1,572 @@
+// test/onex.sim.test.js
+// Drives the One-X routes (api/onex.js) against simulators/onex-sim.js and the Java UCID
+// stand-in, both on ephemeral ports: call control (startcall, hold, release, consult, transfer,
+// DTMF), inbound screen pop and answer, the call lifecycle and call state route, agent work state,
+// dispositions, device health probes and the /events stream.
+// SQL Server is pointed at a closed port, so DB writes fail fast and are only logged; the call-log
+// tests swap in a stand-in pool that records the call-state updates.
+//
+//   npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createOnexSim } = require('../simulators/onex-sim');
+const { createJavaUcidSim } = require('../simulators/java-ucid-sim');
+
+const DEVICE_IP = '127.0.0.1';
+const STATION = '5001';
+const SCENARIO = { call: { createdAfterMs: 50, ringingAfterMs: 100, answeredAfterMs: 200 } };
+
+let onex;
+let javaServer;
+let server;
+let base;
+let sessions;
+
+before(async () => {
+  onex = await createOnexSim({ quiet: true, scenario: SCENARIO });
+  const java = createJavaUcidSim({ quiet: true, scenario: { latencyMs: 50 } });
+  javaServer = await new Promise(resolve => { const s = java.app.listen(0, '127.0.0.1', () => resolve(s)); });
+
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'onex-sim-test-')),
+    DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+    CALL_TABLE_NAME: 'OnexCallLogs', ACTION_TABLE_NAME: 'OnexActionLogs',
+    UCID_POLL_INTERVAL_MS: '50', UCID_POLL_MAX: '20',
+    ONEX_SCHEME: 'http', ONEX_PORT: String(onex.port), ONEX_API_PATH: onex.apiPath,
+    JAVA_UCID_BASEURL: `http://127.0.0.1:${javaServer.address().port}`, UCID_MONITOR_TIMEOUT_MS: '1000',
+    DIAL_WINDOWS: 'off', DIAL_GUARD_FAIL_OPEN: '1', DTMF_PAUSE_MS: '50',
+    DEVICE_HEALTH_SWEEP_MS: '0', UCID_RECONCILE_INTERVAL_MS: '0'
+  });
+  sessions = require('../lib/onex-sessions');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/onex', require('../api/onex'));
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}/api/onex`;
+});
+
+after(async () => {
+  await sessions.closeAll();
+  await require('../lib/db').close();
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => javaServer.close(resolve));
+  await onex.close();
+});
+
+const post = async (route, body) => {
+  const r = await fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ deviceIp: DEVICE_IP, ...body })
+  });
+  return { status: r.status, body: await r.json() };
+};
+const until = async (cond, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+};
+
+// Stand-in for the OnexCallLogs side of SQL Server, for one test: INSERTs create the row of their
+// interaction_id, call-state UPDATEs are recorded and touch a row only once it exists (as the real
+// WHERE clause does), the /calls SELECT answers select(inputs). Every other query finds nothing.
+function fakeCallLog(t, { select = () => [] } = {}) {
+  const rows = new Set();
+  const updates = [];
+  t.mock.method(require('../lib/db'), 'getPool', async () => ({
+    request() {
+      const inputs = {};
+      const req = {
+        input(name, _type, value) { inputs[name] = value; return req; },
+        async query(text) {
+          if (/INSERT INTO OnexCallLogs\b/.test(text)) rows.add(inputs.interaction_id);
+          if (/UPDATE OnexCallLogs SET\s+call_state/.test(text)) {
+            const applied = rows.has(inputs.interaction_id);
+            updates.push({ interactionId: inputs.interaction_id, state: inputs.state, reason: inputs.reason, applied });
+            return { recordset: [], rowsAffected: [applied ? 1 : 0] };
+          }
+          if (/SELECT TOP 1 c\.id/.test(text)) return { recordset: select(inputs), rowsAffected: [1] };
+          return { recordset: [], rowsAffected: [0] };
+        }
+      };
+      return req;
+    }
+  }));
+  const of = (id) => updates.filter(u => u.interactionId === id);
+  return {
+    of,
+    applied: (id, state) => of(id).filter(u => u.applied && (!state || u.state === state)),
+    // Applied states in order, repeats collapsed (route and One-X notification report the same change)
+    states: (id) => of(id).filter(u => u.applied).map(u => u.state).filter((st, i, all) => st !== all[i - 1])
+  };
+}
+
+const simInteraction = async (id) => {
+  const state = await (await fetch(`${onex.url}/_sim/state`)).json();
+  return state.interactions.find(ix => ix.id === id) || null;
+};
+
+test('startcall, hold, unhold and release one call end to end', async () => {
+  const start = await post('/startcall', { ticketNumber: 'T-1', clientPhone: '0551234567', station: STATION });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  assert.equal(start.body.success, true);
+  assert.match(start.body.interactionId, /^VI\d+:/);
+  assert.match(start.body.ucid, /^\d{20}$/);
+  const interactionid = start.body.interactionId;
+  assert.ok(await simInteraction(interactionid), 'sim knows the call');
+
+  const hold = await post('/hold', { interactionid });
+  assert.equal(hold.status, 200, JSON.stringify(hold.body));
+  assert.equal((await simInteraction(interactionid)).state, 'Held');
+
+  const unhold = await post('/unhold', { interactionid });
+  assert.equal(unhold.status, 200, JSON.stringify(unhold.body));
+  assert.equal((await simInteraction(interactionid)).state, 'Active');
+
+  const release = await post('/release', { interactionid });
+  assert.equal(release.status, 200, JSON.stringify(release.body));
+  assert.equal(await simInteraction(interactionid), null, 'call is gone from the sim');
+});
+
+test('commands reuse the device session registered by the first command', async () => {
+  const state = await (await fetch(`${onex.url}/_sim/state`)).json();
+  assert.equal(state.clients.length, 1);
+});
+
+test('hold on an unknown interaction: One-X ResponseCode 4 surfaces as a failure', async () => {
+  const r = await post('/hold', { interactionid: 'VI999:00000000-0000-0000-0000-000000000000' });
+  assert.notEqual(r.status, 200);
+  assert.equal(r.body.success, false);
+});
+
+test('stale client: the session re-registers and the command still succeeds', async () => {
+  const start = await post('/startcall', { ticketNumber: 'T-2', clientPhone: '0551234568', station: STATION });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  await fetch(`${onex.url}/_sim/reset`, { method: 'POST' }); // One-X forgets every client (e.g. restarted)
+  const startAgain = await post('/startcall', { ticketNumber: 'T-3', clientPhone: '0551234569', station: STATION });
+  assert.equal(startAgain.status, 200, JSON.stringify(startAgain.body));
+  assert.equal(startAgain.body.success, true);
+});
+
+test('startcall frees the device queue once makecall is answered, not when the call is created', async () => {
+  onex.setScenario({ ...SCENARIO, call: { ...SCENARIO.call, createdAfterMs: 600, ringingAfterMs: 650, answeredAfterMs: 700 } });
+  try {
+    let startDone = false;
+    const starting = post('/startcall', { ticketNumber: 'T-13', clientPhone: '0551234583', station: STATION })
+      .finally(() => { startDone = true; });
+    await new Promise(resolve => setTimeout(resolve, 200)); // makecall answered, VoiceInteractionCreated not yet sent
+
+    const t0 = Date.now();
+    const other = await post('/hold', { interactionid: 'VI999:00000000-0000-0000-0000-000000000000' });
+    assert.equal(other.body.success, false); // One-X answered it: it was not stuck behind the startcall
+    assert.equal(startDone, false, 'startcall still waiting for the interaction');
+    assert.ok(Date.now() - t0 < 300, `second command took ${Date.now() - t0} ms`);
+
+    const start = await starting;
+    assert.equal(start.status, 200, JSON.stringify(start.body));
+    assert.equal(start.body.success, true);
+    await post('/release', { interactionid: start.body.interactionId });
+  } finally {
+    onex.setScenario(SCENARIO);
+  }
+});
+
+test('consult start and cancel, then blind transfer', async () => {
+  const start = await post('/startcall', { ticketNumber: 'T-4', clientPhone: '0551234570', station: STATION });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  const interactionid = start.body.interactionId;
+
+  const consult = await post('/consult/start', { interactionid, number: '5002' });
+  assert.equal(consult.status, 200, JSON.stringify(consult.body));
+  const consultinteractionid = consult.body.consultInteractionId;
+  assert.match(consultinteractionid, /^VI\d+:/);
+  assert.ok(await simInteraction(consultinteractionid), 'consult leg dialed');
+
+  const cancel = await post('/consult/cancel', { interactionid, consultinteractionid });
+  assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+  assert.deepEqual(cancel.body.codes, { release: '0', unhold: '0' });
+  assert.equal(await simInteraction(consultinteractionid), null, 'consult leg released');
+  assert.equal((await simInteraction(interactionid)).state, 'Active');
+
+  const transfer = await post('/transfer', { interactionid, number: '5003' });
+  assert.equal(transfer.status, 200, JSON.stringify(transfer.body));
+  assert.equal(await simInteraction(interactionid), null, 'transferred call leaves the agent');
+});
+
+test('transfer to a number the dial plan rejects is a 400 before One-X is called', async () => {
+  const r = await post('/transfer', { interactionid: 'VI1:00000000-0000-0000-0000-000000000000', number: '0451234567' });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.success, false);
+});
+
+// Subscribes to /events; next(predicate) resolves the first matching event parsed from the stream
+function subscribe(query, headers = {}) {
+  const controller = new AbortController();
+  const queue = [];
+  let wake = null;
+  const ready = fetch(`${base}/events?${new URLSearchParams(query)}`, { headers, signal: controller.signal }).then(async (r) => {
+    const decoder = new TextDecoder();
+    let buf = '';
+    try {
+      for await (const chunk of r.body) {
+        buf += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, end);
+          buf = buf.slice(end + 2);
+          const data = block.split('\n').find(l => l.startsWith('data: '));
+          if (data) queue.push(JSON.parse(data.slice(6)));
+          if (wake) wake();
+        }
+      }
+    } catch (e) {
+      if (e.name !== 'AbortError') throw e;
+    }
+    return r;
+  });
+  async function next(predicate, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const i = queue.findIndex(predicate);
+      if (i >= 0) return queue.splice(i, 1)[0];
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => { wake = resolve; setTimeout(resolve, 50); });
+    }
+  }
+  return { next, close: () => { controller.abort(); return ready.catch(() => {}); } };
+}
+
+test('event stream: One-X notifications for the device arrive as typed SSE events', async () => {
+  const stream = subscribe({ deviceIp: DEVICE_IP });
+  try {
+    const start = await post('/startcall', { ticketNumber: 'T-5', clientPhone: '0551234571', station: STATION });
+    assert.equal(start.status, 200, JSON.stringify(start.body));
+    const interactionid = start.body.interactionId;
+    const mine = (type) => (evt) => evt.type === type && evt.interactionId === interactionid;
+
+    const created = await stream.next(mine('voice.created'));
+    assert.ok(created, 'voice.created received');
+    assert.equal(created.deviceIp, DEVICE_IP);
+    assert.equal(created.notification, 'VoiceInteractionCreated');
+    assert.match(created.ucid, /^\d{20}$/);
+
+    await post('/release', { interactionid });
+    const ended = await stream.next(mine('voice.terminated'));
+    assert.ok(ended, 'voice.terminated received');
+    assert.ok(ended.id > created.id);
+
+    // A reconnect with Last-Event-ID replays what came after it
+    const replay = subscribe({ deviceIp: DEVICE_IP }, { 'Last-Event-ID': String(created.id) });
+    try {
+      assert.equal((await replay.next(mine('voice.terminated'))).id, ended.id);
+    } finally {
+      await replay.close();
+    }
+  } finally {
+    await stream.close();
+  }
+});
+
+test('event stream needs a deviceIp or agentUser', async () => {
+  const r = await fetch(`${base}/events`);
+  assert.equal(r.status, 400);
+});
+
+test('inbound call: screen pop event with the caller, then answer', async () => {
+  const stream = subscribe({ deviceIp: DEVICE_IP });
+  try {
+    await post('/agent/ready', {}); // registers the device session that the sim rings
+    const ring = await (await fetch(`${onex.url}/_sim/inbound`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ callingNumber: '+966551234599' })
+    })).json();
+    assert.equal(ring.ok, true);
+
+    const pop = await stream.next(evt => evt.type === 'voice.inbound' && evt.interactionId === ring.interactionId);
+    assert.ok(pop, 'voice.inbound received');
+    assert.equal(pop.callerNumber, '+966551234599');
+    assert.equal(pop.ticketNumber, null); // no call log to match against here
+
+    const answer = await post('/answer', { interactionid: ring.interactionId });
+    assert.equal(answer.status, 200, JSON.stringify(answer.body));
+    assert.equal((await simInteraction(ring.interactionId)).state, 'Active');
+    await post('/release', { interactionid: ring.interactionId });
+  } finally {
+    await stream.close();
+  }
+});
+
+test('inbound detection: an outbound call first reported Alerting, with no Direction, is no screen pop', async () => {
+  onex.setScenario('alerting-first');
+  const stream = subscribe({ deviceIp: DEVICE_IP });
+  try {
+    const start = await post('/startcall', { ticketNumber: 'T-12', clientPhone: '0551234582', station: STATION });
+    assert.equal(start.status, 200, JSON.stringify(start.body));
+    const interactionid = start.body.interactionId;
+    const created = await stream.next(evt => evt.type === 'voice.created' && evt.interactionId === interactionid);
+    assert.equal(created.state, 'Alerting');
+    assert.equal(created.attrs.Direction, undefined);
+    assert.equal(await stream.next(evt => evt.type === 'voice.inbound', 500), null);
+    await post('/release', { interactionid });
+
+    // A real inbound call on the same release still pops (already ringing when created)
+    const ring = await (await fetch(`${onex.url}/_sim/inbound`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ callingNumber: '+966551234598' })
+    })).json();
+    const pop = await stream.next(evt => evt.type === 'voice.inbound' && evt.interactionId === ring.interactionId);
+    assert.ok(pop, 'voice.inbound received');
+    await post('/release', { interactionid: ring.interactionId });
+  } finally {
+    onex.setScenario(SCENARIO);
+    await stream.close();
+  }
+});
+
+test('call lifecycle: the call log follows dialing → ringing → connected ⇄ held → released', async (t) => {
+  const log = fakeCallLog(t);
+  const start = await post('/startcall', { ticketNumber: 'T-14', clientPhone: '0551234584', station: STATION });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  const id = start.body.interactionId;
+  // VoiceInteractionCreated comes before startcall has written the row: held back, replayed after the insert
+  assert.equal(log.of(id)[0].state, 'dialing');
+  assert.equal(log.of(id)[0].applied, false);
+  assert.ok(await until(() => log.applied(id, 'connected').length), 'answered');
+
+  assert.equal((await post('/hold', { interactionid: id })).status, 200);
+  assert.ok(await until(() => log.applied(id, 'held').length === 2), 'hold booked by the route and by One-X');
+  assert.equal((await post('/unhold', { interactionid: id })).status, 200);
+  assert.ok(await until(() => log.applied(id, 'connected').length === 3));
+  assert.equal((await post('/release', { interactionid: id })).status, 200);
+  assert.ok(await until(() => log.applied(id, 'released').length === 2), 'release booked by the route and by One-X');
+
+  assert.deepEqual(log.states(id), ['dialing', 'ringing', 'connected', 'held', 'connected', 'released']);
+  // Our own release: the One-X termination that follows is not booked as a far-end hangup
+  assert.deepEqual(log.applied(id, 'released').map(u => u.reason), ['agent', 'agent']);
+  assert.ok(log.applied(id).filter(u => u.state !== 'released').every(u => u.reason === null));
+});
+
+test('call lifecycle: the customer hanging up ends the call with end_reason far_end', async (t) => {
+  const log = fakeCallLog(t);
+  onex.setScenario({ ...SCENARIO, call: { ...SCENARIO.call, farEndReleaseAfterMs: 400 } });
+  try {
+    const start = await post('/startcall', { ticketNumber: 'T-15', clientPhone: '0551234585', station: STATION });
+    assert.equal(start.status, 200, JSON.stringify(start.body));
+    const id = start.body.interactionId;
+    assert.ok(await until(() => log.applied(id, 'released').length), 'released');
+    assert.deepEqual(log.states(id), ['dialing', 'ringing', 'connected', 'released']);
+    assert.equal(log.applied(id, 'released')[0].reason, 'far_end');
+  } finally {
+    onex.setScenario(SCENARIO);
+  }
+});
+
+test('call state route: live hold and talk seconds while the call is up', async (t) => {
+  const answeredAt = new Date(Date.UTC(2026, 9, 19, 10, 0, 0));
+  const row = {
+    id: 7, log_date: new Date(Date.UTC(2026, 9, 19, 9, 59, 40)), ucid: '00001006671760598306', ucid_source: 'java',
+    ucid_confidence: 'exact', ticket_number: 'T-16', client_phone: '+966551234586', device_ip: DEVICE_IP,
+    station: STATION, agent_user: 'a.khan', direction: 'out', call_state: 'held', answered_at: answeredAt,
+    held_at: new Date(Date.UTC(2026, 9, 19, 10, 0, 55)), ended_at: null, hold_seconds: 10, talk_seconds: null,
+    end_reason: null, disposition_code: null, held_now_seconds: 5, since_answer_seconds: 60
+  };
+  const lookups = [];
+  fakeCallLog(t, { select: ({ interaction_id: id }) => { lookups.push(id); return id === 'VI16:HELD' ? [row] : []; } });
+
+  const r = await fetch(`${base}/calls/VI16:HELD`);
+  assert.equal(r.status, 200);
+  const { date, time, ...body } = await r.json();
+  assert.deepEqual(body, {
+    success: true,
+    interactionId: 'VI16:HELD',
+    state: 'held',
+    direction: 'out',
+    ucid: '00001006671760598306',
+    ucidSource: 'java',
+    ucidConfidence: 'exact',
+    ticketNumber: 'T-16',
+    clientPhoneMasked: '*********4586',
+    deviceIp: DEVICE_IP,
+    station: STATION,
+    agentUser: 'a.khan',
+    startedAt: '2026-10-19T09:59:40.000Z',
+    answeredAt: '2026-10-19T10:00:00.000Z',
+    endedAt: null,
+    holdSeconds: 15, // 10 booked + 5 in the current hold
+    talkSeconds: 45, // 60 since answer - 15 on hold
+    endReason: null,
+    disposition: null
+  });
+
+  const unknown = await fetch(`${base}/calls/VI404:NONE`);
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).message, 'Unknown interactionId');
+  assert.deepEqual(lookups, ['VI16:HELD', 'VI404:NONE']);
+});
+
+test('call state route: stored totals once released, nothing to talk about before the answer', async (t) => {
+  const common = { ucid: null, client_phone: '0551234587', call_state: 'released', held_at: null, held_now_seconds: null };
+  fakeCallLog(t, {
+    select: ({ interaction_id: id }) => ({
+      'VI17:ENDED': [{
+        ...common, answered_at: new Date(), ended_at: new Date(), hold_seconds: 15, talk_seconds: 42,
+        since_answer_seconds: 300, end_reason: 'far_end',
+        disposition_code: 'CALLBACK', disposition_label: 'Call back', disposition_notes: 'after 4pm',
+        callback_at: new Date(Date.UTC(2026, 9, 20, 16)), disposed_at: new Date(Date.UTC(2026, 9, 19, 10, 5))
+      }],
+      'VI18:RINGING': [{
+        ...common, call_state: 'ringing', answered_at: null, ended_at: null, hold_seconds: 0, talk_seconds: null,
+        since_answer_seconds: null, end_reason: null, disposition_code: null
+      }]
+    })[id] || []
+  });
+
+  const ended = await (await fetch(`${base}/calls/VI17:ENDED`)).json();
+  assert.deepEqual([ended.holdSeconds, ended.talkSeconds, ended.endReason], [15, 42, 'far_end']);
+  assert.deepEqual(ended.disposition, {
+    code: 'CALLBACK', label: 'Call back', notes: 'after 4pm', callbackAt: '2026-10-20T16:00:00.000Z', at: '2026-10-19T10:05:00.000Z'
+  });
+
+  const ringing = await (await fetch(`${base}/calls/VI18:RINGING`)).json();
+  assert.deepEqual([ringing.state, ringing.holdSeconds, ringing.talkSeconds], ['ringing', 0, null]);
+});
+
+test('call state route: database unreachable is a 500', async () => {
+  const r = await fetch(`${base}/calls/VI19:ANY`);
+  assert.equal(r.status, 500);
+  assert.equal((await r.json()).success, false);
+});
+
+test('agent work state: not-ready with an AUX reason, read back, then ready', async () => {
+  const notReady = await post('/agent/notready', { reasonCode: '2' });
+  assert.equal(notReady.status, 200, JSON.stringify(notReady.body));
+  assert.equal(notReady.body.state, 'NotReady');
+  assert.equal(notReady.body.reasonLabel, 'Lunch');
+
+  const state = await (await fetch(`${base}/agent/state?deviceIp=${DEVICE_IP}`)).json();
+  assert.equal(state.success, true);
+  assert.equal(state.state, 'NotReady');
+
+  const ready = await post('/agent/ready', {});
+  assert.equal(ready.status, 200, JSON.stringify(ready.body));
+  assert.equal((await (await fetch(`${base}/agent/state?deviceIp=${DEVICE_IP}`)).json()).state, 'Ready');
+});
+
+test('agent work state: unknown AUX reason and missing reason are 400', async () => {
+  const unknown = await post('/agent/notready', { reasonCode: '99' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.message, /Unknown reasonCode 99/);
+  const missing = await post('/agent/notready', {});
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.missing, ['reasonCode']);
+});
+
+test('agent login: password in the query string is refused, in the body it is accepted', async () => {
+  const inQuery = await fetch(`${base}/agent/login?deviceIp=${DEVICE_IP}&agentId=1001&password=secret`);
+  assert.equal(inQuery.status, 400);
+  assert.match((await inQuery.json()).message, /not accepted in the query string/);
+
+  const inBody = await post('/agent/login', { agentId: '1001', password: 'secret' });
+  assert.equal(inBody.status, 200, JSON.stringify(inBody.body));
+  assert.equal(inBody.body.state, 'LoggedIn');
+});
+
+test('DTMF: tones with a pause on an active call; pauses only is 400', async () => {
+  const start = await post('/startcall', { ticketNumber: 'T-6', clientPhone: '0551234572', station: STATION });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  const interactionid = start.body.interactionId;
+
+  const sent = await post('/dtmf', { interactionid, digits: '1,2#' });
+  assert.equal(sent.status, 200, JSON.stringify(sent.body));
+  assert.equal(sent.body.sent, 3);
+
+  const pausesOnly = await post('/dtmf', { interactionid, digits: ',,' });
+  assert.equal(pausesOnly.status, 400);
+  assert.match(pausesOnly.body.message, /no tones/);
+  await post('/release', { interactionid });
+});
+
+test('disposition: code list, and invalid submissions are 400 before any DB write', async () => {
+  const codes = await (await fetch(`${base}/disposition/codes`)).json();
+  assert.equal(codes.success, true);
+  assert.ok(codes.items.some(i => i.code === 'NO_ANSWER' && i.label === 'No answer'));
+
+  const submit = async (body) => {
+    const r = await fetch(`${base}/disposition`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: r.status, body: await r.json() };
+  };
+  const noCall = await submit({ code: 'REACHED' });
+  assert.equal(noCall.status, 400);
+  assert.equal(noCall.body.errors[0].message, 'interactionId or ucid is required');
+
+  const bad = await submit({ ucid: 'abc', code: 'MAYBE', callbackAt: 'tomorrow' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.errors.map(e => e.field), ['ucid', 'code', 'callbackAt']);
+});
+
+test('device health: only mapped devices are probed', async (t) => {
+  const deviceMap = require('../lib/device-map');
+  const health = async (ip) => {
+    const r = await fetch(`${base}/devices/${encodeURIComponent(ip)}/health`);
+    return { status: r.status, body: await r.json() };
+  };
+
+  const invalid = await health('evil.example/x?');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.message, 'Invalid device IP/host');
+
+  const dbDown = await health('10.255.0.1'); // SQL Server is unreachable in these tests
+  assert.equal(dbDown.status, 500);
+  assert.equal(dbDown.body.success, false);
+
+  // OnexDeviceMap answering "no such device"
+  const lookups = [];
+  t.mock.method(deviceMap, 'get', async (ip) => { lookups.push(ip); return null; });
+  const unknown = await health('10.255.0.1');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.message, 'Device is not mapped');
+  assert.deepEqual(lookups, ['10.255.0.1']);
+
+  const fleet = await (await fetch(`${base}/devices/health`)).json();
+  assert.equal(fleet.counts.total, 0, 'nothing was probed');
+});
+
+test('device health: live probe of the simulator, failures classified with a hint', async (t) => {
+  // OnexDeviceMap row for the simulator's device
+  t.mock.method(require('../lib/device-map'), 'get', async (ip) => (
+    ip === DEVICE_IP ? { deviceIp: DEVICE_IP, station: STATION, label: 'Desk 1' } : null
+  ));
+  const ok = await (await fetch(`${base}/devices/${DEVICE_IP}/health`)).json();
+  assert.equal(ok.success, true);
+  assert.equal(ok.healthy, true);
+  assert.equal(ok.status, 'ok');
+  assert.equal(ok.station, STATION);
+  assert.equal(ok.label, 'Desk 1');
+
+  onex.setScenario({ ...SCENARIO, httpStatus: { registerclient: 503 } });
+  try {
+    const down = await (await fetch(`${base}/devices/${DEVICE_IP}/health`)).json();
+    assert.equal(down.healthy, false);
+    assert.equal(down.status, 'http_error');
+    assert.equal(down.detail, 'HTTP 503');
+    assert.match(down.hint, /URLACL/);
+    assert.equal(down.consecutiveFailures, 1);
+    assert.equal(down.lastOkAt, ok.checkedAt);
+  } finally {
+    onex.setScenario(SCENARIO);
+  }
+
+  const fleet = await (await fetch(`${base}/devices/health`)).json();
+  assert.deepEqual(fleet.counts, { total: 1, healthy: 0, failing: 1 });
+  assert.equal(fleet.items[0].deviceIp, DEVICE_IP);
+});
@@ -0,0 +1,123 @@
+// test/outbound.test.js
+// lib/outbound.js against a scripted local HTTP server: retries (idempotent calls only),
+// which failures count against the circuit breaker, and open → half_open → closed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Config is read at require time
+Object.assign(process.env, {
+  LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-test-')),
+  OUTBOUND_RETRY_BASE_MS: '1', OUTBOUND_RETRY_MAX_MS: '5',
+  OUTBOUND_ACR_RETRIES: '2', OUTBOUND_ACR_BREAKER_FAILURES: '3', OUTBOUND_ACR_BREAKER_RESET_MS: '100',
+  OUTBOUND_ACR_TIMEOUT_MS: '2000'
+});
+const outbound = require('../lib/outbound');
+
+// path -> statuses still to answer (200 once the script runs out); hits counted per path
+const script = new Map();
+const hits = new Map();
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+    const status = (script.get(req.url) || []).shift() || 200;
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ status }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const call = (route, statuses, opts = {}) => {
+  script.set(route, [...statuses]);
+  return outbound.request('acr', { method: opts.method || 'GET', url: `${base}${route}` }, { key: route, idempotent: true, ...opts });
+};
+const tripped = (key) => outbound.snapshot().tripped.find(b => b.key === key) || null;
+
+test('idempotent call retries 502/503/504 and resolves the eventual success', async () => {
+  const res = await call('/retry-ok', [503, 502]);
+  assert.equal(res.status, 200);
+  assert.equal(hits.get('/retry-ok'), 3);
+  assert.equal(tripped('/retry-ok'), null, 'success closes the breaker again');
+});
+
+test('non-idempotent call is sent once', async () => {
+  await assert.rejects(call('/post-once', [503], { idempotent: false, method: 'POST' }), err => err.response?.status === 503);
+  assert.equal(hits.get('/post-once'), 1);
+});
+
+test('retries are bounded by the target policy', async () => {
+  await assert.rejects(call('/always-504', [504, 504, 504, 504]), err => err.response?.status === 504);
+  assert.equal(hits.get('/always-504'), 3); // 1 + OUTBOUND_ACR_RETRIES
+});
+
+test('500 and 4xx are not retried; only 5xx counts as a breaker failure', async () => {
+  await assert.rejects(call('/http-500', [500]), err => err.response?.status === 500);
+  assert.equal(hits.get('/http-500'), 1);
+  assert.equal(tripped('/http-500'), null); // 1 of 3 failures
+
+  for (let i = 0; i < 4; i++) await assert.rejects(call('/not-found', [404]), err => err.response?.status === 404);
+  assert.equal(hits.get('/not-found'), 4);
+  assert.equal(tripped('/not-found'), null, 'the target answered, so it is up');
+});
+
+test('breaker opens after N failures, fails fast, then lets one trial through and closes', async () => {
+  for (let i = 0; i < 3; i++) await assert.rejects(call('/flaky', [500]));
+  assert.equal(tripped('/flaky').state, 'open');
+  assert.equal(tripped('/flaky').lastError, 'HTTP 500');
+
+  await assert.rejects(call('/flaky', []), (err) => {
+    assert.equal(err.code, 'CIRCUIT_OPEN');
+    assert.equal(err.status, 503);
+    assert.ok(err.retryAfterMs > 0 && err.retryAfterMs <= 100);
+    return true;
+  });
+  assert.equal(hits.get('/flaky'), 3, 'no request while open');
+
+  await sleep(120);
+  const res = await call('/flaky', []);
+  assert.equal(res.status, 200);
+  assert.equal(tripped('/flaky'), null);
+});
+
+test('a failed half-open trial reopens the breaker at once', async () => {
+  for (let i = 0; i < 3; i++) await assert.rejects(call('/down', [500]));
+  await sleep(120);
+  await assert.rejects(call('/down', [500]), err => err.response?.status === 500);
+  assert.equal(tripped('/down').state, 'open');
+  assert.equal(hits.get('/down'), 4);
+  await assert.rejects(call('/down', []), err => err.code === 'CIRCUIT_OPEN');
+});
+
+test('connection refused is retried and counts as a failure', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(outbound.get('acr', url, {}, { key: 'refused', idempotent: true }), err => err.code === 'ECONNREFUSED');
+  const b = tripped('refused');
+  assert.equal(b.state, 'open'); // three refused attempts = OUTBOUND_ACR_BREAKER_FAILURES
+  assert.equal(b.failures, 3);
+});
+
+test('snapshot reports policies, counts and health', () => {
+  const s = outbound.snapshot();
+  assert.equal(s.healthy, false);
+  assert.deepEqual(s.targets.acr.policy, { timeoutMs: 2000, retries: 2, failures: 3, resetMs: 100 });
+  assert.ok(s.targets.acr.open >= 2);
+  assert.equal(s.targets.onex.breakers, 0);
+});
+
+test('unknown target is refused', async () => {
+  await assert.rejects(outbound.request('ftp', { url: base }), /Unknown outbound target: ftp/);
+});
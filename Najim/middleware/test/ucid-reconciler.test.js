@@ -0,0 +1,206 @@
+// test/ucid-reconciler.test.js
+// lib/ucid-reconciler.js: how one candidate is picked and graded, and a run over a stand-in
+// OnexCallLogs pool with ACR search and the Java monitor history replaced per test. The stand-in
+// applies the WHERE clauses the real queries rely on (no UCID yet, under the attempt cap).
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let reconciler;
+let db;
+let acrClient;
+let javaUcid;
+
+before(() => {
+  // Config is read at require time
+  Object.assign(process.env, {
+    LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'ucid-reconciler-test-')),
+    DB_USER: 'test', DB_PASS: 'test', DB_SERVER: '127.0.0.1', DB_PORT: '1', DB_NAME: 'test',
+    CALL_TABLE_NAME: 'OnexCallLogs',
+    JAVA_UCID_BASEURL: 'http://127.0.0.1:1', JAVA_UCID_HISTORY_PATH: '/history',
+    UCID_RECONCILE_INTERVAL_MS: '0', UCID_RECONCILE_MAX_ATTEMPTS: '3'
+  });
+  db = require('../lib/db');
+  acrClient = require('../lib/acr-client');
+  javaUcid = require('../lib/java-ucid-client');
+  reconciler = require('../lib/ucid-reconciler');
+});
+
+// log_date as mssql hands it back: DB wall clock in the UTC fields
+const LOG_DATE = new Date(Date.UTC(2026, 9, 19, 10, 0, 0));
+const at = (sec) => LOG_DATE.getTime() + sec * 1000;
+const row = { id: 1, log_date: LOG_DATE, client_phone: '+966551234567', station: '1102' };
+
+// ACR search result as lib/acr-client.js maps it
+const recording = (ucid, startedat, agents = '') => ({ inum: `7000${ucid}`, switchcallid: ucid, fields: { startedat, agents } });
+
+// Stand-in for the mssql pool for one test over `rows` ({ id, log_date, client_phone, station,
+// ucid, attempts }); `taken` are UCIDs already on other call rows
+function fakeCallLog(t, rows, { taken = [] } = {}) {
+  const writes = [];
+  const pending = [];
+  t.mock.method(db, 'getPool', async () => ({
+    request() {
+      const inputs = {};
+      const req = {
+        input(name, _type, value) { inputs[name] = value; return req; },
+        async query(text) {
+          const one = rows.find(r => r.id === inputs.id);
+          if (/SELECT TOP \(@batch\)/.test(text)) {
+            pending.push(inputs.max_att);
+            return { recordset: rows.filter(r => r.ucid == null && r.attempts < inputs.max_att).slice(0, inputs.batch) };
+          }
+          if (/SELECT TOP 1 id/.test(text)) return { recordset: taken.includes(inputs.ucid) ? [{ id: 99 }] : [] };
+          if (/SET ucid = @ucid/.test(text)) {
+            if (!one || one.ucid != null) return { rowsAffected: [0] };
+            writes.push({ id: inputs.id, ucid: inputs.ucid, source: inputs.source, confidence: inputs.confidence });
+            one.ucid = inputs.ucid;
+            one.attempts++;
+            return { rowsAffected: [1] };
+          }
+          if (/SET reconcile_attempts/.test(text)) one.attempts++;
+          return { recordset: [], rowsAffected: [1] };
+        }
+      };
+      return req;
+    }
+  }));
+  return { writes, pending };
+}
+
+// ===== pick =====
+// exact is kept for live UCIDs (Java monitor / One-X): a backfilled match is high at best
+test('pick: nothing usable is null', () => {
+  assert.equal(reconciler.pick([], row), null);
+});
+
+test('pick: a single candidate is high on the agent\'s station, medium elsewhere', () => {
+  const c = { ucid: 'U1', at: at(40), onStation: true };
+  assert.deepEqual(reconciler.pick([c], row), { ...c, confidence: 'high' });
+  assert.equal(reconciler.pick([{ ...c, onStation: false }], row).confidence, 'medium');
+});
+
+test('pick: of several candidates, the only one on the station is medium however far it is', () => {
+  const candidates = [
+    { ucid: 'U1', at: at(5), onStation: false },
+    { ucid: 'U2', at: at(170), onStation: true },
+    { ucid: 'U3', at: at(-10), onStation: false }
+  ];
+  assert.deepEqual(reconciler.pick(candidates, row), { ...candidates[1], confidence: 'medium' });
+});
+
+test('pick: several on the station, or none, gives the closest to log_date graded low', () => {
+  const onStation = [
+    { ucid: 'U1', at: at(-90), onStation: true },
+    { ucid: 'U2', at: at(20), onStation: true },
+    { ucid: 'U3', at: at(-25), onStation: true },
+    { ucid: 'U4', at: at(1), onStation: false }
+  ];
+  // U4 is closer but off the station: station candidates come first
+  assert.deepEqual(reconciler.pick(onStation, row), { ...onStation[1], confidence: 'low' });
+
+  const offStation = onStation.map(c => ({ ...c, onStation: false }));
+  assert.deepEqual(reconciler.pick(offStation, row), { ...offStation[3], confidence: 'low' });
+});
+
+test('pick: candidates without a start time rank after every timed one', () => {
+  const candidates = [
+    { ucid: 'U1', at: null, onStation: false },
+    { ucid: 'U2', at: at(-175), onStation: false }
+  ];
+  assert.equal(reconciler.pick(candidates, row).ucid, 'U2');
+});
+
+test('pick: a time-window tie keeps the first candidate listed, still graded low', () => {
+  const candidates = [
+    { ucid: 'U1', at: at(-30), onStation: true },
+    { ucid: 'U2', at: at(30), onStation: true }
+  ];
+  assert.deepEqual(reconciler.pick(candidates, row), { ...candidates[0], confidence: 'low' });
+  assert.equal(reconciler.pick([...candidates].reverse(), row).ucid, 'U2');
+});
+
+// ===== runOnce =====
+test('run: one ACR recording on the station is written back high; the Java history is not asked', async (t) => {
+  const rows = [{ ...row, ucid: null, attempts: 0 }];
+  const { writes } = fakeCallLog(t, rows);
+  const searches = [];
+  t.mock.method(acrClient, 'search', async (params) => {
+    searches.push(params);
+    return [recording('00001006671760598399', '2026-10-19 10:00:40', '1102')];
+  });
+  const history = t.mock.method(javaUcid, 'history', async () => []);
+
+  const summary = await reconciler.runOnce();
+  assert.deepEqual([summary.scanned, summary.resolved, summary.bySource], [1, 1, { acr_search: 1 }]);
+  assert.deepEqual(writes, [{ id: 1, ucid: '00001006671760598399', source: 'acr_search', confidence: 'high' }]);
+  assert.equal(history.mock.callCount(), 0);
+  // ± UCID_RECONCILE_WINDOW_MIN (3) on the DB wall clock, last ANI_MATCH_DIGITS (9) of the number
+  assert.deepEqual(
+    [searches[0].param1_startedat, searches[0].param2_startedat, searches[0].param4_startedat, searches[0].param1_otherparties],
+    ['19/10/26', '09:57:00', '10:03:00', '551234567']
+  );
+});
+
+test('run: several candidates, one already on another call, the remaining one wins', async (t) => {
+  const rows = [{ ...row, ucid: null, attempts: 0 }];
+  const { writes } = fakeCallLog(t, rows, { taken: ['U-TAKEN'] });
+  t.mock.method(acrClient, 'search', async () => [
+    recording('U-TAKEN', '2026-10-19 10:00:02', '1102'),
+    recording('U-FREE', '2026-10-19 10:01:30', '1104'),
+    { inum: '700000009999', switchcallid: null, fields: { startedat: '2026-10-19 10:00:00' } }
+  ]);
+  t.mock.method(javaUcid, 'history', async () => []);
+
+  await reconciler.runOnce();
+  assert.deepEqual(writes, [{ id: 1, ucid: 'U-FREE', source: 'acr_search', confidence: 'medium' }]);
+});
+
+test('run: ACR only has a low guess, the Java monitor history settles it', async (t) => {
+  const rows = [{ ...row, ucid: null, attempts: 0 }];
+  const { writes } = fakeCallLog(t, rows);
+  t.mock.method(acrClient, 'search', async () => [
+    recording('U-A', '2026-10-19 09:59:00'),
+    recording('U-B', '2026-10-19 10:02:00')
+  ]);
+  const history = t.mock.method(javaUcid, 'history', async () => [{ ucid: 4242, station: '1102', at: '2026-10-19T10:00:03' }]);
+
+  const summary = await reconciler.runOnce();
+  assert.deepEqual(writes, [{ id: 1, ucid: '4242', source: 'java_history', confidence: 'high' }]);
+  assert.deepEqual(summary.bySource, { java_history: 1 });
+  assert.deepEqual(history.mock.calls[0].arguments.slice(0, 3), ['1102', '2026-10-19T09:57:00', '2026-10-19T10:03:00']);
+});
+
+test('run: no station, no Java history; a tie below the minimum confidence is left ambiguous', async (t) => {
+  const rows = [{ ...row, station: null, ucid: null, attempts: 0 }];
+  const { writes } = fakeCallLog(t, rows);
+  t.mock.method(acrClient, 'search', async () => [
+    recording('U-A', '2026-10-19 09:59:30'),
+    recording('U-B', '2026-10-19 10:00:30')
+  ]);
+  const history = t.mock.method(javaUcid, 'history', async () => []);
+
+  const summary = await reconciler.runOnce();
+  assert.deepEqual([summary.resolved, summary.ambiguous], [0, 1]);
+  assert.deepEqual(writes, []);
+  assert.equal(history.mock.callCount(), 0);
+  assert.equal(rows[0].attempts, 1);
+});
+
+test('run: a row with no match is retried until UCID_RECONCILE_MAX_ATTEMPTS, then left alone', async (t) => {
+  const rows = [{ ...row, ucid: null, attempts: 0 }, { ...row, id: 2, ucid: null, attempts: 3 }];
+  const { writes, pending } = fakeCallLog(t, rows);
+  const search = t.mock.method(acrClient, 'search', async () => []);
+  t.mock.method(javaUcid, 'history', async () => []);
+
+  const scanned = [];
+  for (let i = 0; i < 4; i++) scanned.push((await reconciler.runOnce()).scanned);
+  assert.deepEqual(scanned, [1, 1, 1, 0]);
+  assert.deepEqual(pending, [3, 3, 3, 3]);
+  assert.equal(rows[0].attempts, 3);
+  assert.equal(search.mock.callCount(), 3);
+  assert.deepEqual(writes, []);
+  assert.equal(reconciler.getStatus().config.maxAttempts, 3);
+});
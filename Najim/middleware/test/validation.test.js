@@ -0,0 +1,81 @@
+// test/validation.test.js
+// lib/validation.js: required fields, types, normalisation and error shape.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/validation');
+
+const schema = {
+  ticketNumber: { required: true, max: 10, pattern: /^T-\d+$/, hint: 'must look like T-123' },
+  clientPhone:  { type: 'phone', required: true },
+  deviceIp:     { type: 'host' },
+  station:      { type: 'integer', min: 1000, max: 9999 }
+};
+
+test('valid body: values trimmed and normalised, unknown fields dropped', () => {
+  const { value, errors } = validate(schema, {
+    ticketNumber: ' T-42 ', clientPhone: '+966 (55) 123-4567', deviceIp: '10.0.0.5', station: ' 5001 ', extra: 'x'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { ticketNumber: 'T-42', clientPhone: '+966551234567', deviceIp: '10.0.0.5', station: 5001 });
+});
+
+test('missing or blank required fields; optional blanks are skipped', () => {
+  const { value, errors } = validate(schema, { ticketNumber: '  ', deviceIp: null, station: '' });
+  assert.deepEqual(errors, [
+    { field: 'ticketNumber', code: 'required', message: 'ticketNumber is required' },
+    { field: 'clientPhone', code: 'required', message: 'clientPhone is required' }
+  ]);
+  assert.deepEqual(value, {});
+});
+
+test('body that is not a JSON object', () => {
+  for (const body of [undefined, null, 'text', [1, 2]]) {
+    assert.deepEqual(validate(schema, body).errors, [{ field: null, code: 'type', message: 'request body must be a JSON object' }]);
+  }
+});
+
+test('string: type, length and pattern with hint', () => {
+  const err = (v) => validate({ s: schema.ticketNumber }, { s: v }).errors[0];
+  assert.deepEqual(err({ a: 1 }), { field: 's', code: 'type', message: 's must be a string' });
+  assert.deepEqual(err('T-1234567890'), { field: 's', code: 'length', message: 's must be 1-10 characters' });
+  assert.deepEqual(err('X-1'), { field: 's', code: 'format', message: 's must look like T-123' });
+  assert.equal(validate({ s: { min: 3 } }, { s: 'ab' }).errors[0].message, 's must be at least 3 characters');
+  assert.equal(validate({ s: { pattern: /^a/ } }, { s: 'b' }).errors[0].message, 's must match /^a/');
+});
+
+test('numbers are accepted as strings', () => {
+  assert.deepEqual(validate({ s: {} }, { s: 12 }).value, { s: '12' });
+});
+
+test('phone: 3-20 digits after stripping separators', () => {
+  assert.deepEqual(validate(schema, { ticketNumber: 'T-1', clientPhone: 937 }).value.clientPhone, '937');
+  for (const bad of ['12', '055-ABC', '++966', '1'.repeat(21)]) {
+    const { errors } = validate(schema, { ticketNumber: 'T-1', clientPhone: bad });
+    assert.equal(errors[0].code, 'format', bad);
+  }
+});
+
+test('host: IPs, host names and http(s) URLs', () => {
+  const check = (v) => validate({ h: { type: 'host' } }, { h: v }).errors;
+  for (const ok of ['192.168.1.10', 'onex-01.local', '::1', 'http://10.0.0.5:4560', 'https://onex.example.com/path']) {
+    assert.deepEqual(check(ok), [], ok);
+  }
+  for (const bad of ['10.0.0.5/evil', 'host name', 'http://', 'a'.repeat(256)]) {
+    assert.equal(check(bad)[0].code, 'format', bad);
+  }
+});
+
+test('integer: strings of digits, range and non-integers', () => {
+  const check = (v) => validate({ n: schema.station }, { n: v });
+  assert.deepEqual(check(1234).value, { n: 1234 });
+  assert.deepEqual(check('-5').errors[0], { field: 'n', code: 'range', message: 'n must be >= 1000' });
+  assert.equal(check(10000).errors[0].message, 'n must be <= 9999');
+  for (const bad of ['12.5', 1234.5, '1e4', true]) {
+    assert.equal(check(bad).errors[0].code, 'type', String(bad));
+  }
+});
+
+test('every invalid field is reported', () => {
+  const { errors } = validate(schema, { ticketNumber: 'bad', clientPhone: 'x', deviceIp: 'a b', station: 'n' });
+  assert.deepEqual(errors.map(e => e.field), ['ticketNumber', 'clientPhone', 'deviceIp', 'station']);
+});
@@ -0,0 +1,63 @@
+// test/wall-clock.test.js
+// Day bounds for /agent/summary and /reports/dial-failures, and the ACR/DB timestamp parser.
+// TZ is set away from UTC so a bound built in Node local time would shift by three hours.
+process.env.TZ = 'Asia/Riyadh';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { wallClockMs, isDay, dayRange } = require('../lib/wall-clock');
+
+// log_date as mssql returns it: the DB wall clock in the UTC fields
+const logDate = (y, mo, d, h, mi) => new Date(Date.UTC(y, mo - 1, d, h, mi));
+const inRange = ({ from, to }, at) => at >= from && at < to;
+
+test('dayRange: a record at 00:30 belongs to that day, 23:30 the evening before does not', () => {
+  const day = dayRange('2026-10-19');
+  assert.equal(inRange(day, logDate(2026, 10, 19, 0, 30)), true);
+  assert.equal(inRange(day, logDate(2026, 10, 18, 23, 30)), false);
+  assert.equal(inRange(day, logDate(2026, 10, 19, 23, 30)), true);
+  assert.equal(inRange(day, logDate(2026, 10, 20, 0, 30)), false);
+});
+
+test('dayRange: bounds are wall-clock midnights regardless of the Node time zone', () => {
+  const { from, to } = dayRange('2026-10-19');
+  assert.equal(from.toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.equal(to.toISOString(), '2026-10-20T00:00:00.000Z');
+});
+
+test('dayRange: `to` is exclusive', () => {
+  const range = dayRange('2026-10-18', '2026-10-20');
+  assert.equal(inRange(range, logDate(2026, 10, 18, 0, 30)), true);
+  assert.equal(inRange(range, logDate(2026, 10, 19, 23, 30)), true);
+  assert.equal(inRange(range, logDate(2026, 10, 20, 0, 30)), false);
+});
+
+test('isDay accepts YYYY-MM-DD only', () => {
+  assert.equal(isDay('2026-10-19'), true);
+  assert.equal(isDay('19/10/2026'), false);
+  assert.equal(isDay('2026-10-19T00:00'), false);
+  assert.equal(isDay(''), false);
+});
+
+test('isDay refuses dates that do not exist', () => {
+  assert.equal(isDay('2026-02-31'), false);
+  assert.equal(isDay('2026-02-29'), false);
+  assert.equal(isDay('2028-02-29'), true);
+  assert.equal(isDay('2026-13-01'), false);
+  assert.equal(isDay('2026-10-00'), false);
+});
+
+test('wallClockMs reads ISO and ACR DD/MM/YYYY forms on the same clock', () => {
+  const expected = Date.UTC(2025, 9, 16, 0, 6, 2);
+  assert.equal(wallClockMs('2025-10-16 00:06:02'), expected);
+  assert.equal(wallClockMs('2025-10-16T00:06:02'), expected);
+  assert.equal(wallClockMs('16/10/2025 00:06:02'), expected);
+  assert.equal(wallClockMs('16/10/25 00:06:02'), expected);
+  assert.equal(wallClockMs('16/10/2025 00:06'), Date.UTC(2025, 9, 16, 0, 6));
+});
+
+test('wallClockMs: unparseable values give null', () => {
+  assert.equal(wallClockMs(''), null);
+  assert.equal(wallClockMs(null), null);
+  assert.equal(wallClockMs('yesterday'), null);
+});
@@ -0,0 +1,139 @@
+// test/wav.test.js
+// lib/wav.js on small generated PCM files: header parsing, concatWavs (merged recordings) and peaks (waveforms).
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const wav = require('../lib/wav');
+
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wav-test-')); });
+
+const MONO_8K = { channels: 1, sampleRate: 8000, bitsPerSample: 16 };
+
+// Writes a 16-bit PCM WAV whose samples come from sample(i); `list` adds a LIST chunk before data
+function writeWav(name, format, frames, sample = () => 0, { list = false } = {}) {
+  const data = Buffer.alloc(frames * format.channels * 2);
+  for (let i = 0; i < frames * format.channels; i++) data.writeInt16LE(sample(i), i * 2);
+  let header = wav.wavHeader(format, data.length);
+  if (list) {
+    const chunk = Buffer.alloc(14);
+    chunk.write('LIST', 0);
+    chunk.writeUInt32LE(5, 4); // odd size: padded to an even boundary
+    header = Buffer.concat([header.subarray(0, 36), chunk, header.subarray(36)]);
+  }
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, Buffer.concat([header, data]));
+  return file;
+}
+
+test('readWav: format and PCM payload, skipping other chunks', () => {
+  const file = writeWav('list.wav', MONO_8K, 100, i => i, { list: true });
+  const { format, data } = wav.readWav(file);
+  assert.deepEqual({ channels: format.channels, sampleRate: format.sampleRate, bitsPerSample: format.bitsPerSample }, MONO_8K);
+  assert.equal(data.length, 200);
+  assert.equal(data.readInt16LE(198), 99);
+});
+
+test('readWav: rejects files that are not RIFF/WAVE', () => {
+  const file = path.join(dir, 'not.wav');
+  fs.writeFileSync(file, 'ID3 definitely not a wav file');
+  assert.throws(() => wav.readWav(file), /Not a WAV file/);
+});
+
+test('concatWavs: PCM back to back, one header, segment offsets in input order', async () => {
+  const a = writeWav('a.wav', MONO_8K, 8000, () => 1000);     // 1.0 s
+  const b = writeWav('b.wav', MONO_8K, 4000, () => -2000);    // 0.5 s
+  const c = writeWav('c.wav', MONO_8K, 12000, () => 3000, { list: true }); // 1.5 s
+  const out = path.join(dir, 'merged.wav');
+  const result = await wav.concatWavs([a, b, c], out);
+
+  assert.equal(result.durationSec, 3);
+  assert.deepEqual(result.parts, [
+    { offsetSec: 0, durationSec: 1 },
+    { offsetSec: 1, durationSec: 0.5 },
+    { offsetSec: 1.5, durationSec: 1.5 }
+  ]);
+  const merged = wav.readWav(out);
+  assert.equal(merged.data.length, (8000 + 4000 + 12000) * 2);
+  assert.equal(merged.data.readInt16LE(0), 1000);
+  assert.equal(merged.data.readInt16LE(8000 * 2), -2000);
+  assert.equal(merged.data.readInt16LE((8000 + 4000) * 2), 3000);
+  assert.equal(fs.statSync(out).size, 44 + merged.data.length);
+});
+
+test('concatWavs: inputs spanning several 64 KiB reads are copied byte for byte', async () => {
+  const a = writeWav('long-a.wav', MONO_8K, 50000, i => (i * 31) % 30000, { list: true });
+  const b = writeWav('long-b.wav', MONO_8K, 70001, i => -((i * 17) % 30000));
+  const out = path.join(dir, 'long-merged.wav');
+  const result = await wav.concatWavs([a, b], out);
+  assert.deepEqual(wav.readWav(out).data, Buffer.concat([wav.readWav(a).data, wav.readWav(b).data]));
+  assert.equal(result.parts[1].offsetSec, 6.25);
+});
+
+test('concatWavs: inputs with a different format are refused, before the output is written', async () => {
+  const a = writeWav('mono.wav', MONO_8K, 800);
+  const b = writeWav('stereo.wav', { ...MONO_8K, channels: 2 }, 800);
+  await assert.rejects(wav.concatWavs([a, b], path.join(dir, 'bad.wav')), /format differs/);
+  assert.equal(fs.existsSync(path.join(dir, 'bad.wav')), false);
+});
+
+test('concatWavs: no inputs is an error', async () => {
+  await assert.rejects(wav.concatWavs([], path.join(dir, 'empty.wav')), /No WAV inputs/);
+});
+
+test('peaks: one level per slice, loudest sample of the slice', async () => {
+  // 1 s at 8 kHz: slice k of 4 peaks at k * 8000
+  const file = writeWav('steps.wav', MONO_8K, 8000, i => (i % 2 ? -1 : 1) * Math.floor(i / 2000) * 8000);
+  const r = await wav.peaks(file, 4);
+  assert.equal(r.durationSec, 1);
+  assert.deepEqual(r.peaks, [0, 0.2441, 0.4883, 0.7324]);
+});
+
+test('peaks: fewer frames than points gives one point per frame', async () => {
+  const file = writeWav('short.wav', MONO_8K, 3, i => [32767, -32768, 0][i]);
+  const r = await wav.peaks(file, 800);
+  assert.deepEqual(r.peaks, [1, 1, 0]);
+});
+
+test('peaks: empty data chunk resolves a single silent point', async () => {
+  const file = writeWav('empty.wav', MONO_8K, 0);
+  const r = await wav.peaks(file, 10);
+  assert.equal(r.durationSec, 0);
+  assert.deepEqual(r.peaks, [0]);
+});
+
+test('peaks: frames split across stream chunks match an in-memory pass', async () => {
+  // 6-byte frames never line up with the 64 KiB read size; the LIST chunk shifts the data offset
+  const format = { channels: 3, sampleRate: 8000, bitsPerSample: 16 };
+  const file = writeWav('multi.wav', format, 40000, i => ((i * 7919) % 65536) - 32768, { list: true });
+  const points = 37;
+  const r = await wav.peaks(file, points);
+
+  const { data } = wav.readWav(file);
+  const expected = [];
+  for (let s = 0; s < points; s++) {
+    let max = 0;
+    for (let f = Math.floor((s * 40000) / points); f < Math.floor(((s + 1) * 40000) / points); f++) {
+      for (let c = 0; c < 3; c++) max = Math.max(max, Math.abs(data.readInt16LE((f * 3 + c) * 2)));
+    }
+    expected.push(Math.round((max / 32768) * 10000) / 10000);
+  }
+  assert.equal(r.peaks.length, points);
+  assert.deepEqual(r.peaks, expected);
+  assert.equal(r.durationSec, 5);
+});
+
+test('peaks: only 16-bit PCM is supported', async () => {
+  const header = wav.wavHeader({ channels: 1, sampleRate: 8000, bitsPerSample: 8 }, 100);
+  const file = path.join(dir, '8bit.wav');
+  fs.writeFileSync(file, Buffer.concat([header, Buffer.alloc(100)]));
+  await assert.rejects(wav.peaks(file, 10), /16-bit PCM/);
+});
+
+test('peaks: not a WAV file rejects', async () => {
+  const file = path.join(dir, 'garbage.wav');
+  fs.writeFileSync(file, Buffer.alloc(64, 1));
+  await assert.rejects(wav.peaks(file, 10), /Not a WAV file/);
+});